@@ -19,6 +19,30 @@ const cfg = {
   HUNYUAN_ENDPOINT: process.env.HUNYUAN_ENDPOINT,                 // 可覆盖
   DEFAULT_MODEL   : process.env.HUNYUAN_MODEL   || 'hunyuan-lite',
 
+  /* ---------- 其他大模型供应商 ---------- */
+  // OpenAI 兼容接口：OPENAI_BASE_URL 可指向任意兼容网关
+  OPENAI_API_KEY  : process.env.OPENAI_API_KEY  || '',
+  OPENAI_BASE_URL : process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  OPENAI_MODEL    : process.env.OPENAI_MODEL    || 'gpt-4o-mini',
+
+  // 回退链：按顺序尝试，未配置密钥的供应商自动跳过
+  // 可选：hunyuan | openai | local（确定性本地桩，开发测试用）
+  LLM_FALLBACK_CHAIN : (process.env.LLM_FALLBACK_CHAIN || 'hunyuan,openai')
+    .split(',').map(s => s.trim()).filter(Boolean),
+
+  /* ---------- 大模型调用韧性 ---------- */
+  // 429 / 5xx / 超时自动重试：指数退避 + 抖动，优先遵循 Retry-After
+  LLM_MAX_RETRIES          : Number(process.env.LLM_MAX_RETRIES || 2),
+  LLM_RETRY_BASE_MS        : 500,
+  LLM_RETRY_MAX_DELAY_MS   : 8000,      // Retry-After 超过该值时不再等待，直接回退下一个供应商
+  // 超时 = 基础值 + maxTokens × 每 token 毫秒数，并限制在上限内
+  LLM_TIMEOUT_BASE_MS      : 10000,
+  LLM_TIMEOUT_PER_TOKEN_MS : 25,
+  LLM_TIMEOUT_MAX_MS       : Number(process.env.LLM_TIMEOUT_MAX_MS || 120000),
+  // 熔断：同一供应商连续失败次数达到阈值后，冷却期内直接跳过
+  LLM_BREAKER_THRESHOLD    : 5,
+  LLM_BREAKER_COOLDOWN_MS  : 30000,
+
   /* ---------- 腾讯云通用密钥（若使用 SDK） ---------- */
   TC_SECRET_ID  : process.env.TC_SECRET_ID  || '',
   TC_SECRET_KEY : process.env.TC_SECRET_KEY || '',
@@ -31,8 +55,76 @@ const cfg = {
   ENABLE_ANALYTICS        : process.env.ENABLE_ANALYTICS        === 'true', // 使用量上报
   STRICT_TOPIC_VALIDATION : process.env.STRICT_TOPIC_VALIDATION === 'true', // 主题白名单
 
+  /* ---------- 使用量统计 ---------- */
+  // sink 可选 file（本地 JSONL）| batch（批量写入 COS，线上使用）
+  ANALYTICS_SINK              : process.env.ANALYTICS_SINK || 'file',
+  ANALYTICS_DIR               : process.env.ANALYTICS_DIR || '/tmp/meditation-analytics',
+  ANALYTICS_BATCH_SIZE        : Number(process.env.ANALYTICS_BATCH_SIZE || 50),
+  ANALYTICS_FLUSH_INTERVAL_MS : 60 * 1000,
+  ANALYTICS_MAX_RANGE_DAYS    : 31,    // stats 单次查询的最大天数
+
+  /* ---------- 内容安全 ---------- */
+  SAFETY_ENABLED           : process.env.SAFETY_ENABLED !== 'false',     // 输入危机识别 + 输出审核
+  SAFETY_LEXICON_PATH      : process.env.SAFETY_LEXICON_PATH || '',      // 追加 / 覆盖默认词库的 JSON 文件
+  SAFETY_MAX_REGENERATIONS : Number(process.env.SAFETY_MAX_REGENERATIONS || 2), // 输出未通过审核时的重新生成次数
+
+  /* ---------- 离线模板兜底 ---------- */
+  // 大模型不可用（未配置密钥、空响应、HTTP / 网络错误、熔断）时用本地模板库拼装引导词
+  TEMPLATE_FALLBACK_ENABLED : process.env.TEMPLATE_FALLBACK_ENABLED !== 'false',
+  TEMPLATE_LIBRARY_PATH     : process.env.TEMPLATE_LIBRARY_PATH || '',   // 替换默认模板库（prompts/meditation_templates.json）
+
+  /* ---------- Prompt 模板与实验 ---------- */
+  // 版本化模板与 A/B 实验定义见 prompts/prompt_templates.json；关闭实验后所有用户使用各模板的 current 版本
+  PROMPT_TEMPLATES_PATH      : process.env.PROMPT_TEMPLATES_PATH || '',  // 替换默认模板库
+  PROMPT_EXPERIMENTS_ENABLED : process.env.PROMPT_EXPERIMENTS_ENABLED !== 'false',
+
+  /* ---------- 结果缓存 ---------- */
+  // 相同参数的生成请求直接返回缓存结果；backend 可选 memory | file | cos
+  CACHE_ENABLED : process.env.CACHE_ENABLED !== 'false',
+  CACHE_BACKEND : process.env.CACHE_BACKEND || 'memory',
+  CACHE_TTL     : {                                     // 各后端过期时间（秒）
+    memory: Number(process.env.CACHE_TTL_MEMORY || 10 * 60),
+    file  : Number(process.env.CACHE_TTL_FILE   || 24 * 3600),
+    cos   : Number(process.env.CACHE_TTL_COS    || 7 * 24 * 3600)
+  },
+  CACHE_MEMORY_MAX_ENTRIES : 200,
+  CACHE_DIR     : process.env.CACHE_DIR || '/tmp/meditation-cache', // 云函数仅 /tmp 可写
+  // Prompt 拼装逻辑有改动时递增，旧缓存自动失效（模板文案的版本另行计入缓存键）
+  PROMPT_VERSION : '2025-08-01',
+
+  /* ---------- 练习记录 ---------- */
+  SESSION_HISTORY_ENABLED : process.env.SESSION_HISTORY_ENABLED !== 'false',
+  SESSION_STORE           : process.env.SESSION_STORE || 'memory',          // memory | file | cos，多实例部署需用 cos
+  SESSION_DIR             : process.env.SESSION_DIR || '/tmp/meditation-sessions',
+  SESSION_MAX_PER_USER    : 100,
+
+  /* ---------- 多日课程 ---------- */
+  PROGRAM_STORE        : process.env.PROGRAM_STORE || 'memory',          // memory | file | cos，多实例部署需用 cos
+  PROGRAM_DIR          : process.env.PROGRAM_DIR || '/tmp/meditation-programs',
+  PROGRAM_MAX_PER_USER : 20,
+  PROGRAM_MIN_DAYS     : 3,
+  PROGRAM_MAX_DAYS     : 30,
+  PROGRAM_DEFAULT_DAYS : 7,
+
+  /* ---------- 主题目录 ---------- */
+  // 基础目录为 prompts/meditation_types.json；CATALOG_PATHS 按顺序追加覆盖文件（逗号分隔，如租户定制）
+  CATALOG_PATHS       : (process.env.CATALOG_PATHS || '').split(',').map(s => s.trim()).filter(Boolean),
+  // catalog 请求的在线修改；多实例部署需用 cos 共享，各实例按 CATALOG_REFRESH_MS 重新读取
+  CATALOG_STORE       : process.env.CATALOG_STORE || 'memory',          // memory | file | cos
+  CATALOG_DIR         : process.env.CATALOG_DIR || '/tmp/meditation-catalog',
+  CATALOG_REFRESH_MS  : 60 * 1000,
+  // 目录管理与使用量统计权限：指定用户，或请求携带 adminToken
+  CATALOG_ADMIN_USERS : (process.env.CATALOG_ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean),
+  CATALOG_ADMIN_TOKEN : process.env.CATALOG_ADMIN_TOKEN || '',
+
   /* ---------- 调用配额 ---------- */
   MAX_DAILY_CALLS : Number(process.env.MAX_DAILY_CALLS || 500),  // 单函数每日额度
+  QUOTA_ENABLED   : process.env.QUOTA_ENABLED !== 'false',
+  QUOTA_USER_DAILY: Number(process.env.QUOTA_USER_DAILY || 50),   // 单用户每日额度
+  QUOTA_WEIGHTS   : { text: 1, voice: 3 },                        // 每次请求消耗的额度，语音合成成本更高
+  QUOTA_UTC_OFFSET: 8,                                            // 按北京时间零点重置
+  QUOTA_STORE     : process.env.QUOTA_STORE || 'memory',          // 计数存储：memory | file，均按实例计数，多实例时无法限制全局额度
+  QUOTA_DIR       : process.env.QUOTA_DIR || '/tmp/meditation-quota',
 
   /* ---------- TTS 默认 ---------- */
   DEFAULT_VOICE_TYPE : 'zh-CN-XiaoyouNeural',
@@ -63,6 +155,57 @@ const cfg = {
     modern : 'zh-CN-YunyangNeural'
   },
 
+  /* ---------- 长时段分步生成 ---------- */
+  // 达到该时长（分钟）时改为「先大纲、后逐段扩写」，避免单次补全被截断
+  LONG_FORM_MIN_DURATION : 30,
+  LONG_FORM_SPEECH_RATIO : 0.7,   // 朗读时间占总时长的比例，其余为停顿留白
+  LONG_FORM_MIN_FILL     : 0.6,   // 单段估算时长低于预算的该比例时续写一次
+
+  /* ---------- 停顿静音（秒） ---------- */
+  // short: "…" / "..."   long: "……" / "......"   paragraph: 空行
+  // [pause:10s] 为显式秒数，不受以下配置影响
+  DEFAULT_PAUSES : { short: 2, long: 5, paragraph: 3 },
+  STYLE_PAUSE_MAP : {
+    gentle : { short: 2,   long: 5, paragraph: 3 },
+    healing: { short: 2.5, long: 6, paragraph: 4 },
+    mindful: { short: 2,   long: 6, paragraph: 3 },
+    zen    : { short: 3,   long: 8, paragraph: 5 },
+    nature : { short: 2.5, long: 6, paragraph: 4 },
+    modern : { short: 1.5, long: 4, paragraph: 2 }
+  },
+  // 为贴近请求时长，停顿整体可伸缩的倍数范围
+  PAUSE_MIN_STRETCH : 0.5,
+  PAUSE_MAX_STRETCH : 4,
+  PAUSE_OVERRIDE_MAX: 30,   // options.pauses 单项覆盖的上限（秒）
+
+  /* ---------- 背景音景 ---------- */
+  // 可选音景见 utils/ambience.js：rain / stream / singing_bowl / white_noise
+  AMBIENCE_LEVEL_DB : -20,   // 无人声时的背景电平（dB）
+  AMBIENCE_DUCK_DB  : -10,   // 人声出现时在背景电平基础上再压低（dB）
+  AMBIENCE_FADE_IN  : 4,     // 秒
+  AMBIENCE_FADE_OUT : 6,     // 秒，引导结束后音景继续淡出
+  // 混音与 MP3 编码为纯 JS、整条音轨在内存中完成，超过该时长（分钟）的练习不支持音景
+  AMBIENCE_MAX_DURATION : Number(process.env.AMBIENCE_MAX_DURATION || 30),
+
+  /* ---------- 流式生成 ---------- */
+  STREAM_TTL_MS : 30 * 60 * 1000,   // 流式任务进度保留时长，供轮询读取
+  // 进度存储：轮询可能落到其他实例，线上需用 cos 共享
+  STREAM_STORE  : process.env.STREAM_STORE || 'memory',          // memory | file | cos
+  STREAM_DIR    : process.env.STREAM_DIR || '/tmp/meditation-streams',
+
+  /* ---------- 对话教练 ---------- */
+  CHAT_TTL_MS               : 2 * 60 * 60 * 1000,  // 会话无新消息后保留时长
+  // 会话存储：后续消息可能落到其他实例，线上需用 cos 共享
+  CHAT_STORE                : process.env.CHAT_STORE || 'memory',          // memory | file | cos
+  CHAT_DIR                  : process.env.CHAT_DIR || '/tmp/meditation-chats',
+  CHAT_HISTORY_TOKEN_BUDGET : Number(process.env.CHAT_HISTORY_TOKEN_BUDGET || 1500), // 每次发送给大模型的历史上限
+
+  /* ---------- 瑜伽序列 ---------- */
+  YOGA_LEVELS        : ['beginner', 'intermediate', 'advanced'],
+  YOGA_DEFAULT_LEVEL : 'beginner',
+  YOGA_DEFAULT_FOCUS : 'general',
+  YOGA_HOLD_SECONDS  : { beginner: 30, intermediate: 45, advanced: 60 },  // 每个体式（每侧）的停留时长
+
   /* ---------- 语言 & 错误码 ---------- */
   SUPPORTED_LANGUAGES: ['zh', 'en'],
 
@@ -73,9 +216,41 @@ const cfg = {
     INVALID_LANGUAGE    : 'PARAM_INVALID_LANGUAGE',
     INVALID_DURATION    : 'PARAM_INVALID_DURATION',
     INVALID_TOPIC       : 'PARAM_INVALID_TOPIC',
+    INVALID_AMBIENCE    : 'PARAM_INVALID_AMBIENCE',
+    INVALID_CAPTION_FORMAT: 'PARAM_INVALID_CAPTION_FORMAT',
+    INVALID_PROVIDER    : 'PARAM_INVALID_PROVIDER',
+    INVALID_PAUSES      : 'PARAM_INVALID_PAUSES',
     LLM_FAILED          : 'LLM_CALL_FAILED',
     TTS_FAILED          : 'TTS_SYNTHESIS_FAILED',
     EMPTY_CONTENT       : 'LLM_CONTENT_EMPTY',
+    STREAM_NOT_FOUND    : 'STREAM_NOT_FOUND',
+    INVALID_STREAM      : 'PARAM_INVALID_STREAM',
+    INPUT_BLOCKED       : 'SAFETY_INPUT_BLOCKED',
+    CONTENT_BLOCKED     : 'SAFETY_CONTENT_BLOCKED',
+    QUOTA_EXCEEDED      : 'QUOTA_DAILY_EXCEEDED',
+    ANALYTICS_DISABLED  : 'ANALYTICS_DISABLED',
+    ANALYTICS_QUERY_FAILED: 'ANALYTICS_QUERY_FAILED',
+    INVALID_DATE_RANGE  : 'PARAM_INVALID_DATE_RANGE',
+    INVALID_SESSION     : 'PARAM_INVALID_SESSION',
+    INVALID_INTENT      : 'PARAM_INVALID_INTENT',
+    INVALID_CHAT_ACTION : 'PARAM_INVALID_CHAT_ACTION',
+    CHAT_NOT_FOUND      : 'CHAT_NOT_FOUND',
+    INVALID_LEVEL       : 'PARAM_INVALID_LEVEL',
+    INVALID_FOCUS       : 'PARAM_INVALID_FOCUS',
+    INVALID_POSE        : 'PARAM_INVALID_POSE',
+    INVALID_FEEDBACK    : 'PARAM_INVALID_FEEDBACK',
+    INVALID_POSE_QUERY  : 'PARAM_INVALID_POSE_QUERY',
+    SESSION_NOT_FOUND   : 'SESSION_NOT_FOUND',
+    INVALID_PROGRAM     : 'PARAM_INVALID_PROGRAM',
+    PROGRAM_NOT_FOUND   : 'PROGRAM_NOT_FOUND',
+    PROGRAM_DAY_LOCKED  : 'PROGRAM_DAY_LOCKED',
+    INVALID_BREATHING   : 'PARAM_INVALID_BREATHING',
+    USER_REQUIRED       : 'AUTH_USER_REQUIRED',
+    FORBIDDEN           : 'AUTH_FORBIDDEN',
+    INVALID_CATALOG     : 'PARAM_INVALID_CATALOG',
+    CATALOG_NOT_FOUND   : 'CATALOG_ENTRY_NOT_FOUND',
+    INVALID_PROMPT_VERSION: 'PARAM_INVALID_PROMPT_VERSION',
+    INVALID_RATING      : 'PARAM_INVALID_RATING',
     MEDITATION_GENERATION_ERROR: 'MEDITATION_GENERATION_ERROR'
   }
 };
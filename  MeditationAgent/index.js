@@ -10,19 +10,42 @@ const {
   handleMeditation,          // 对应 type='generate'
   handleBatchGeneration,     // 对应 type='batch'
   handleTopicRecommendation, // 对应 type='recommend'
-  handleMeditationPreview    // 对应 type='preview'
+  handleMeditationPreview,   // 对应 type='preview'
+  handleMeditationStream,    // 对应 type='stream'
+  handleUsageStats,          // 对应 type='stats'
+  handleHistory,             // 对应 type='history'
+  handleSession,             // 对应 type='session'
+  handleIntent,              // 对应 type='intent'
+  handleChat,                // 对应 type='chat'
+  handleYogaFlow,            // 对应 type='yoga'
+  handlePoseFeedback,        // 对应 type='feedback'
+  handlePoseSearch,          // 对应 type='poses'
+  handleProgram,             // 对应 type='program'
+  handleBreathing,           // 对应 type='breathing'
+  handleCatalog,             // 对应 type='catalog'
+  recordSession
 } = require('./router/meditation');
+const { getCircuitState } = require('./utils/call_llm');
+const { refreshCatalog } = require('./utils/catalog');
+const { getRequestCost, consumeQuota, refundQuota } = require('./utils/quota');
+const { flushAnalytics } = require('./utils/analytics');
+const config = require('./config');
+
+// 依赖主题目录（构建提示词 / 推荐主题）的请求类型；其余请求（如 ping）不拉取在线修改
+const CATALOG_TYPES = ['generate', 'preview', 'stream', 'batch', 'recommend', 'intent', 'chat', 'program'];
 
 /**
  * 云函数主入口
  * @param {Object} event   - 请求事件对象
- * @param {string} event.type - 请求类型（generate/batch/recommend/preview/ping）
+ * @param {string} event.type - 请求类型（generate/preview/stream/batch/recommend/stats/history/session/intent/chat/yoga/feedback/poses/program/breathing/catalog/ping）
+ * @param {string} event.pose_name - 未指定 type 时带该字段视为 type='feedback'（兼容小程序示例）
  * @param {Object} context - 云函数上下文
+ * @param {Function} context.onSegment - 可选，流式模式下每段就绪时回调（HTTP / 本地运行器使用）
  * @returns {Promise<Object>} 返回处理结果
  */
 async function main(event = {}, context = {}) {
   const startTime = Date.now();
-  const { type = 'ping' } = event;
+  const { type = event.pose_name ? 'feedback' : 'ping' } = event;
   const userId = context.getUserID?.() || 'anonymous';
   const requestId = context.requestId || `req_${Date.now()}`;
 
@@ -33,46 +56,165 @@ async function main(event = {}, context = {}) {
     timestamp: new Date().toISOString()
   });
 
+  let quota = null;
+  // 同一请求最多退还一次额度（处理器返回失败后又抛错时不重复退还）
+  let refunded = false;
+  const refund = () => {
+    if (refunded) return Promise.resolve();
+    refunded = true;
+    return refundQuota(quota);
+  };
+
   try {
+    // 每日配额：按用户与按函数分别计数，语音请求权重更高
+    quota = await consumeQuota({ userId, cost: getRequestCost({ ...event, type }) });
+    if (!quota.allowed) {
+      console.warn('[MeditationAgent] 超出每日额度:', { type, userId, scope: quota.scope, used: quota.used, limit: quota.limit });
+      return errorResponse(
+        config.ERROR_CODES.QUOTA_EXCEEDED,
+        quota.scope === 'user'
+          ? `今日调用次数已达上限（${quota.limit}），将于 ${quota.resetAt} 重置`
+          : `服务今日调用总量已达上限，将于 ${quota.resetAt} 重置`,
+        {
+          requestId,
+          scope: quota.scope,
+          limit: quota.limit,
+          used: quota.used,
+          cost: quota.cost,
+          resetAt: quota.resetAt,
+          timestamp: new Date().toISOString()
+        }
+      );
+    }
+
+    // 拉取运营对主题目录的在线修改（未到刷新间隔时直接返回）；catalog 管理操作自行强制刷新
+    if (CATALOG_TYPES.includes(type)) await refreshCatalog();
+
     let result;
 
     switch (type) {
       case 'generate':
         // 生成单个冥想内容（含语音）
-        result = await handleMeditation(event);
+        result = await handleMeditation(event, { userId });
         break;
 
       case 'preview':
         // 预览模式：仅生成文本，不生成语音
-        result = await handleMeditationPreview(event);
+        result = await handleMeditationPreview(event, { userId });
+        break;
+
+      case 'stream':
+        // 流式生成：逐段下发文本与语音，支持按 streamId + cursor 轮询；后台任务失败时退还配额
+        result = await handleMeditationStream(event, {
+          onSegment: context.onSegment,
+          onFailure: () => refund().catch(e => console.warn('[MeditationAgent] 退回额度失败:', e.message)),
+          userId
+        });
         break;
 
       case 'batch':
         // 批量生成冥想内容
-        result = await handleBatchGeneration(event);
+        result = await handleBatchGeneration(event, { userId });
         break;
 
       case 'recommend':
         // 推荐冥想主题
-        result = await handleTopicRecommendation(event);
+        result = await handleTopicRecommendation(event, { userId });
+        break;
+
+      case 'stats':
+        // 使用量统计：按日期区间汇总调用量与热门主题
+        result = await handleUsageStats(event, { userId });
+        break;
+
+      case 'intent':
+        // 自然语言意图：解析为生成参数，execute=true 时直接生成
+        result = await handleIntent(event, { userId });
+        break;
+
+      case 'chat':
+        // 多轮对话教练：了解感受 → 建议练习 → 生成 → 练习后反思
+        result = await handleChat(event, { userId });
+        break;
+
+      case 'program':
+        // 多日课程：创建、查看进度、按天生成、标记完成
+        result = await handleProgram(event, { userId });
+        break;
+
+      case 'breathing':
+        // 呼吸练习：内置模式的精确提示时间轴，提示音合成一次后复用
+        result = await handleBreathing(event);
+        break;
+
+      case 'yoga':
+        // 瑜伽序列：按时长、水平与侧重编排体式，可选语音引导
+        result = await handleYogaFlow(event);
+        break;
+
+      case 'feedback':
+        // 体式评分语音反馈：分档鼓励 + 逐条纠正，返回 audioUrl
+        result = await handlePoseFeedback(event);
+        break;
+
+      case 'poses':
+        // 体式目录：多语言模糊搜索，按难度 / 类别过滤并分页
+        result = await handlePoseSearch(event);
+        break;
+
+      case 'catalog':
+        // 主题目录管理（仅管理员）：列出、新增、修改、停用主题与风格
+        result = await handleCatalog(event, { userId });
+        break;
+
+      case 'history':
+        // 当前用户的练习记录列表
+        result = await handleHistory(event, { userId });
+        break;
+
+      case 'session':
+        // 获取（重播）或删除单条练习记录
+        result = await handleSession(event, { userId });
         break;
 
       case 'ping':
-        // 健康检查
+        // 健康检查：附带各大模型供应商的熔断状态
         result = {
           success: true,
-          data: { pong: true, timestamp: new Date().toISOString() },
+          data: {
+            pong: true,
+            timestamp: new Date().toISOString(),
+            llm: { providers: getCircuitState() }
+          },
           message: 'MeditationAgent is running'
         };
         break;
 
       default:
+        await refund();
         return errorResponse(
           'INVALID_TYPE',
-          `不支持的操作类型: ${type}，支持的类型为: generate, preview, batch, recommend, ping`
+          `不支持的操作类型: ${type}，支持的类型为: generate, preview, stream, batch, recommend, stats, history, session, intent, chat, yoga, feedback, poses, program, breathing, catalog, ping`
         );
     }
 
+    // 生成失败不计入额度
+    if (!result.success) {
+      await refund();
+    }
+
+    // 保存练习记录，便于之后重播而无需重新生成；与统计写出一样尽力而为，失败不影响已成功的结果
+    // intent（execute）/ program（day）/ chat（generate）生成的练习在 data.meditation 中
+    if (['generate', 'preview', 'intent', 'program', 'chat'].includes(type) && result.success) {
+      try {
+        const sessionId = await recordSession({ userId, type, event, result });
+        const meditation = result.data.meditation || result.data;
+        if (sessionId) meditation.metadata = { ...meditation.metadata, sessionId };
+      } catch (e) {
+        console.warn('[MeditationAgent] 保存练习记录失败:', e.message);
+      }
+    }
+
     // 记录成功日志
     const duration = Date.now() - startTime;
     console.log('[MeditationAgent] 请求成功:', {
@@ -93,13 +235,15 @@ async function main(event = {}, context = {}) {
       ...result.metadata,
       requestId,
       duration,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      ...(quota.cost ? { quota: { cost: quota.cost, remaining: quota.remaining, resetAt: quota.resetAt } } : {})
     };
 
     return result;
 
   } catch (error) {
     const duration = Date.now() - startTime;
+    await refund().catch(e => console.warn('[MeditationAgent] 退回额度失败:', e.message));
 
     console.error('[MeditationAgent] 请求失败:', {
       type,
@@ -123,6 +267,9 @@ async function main(event = {}, context = {}) {
           : {})
       }
     );
+  } finally {
+    // 云函数返回后实例可能被冻结或回收，定时器不再触发，缓冲中的统计事件须在返回前写出
+    await flushAnalytics().catch(e => console.warn('[MeditationAgent] 统计写出失败:', e.message));
   }
 }
 
@@ -0,0 +1,116 @@
+/**
+ * 呼吸练习路由
+ * 不调用大模型：按内置模式生成精确的提示时间轴（见 utils/breathing.js），
+ * 每种提示词只用 synthesizeSpeech 合成一次，结果存入共享缓存，之后的请求直接复用；
+ * 客户端按 timeline[].start 播放对应 cue 的音频
+ */
+
+const { synthesizeSpeech } = require('../utils/tts');
+const { getCache, buildCacheKey } = require('../utils/cache');
+const { PATTERNS, listPatterns, buildBreathingTimeline } = require('../utils/breathing');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('Breathing');
+
+const MAX_MINUTES = 30;
+
+/**
+ * 合成单个提示词；命中缓存时不再调用 TTS
+ * @returns {Promise<{text: string, url: string|null, base64?: string, cached: boolean}|null>}
+ */
+async function _cueAudio(text, ttsOpts) {
+  const useCache = config.CACHE_ENABLED;
+  const key = buildCacheKey('breathing-cue', { text, ...ttsOpts });
+
+  if (useCache) {
+    const entry = await getCache().get(key).catch(() => null);
+    if (entry) return { text, ...entry.value, cached: true };
+  }
+
+  const audio = await synthesizeSpeech(text, ttsOpts);
+  const value = { url: audio?.url || null, ...(audio?.url ? {} : { base64: audio?.base64 }) };
+  if (useCache && (value.url || value.base64)) {
+    await getCache().set(key, value).catch(e => log.warn('提示音缓存写入失败:', e.message));
+  }
+  return { text, ...value, cached: false };
+}
+
+/**
+ * 呼吸练习入口
+ * @param {Object} event
+ * @param {string} event.pattern - 4-7-8 | box | coherent | physiological_sigh，缺省返回模式列表
+ * @param {number} event.cycles - 轮数（与 minutes 二选一）
+ * @param {number} event.minutes - 分钟数，取不超过该时长的最大整轮数
+ * @param {string} event.language - zh / en
+ * @param {boolean} event.voice - 是否返回提示音，默认 true
+ * @param {Object} event.options - 语音选项 { voiceType, speed, volume }
+ * @returns {Promise<Object>} { success, data: { pattern, cycles, totalSeconds, timeline, cues, ... } }
+ */
+async function handleBreathing(event = {}) {
+  const { pattern, cycles, minutes, language = 'zh', voice = true, options = {} } = event;
+
+  if (!config.SUPPORTED_LANGUAGES.includes(language)) {
+    return failure(
+      config.ERROR_CODES.INVALID_LANGUAGE,
+      `不支持的语言: ${language}，可选：${config.SUPPORTED_LANGUAGES.join(', ')}`
+    );
+  }
+  if (!pattern) {
+    return { success: true, data: { patterns: listPatterns(language) } };
+  }
+  if (!Object.hasOwn(PATTERNS, pattern)) {
+    return failure(config.ERROR_CODES.INVALID_BREATHING, `不支持的呼吸模式: ${pattern}，可选：${Object.keys(PATTERNS).join(', ')}`);
+  }
+  if (cycles !== undefined && minutes !== undefined) {
+    return failure(config.ERROR_CODES.INVALID_BREATHING, 'cycles 与 minutes 只能指定一个');
+  }
+  if (cycles !== undefined && (!Number.isInteger(cycles) || cycles < 1)) {
+    return failure(config.ERROR_CODES.INVALID_BREATHING, 'cycles 应为正整数');
+  }
+  if (minutes !== undefined && (typeof minutes !== 'number' || !(minutes > 0) || minutes > MAX_MINUTES)) {
+    return failure(config.ERROR_CODES.INVALID_BREATHING, `minutes 应为 0-${MAX_MINUTES} 之间的数字`);
+  }
+
+  const result = buildBreathingTimeline({ pattern, cycles, minutes, language });
+  if (result.capped) log.warn('轮数超过上限，已截断:', { pattern, cycles: result.cycles });
+  log.info('呼吸时间轴生成:', { pattern, cycles: result.cycles, totalSeconds: result.totalSeconds });
+
+  // 提示音：每种提示词一条，失败不影响时间轴返回
+  let cues = null;
+  if (voice) {
+    const ttsOpts = {
+      voiceType: options.voiceType || config.STYLE_VOICE_MAP.gentle,
+      speed: options.speed || config.DEFAULT_SPEED,
+      volume: options.volume || config.DEFAULT_VOLUME,
+      lang: language
+    };
+    cues = {};
+    for (const cue of [...new Set(result.timeline.map(t => t.cue))]) {
+      const text = result.timeline.find(t => t.cue === cue).text;
+      try {
+        cues[cue] = await _cueAudio(text, ttsOpts);
+      } catch (ttsError) {
+        log.error('提示音合成失败:', cue, ttsError.message);
+        cues[cue] = { text, url: null, cached: false };
+      }
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      ...result,
+      cues,
+      metadata: {
+        language,
+        generatedAt: new Date().toISOString()
+      }
+    }
+  };
+}
+
+module.exports = {
+  handleBreathing
+};
@@ -0,0 +1,143 @@
+/**
+ * 主题目录管理路由
+ * 运营无需重新部署即可维护主题与风格（修改保存为目录的覆盖层，见 utils/catalog.js）：
+ * - list   ：列出全部主题与风格（含已停用）
+ * - add    ：新增主题 / 风格，需提供完整字段
+ * - update ：逐字段修改（数组整体替换）
+ * - disable：停用，对外隐藏但保留数据；enable 重新启用
+ * 每次修改都会与文件目录合并后完整校验，未通过时返回逐条的字段错误。
+ * 仅 config.CATALOG_ADMIN_USERS 中的用户或携带 adminToken 的请求可用
+ */
+
+const {
+  getCatalogEntries,
+  getCatalogOverrides,
+  refreshCatalog,
+  saveCatalogOverrides
+} = require('../utils/catalog');
+const { isAdmin } = require('../utils/admin');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('CatalogAdmin');
+
+const ACTIONS = ['list', 'add', 'update', 'disable', 'enable'];
+const KINDS = ['topic', 'style'];
+
+const _invalid = (message, details) => failure(config.ERROR_CODES.INVALID_CATALOG, message, details);
+
+const _isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+function _find(entries, kind, id) {
+  if (kind === 'topic') return entries.types.find(t => t.id === id) || null;
+  return entries.styleDefinitions[id] ? { id, ...entries.styleDefinitions[id] } : null;
+}
+
+// 把修改写入覆盖文档对应的条目
+function _applyPatch(doc, kind, id, patch) {
+  if (kind === 'topic') {
+    doc.types = doc.types || [];
+    const existing = doc.types.find(t => t.id === id);
+    if (existing) Object.assign(existing, patch);
+    else doc.types.push({ id, ...patch });
+  } else {
+    doc.styleDefinitions = doc.styleDefinitions || {};
+    doc.styleDefinitions[id] = { ...doc.styleDefinitions[id], ...patch };
+  }
+  return doc;
+}
+
+/**
+ * 目录管理入口
+ * @param {Object} event
+ * @param {string} event.action - list | add | update | disable | enable，默认 list
+ * @param {string} event.kind - topic | style（list 时可选，用于过滤）
+ * @param {string} event.id - 主题 id 或风格 key
+ * @param {Object} event.data - add：完整字段；update：要修改的字段
+ * @param {string} event.adminToken - 不在管理员名单中时使用
+ * @param {Object} ctx
+ * @param {string} ctx.userId
+ * @returns {Promise<Object>}
+ */
+async function handleCatalog(event = {}, { userId } = {}) {
+  if (!isAdmin(event, userId)) {
+    log.warn('无权限的目录管理请求:', { userId, action: event.action });
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.FORBIDDEN, message: '没有主题目录的管理权限' }
+    };
+  }
+
+  const { action = 'list', kind, id, data } = event;
+  if (!ACTIONS.includes(action)) {
+    return _invalid(`不支持的操作: ${action}，可选：${ACTIONS.join(', ')}`);
+  }
+  if ((kind !== undefined || action !== 'list') && !KINDS.includes(kind)) {
+    return _invalid(`kind 应为 ${KINDS.join(' / ')}`);
+  }
+
+  // 以存储中的最新修改为基础，避免覆盖其他实例刚保存的内容
+  await refreshCatalog({ force: true });
+  const entries = getCatalogEntries();
+
+  if (action === 'list') {
+    return {
+      success: true,
+      data: {
+        version: entries.version,
+        updatedAt: entries.updatedAt,
+        updatedBy: entries.updatedBy,
+        ...(kind !== 'style' ? { topics: entries.types } : {}),
+        ...(kind !== 'topic'
+          ? { styles: Object.entries(entries.styleDefinitions).map(([key, style]) => ({ id: key, ...style })) }
+          : {})
+      }
+    };
+  }
+
+  if (typeof id !== 'string' || !id) return _invalid('请提供 id');
+  const existing = _find(entries, kind, id);
+
+  let patch;
+  if (action === 'add' || action === 'update') {
+    if (!_isObject(data)) return _invalid('data 应为对象');
+    if (data.id !== undefined && data.id !== id) return _invalid('不能修改 id，请新增后停用旧条目');
+    if (action === 'add' && existing) return _invalid(`${id} 已存在，请使用 update`);
+    const { id: _id, ...fields } = data;
+    patch = fields;
+  } else {
+    patch = { enabled: action === 'enable' };
+  }
+  if (action !== 'add' && !existing) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.CATALOG_NOT_FOUND, message: `${kind === 'topic' ? '主题' : '风格'}不存在: ${id}` }
+    };
+  }
+
+  try {
+    await saveCatalogOverrides(_applyPatch(getCatalogOverrides(), kind, id, patch), { updatedBy: userId });
+  } catch (e) {
+    if (e.code !== config.ERROR_CODES.INVALID_CATALOG) throw e;
+    log.warn('目录修改未通过校验:', e.details);
+    return _invalid('目录修改未通过校验', e.details);
+  }
+
+  const updated = getCatalogEntries();
+  log.info('目录已修改:', { action, kind, id, userId, version: updated.version });
+  return {
+    success: true,
+    data: {
+      action,
+      kind,
+      entry: _find(updated, kind, id),
+      version: updated.version,
+      updatedAt: updated.updatedAt
+    }
+  };
+}
+
+module.exports = {
+  handleCatalog
+};
@@ -6,6 +6,7 @@
 const meditationPrompt = require('../utils/meditation_prompt');
 const callLLM = require('../utils/call_llm');
 const tts = require('../utils/tts');
+const { getCache, buildCacheKey } = require('../utils/cache');
 const config = require('../config');
 
 /**
@@ -35,6 +36,15 @@ async function generateMeditation({
       };
     }
 
+    // 可选：读取缓存
+    const useCache = options.enableCache && config.CACHE_ENABLED;
+    const { enableCache, ...cacheOptions } = options;
+    const cacheParams = { topic, style, duration, language, options: cacheOptions };
+    if (useCache) {
+      const cached = await getCachedResult(cacheParams);
+      if (cached) return cached;
+    }
+
     // 2. 构建 Prompt
     console.log(`[GenerateMeditation] 开始生成 - 主题: ${topic}, 风格: ${style}, 时长: ${duration}分钟`);
     
@@ -51,13 +61,14 @@ async function generateMeditation({
     
     const llmResponse = await callLLM({
       prompt,
-      model: options.model || config.DEFAULT_LLM_MODEL || 'claude-3-sonnet',
+      provider: options.provider,
+      model: options.model, // 缺省时使用各供应商的默认模型
       temperature: options.temperature || 0.7,
       maxTokens: calculateMaxTokens(duration)
     });
 
     if (!llmResponse.success) {
-      throw new Error(`LLM 调用失败: ${llmResponse.error}`);
+      throw new Error(`LLM 调用失败: ${llmResponse.error?.message || llmResponse.error}`);
     }
 
     const meditationText = llmResponse.data.content;
@@ -95,6 +106,8 @@ async function generateMeditation({
           style,
           duration,
           language,
+          provider: llmResponse.data.provider,
+          model: llmResponse.data.model,
           generatedAt: new Date().toISOString(),
           textLength: meditationText.length,
           estimatedReadTime: `${duration}分钟`
@@ -103,8 +116,8 @@ async function generateMeditation({
     };
 
     // 6. 可选：缓存结果（如果启用）
-    if (options.enableCache && config.CACHE_ENABLED) {
-      await cacheResult(result, { topic, style, duration, language });
+    if (useCache) {
+      result.data.metadata.cache = { hit: false, stored: await cacheResult(result, cacheParams) };
     }
 
     return result;
@@ -207,26 +220,58 @@ function getVoiceTypeByStyle(style) {
 }
 
 /**
- * 缓存结果（简化版，实际可接入 Redis）
+ * 缓存键：覆盖全部生成参数，并带上 Prompt 版本，模板改动后旧缓存自动失效
+ */
+function getCacheKey(params) {
+  return buildCacheKey('meditation', { ...params, promptVersion: config.PROMPT_VERSION });
+}
+
+/**
+ * 缓存结果，后端由 config.CACHE_BACKEND 决定（memory / file / cos）
+ * @returns {Promise<boolean>} 是否写入成功
  */
 async function cacheResult(result, params) {
   try {
-    const cacheKey = `meditation:${params.topic}:${params.style}:${params.duration}:${params.language}`;
-    // TODO: 实际项目中接入 Redis 或其他缓存服务
-    console.log(`[Cache] 缓存结果 - key: ${cacheKey}`);
+    const cache = getCache();
+    const cacheKey = getCacheKey(params);
+    const stored = await cache.set(cacheKey, result);
+    console.log(`[Cache] 缓存结果 - backend: ${cache.name}, key: ${cacheKey}, ttl: ${cache.ttl}s`);
+    return stored;
   } catch (error) {
     console.warn('[Cache] 缓存失败:', error.message);
+    return false;
   }
 }
 
 /**
- * 从缓存获取结果
+ * 从缓存获取结果，命中时在 data.metadata.cache 中标注来源
+ * @returns {Promise<Object|null>}
  */
 async function getCachedResult(params) {
   try {
-    const cacheKey = `meditation:${params.topic}:${params.style}:${params.duration}:${params.language}`;
-    // TODO: 实际项目中从 Redis 获取
-    return null;
+    const cache = getCache();
+    const cacheKey = getCacheKey(params);
+    const entry = await cache.get(cacheKey);
+    if (!entry) return null;
+
+    console.log(`[Cache] 命中缓存 - backend: ${cache.name}, key: ${cacheKey}`);
+    const { value } = entry;
+    return {
+      ...value,
+      data: {
+        ...value.data,
+        metadata: {
+          ...value.data?.metadata,
+          cache: {
+            hit: true,
+            backend: cache.name,
+            key: cacheKey,
+            storedAt: new Date(entry.storedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString()
+          }
+        }
+      }
+    };
   } catch (error) {
     console.warn('[Cache] 读取缓存失败:', error.message);
     return null;
@@ -240,5 +285,8 @@ module.exports = {
   generateMeditation,
   validateParams,
   calculateMaxTokens,
-  getVoiceTypeByStyle
+  getVoiceTypeByStyle,
+  getCacheKey,
+  cacheResult,
+  getCachedResult
 };
\ No newline at end of file
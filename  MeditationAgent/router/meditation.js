@@ -0,0 +1,42 @@
+/**
+ * 路由汇总
+ * index.js 统一从这里引入所有处理器
+ */
+
+const {
+  handleMeditationGuide,
+  handleMeditationPreview,
+  handleBatchGeneration,
+  handleTopicRecommendation
+} = require('./meditationGuide');
+const { handleMeditationStream } = require('./meditationStream');
+const { handleUsageStats } = require('./usageStats');
+const { recordSession, handleHistory, handleSession } = require('./sessionHistory');
+const { handleIntent } = require('./meditationIntent');
+const { handleChat } = require('./meditationChat');
+const { handleYogaFlow } = require('./yogaFlow');
+const { handlePoseFeedback } = require('./poseFeedback');
+const { handlePoseSearch } = require('./poseSearch');
+const { handleProgram } = require('./meditationProgram');
+const { handleBreathing } = require('./breathingExercise');
+const { handleCatalog } = require('./catalogAdmin');
+
+module.exports = {
+  handleMeditation: handleMeditationGuide, // type='generate'
+  handleMeditationPreview,                 // type='preview'
+  handleBatchGeneration,                   // type='batch'
+  handleTopicRecommendation,               // type='recommend'
+  handleMeditationStream,                  // type='stream'
+  handleUsageStats,                        // type='stats'
+  handleHistory,                           // type='history'
+  handleSession,                           // type='session'
+  handleIntent,                            // type='intent'
+  handleChat,                              // type='chat'
+  handleYogaFlow,                          // type='yoga'
+  handlePoseFeedback,                      // type='feedback'
+  handlePoseSearch,                        // type='poses'
+  handleProgram,                           // type='program'
+  handleBreathing,                         // type='breathing'
+  handleCatalog,                           // type='catalog'
+  recordSession                            // 生成练习成功后保存练习记录
+};
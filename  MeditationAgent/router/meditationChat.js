@@ -0,0 +1,296 @@
+/**
+ * 多轮对话冥想教练路由
+ * 会话状态保存在可替换的存储中（见 utils/chat_store.js），按 chatId 读取，过期自动清理：
+ * 1. start   ：创建会话，教练先询问此刻的感受
+ * 2. message ：用户回复；checkin 阶段教练了解状态并给出练习建议（suggestion），
+ *              reflect 阶段教练就刚完成的练习提出反思问题
+ * 3. generate：用户确认后以建议参数调用 handleMeditationGuide 生成冥想，随后进入 reflect 阶段
+ * 4. end     ：结束并删除会话
+ * 发送给大模型的历史按 config.CHAT_HISTORY_TOKEN_BUDGET 从最早的消息开始裁剪
+ */
+
+const promptBuilder = require('../utils/meditation_prompt');
+const callLLM = require('../utils/call_llm');
+const { parseJson } = require('../utils/script_parser');
+const { detectLanguage } = require('../utils/intent_parser');
+const { moderateInput, moderateOutput, buildCrisisResponse } = require('../utils/moderation');
+const { handleMeditationGuide } = require('./meditationGuide');
+const { resolveIntent } = require('./meditationIntent');
+const { getChatStore } = require('../utils/chat_store');
+const { createLogger } = require('../utils/logger');
+const config = require('../config');
+
+const log = createLogger('MeditationChat');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+const REPLIES = {
+  zh: {
+    opening: '你好，我是你的冥想教练。此刻你感觉怎么样？身体和心情有什么想和我聊聊的吗？',
+    checkin: '谢谢你告诉我。能再多说一点吗？比如现在最明显的感受是什么，大概有多少时间？',
+    suggest: (s) => `听起来「${s.topic}」可能会适合你，大约 ${s.duration} 分钟。要现在开始吗？`,
+    handoff: (s) => `好的，我们开始「${s.topic}」练习，大约 ${s.duration} 分钟。找一个舒服的姿势，准备好就开始吧。练习结束后回来告诉我感受。`,
+    reflect: '谢谢你的分享。刚才练习中的哪个时刻让你印象最深？'
+  },
+  en: {
+    opening: "Hi, I'm your meditation coach. How are you feeling right now? Anything on your mind or in your body you'd like to share?",
+    checkin: 'Thanks for sharing. Could you tell me a bit more, like what you notice most right now and how much time you have?',
+    suggest: (s) => `It sounds like "${s.topic}" could help, about ${s.duration} minutes. Shall we start?`,
+    handoff: (s) => `Great, let's begin "${s.topic}", about ${s.duration} minutes. Find a comfortable position and start when you're ready. Come back afterwards and tell me how it went.`,
+    reflect: 'Thank you for sharing. Which moment of the practice stayed with you most?'
+  }
+};
+
+const _replies = (language) => REPLIES[language] || REPLIES.zh;
+
+// 粗略估算 token：汉字按 1 个，英文单词按 TOKENS_PER_WORD，另加每条消息的固定开销
+function _estimateTokens(text = '') {
+  const cjk = (text.match(/[㐀-鿿]/g) || []).length;
+  const words = (text.replace(/[㐀-鿿]/g, ' ').match(/[A-Za-z0-9']+/g) || []).length;
+  return cjk + Math.ceil(words * config.TOKENS_PER_WORD) + 4;
+}
+
+/**
+ * 从最新的消息往前保留，直到超出预算；最新一条总是保留
+ * @returns {{ messages: Array<Object>, dropped: number }}
+ */
+function trimHistory(messages, budget = config.CHAT_HISTORY_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = _estimateTokens(messages[i].content);
+    if (kept.length > 0 && used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+  return { messages: kept, dropped: messages.length - kept.length };
+}
+
+const _notFound = (chatId) => ({
+  success: false,
+  error: { code: config.ERROR_CODES.CHAT_NOT_FOUND, message: `对话不存在或已过期: ${chatId}` }
+});
+
+function _view(state, extra = {}) {
+  return {
+    chatId: state.id,
+    phase: state.phase,
+    suggestion: state.suggestion,
+    readyToPractice: state.phase === 'checkin' && !!state.suggestion,
+    turns: state.messages.filter(m => m.role === 'user').length,
+    ...extra
+  };
+}
+
+/**
+ * 对话入口
+ * @param {Object} event
+ * @param {string} event.chatId  - 会话 ID；缺省时创建新会话
+ * @param {string} event.action  - start | message | generate | end，缺省按是否带 chatId 判断
+ * @param {string} event.message - 用户消息（action=message）
+ * @param {string} event.language - 新会话的语言，缺省按首条消息判断
+ * @param {boolean} event.voice  - action=generate 时是否生成语音
+ * @param {Object} event.options - action=generate 时透传给 generate 的高级选项
+ * @param {Object} ctx
+ * @param {string} ctx.userId - 会话只对创建者可见
+ * @returns {Promise<Object>} { success, data: { chatId, phase, reply, suggestion, readyToPractice, turns, ... } }
+ */
+async function handleChat(event = {}, { userId = 'anonymous' } = {}) {
+  const action = event.action || (event.chatId ? 'message' : 'start');
+
+  if (action === 'start') {
+    const state = _newChat(event, userId);
+    return _saved(state, await startChat(state, event));
+  }
+
+  const state = typeof event.chatId === 'string' ? await getChatStore().get(event.chatId) : null;
+  if (!state || state.userId !== userId) return _notFound(event.chatId);
+
+  switch (action) {
+    case 'message':
+      return _saved(state, await replyToMessage(state, event.message));
+    case 'generate':
+      return _saved(state, await startPractice(state, event));
+    case 'end':
+      await getChatStore().remove(state.id);
+      log.info('对话结束:', { chatId: state.id, turns: _view(state).turns });
+      return { success: true, data: { chatId: state.id, ended: true } };
+    default:
+      return {
+        success: false,
+        error: { code: config.ERROR_CODES.INVALID_CHAT_ACTION, message: `不支持的操作: ${action}，可选：start, message, generate, end` }
+      };
+  }
+}
+
+// 每轮处理后写回存储，刷新过期时间
+async function _saved(state, result) {
+  state.updatedAt = Date.now();
+  await getChatStore().save(state.id, state);
+  return result;
+}
+
+function _newChat(event, userId) {
+  const language = config.SUPPORTED_LANGUAGES.includes(event.language)
+    ? event.language
+    : (event.message ? detectLanguage(event.message) : 'zh');
+  return {
+    id: `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    userId,
+    language,
+    phase: 'checkin',
+    messages: [],
+    suggestion: null,
+    practiced: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+async function startChat(state, event) {
+  const { language } = state;
+  log.info('开始对话:', { chatId: state.id, language });
+
+  // 开始时附带了第一句话，直接进入回复
+  if (event.message) {
+    state.messages.push({ role: 'assistant', content: _replies(language).opening });
+    return replyToMessage(state, event.message);
+  }
+
+  const reply = _replies(language).opening;
+  state.messages.push({ role: 'assistant', content: reply });
+  return { success: true, data: _view(state, { reply }) };
+}
+
+async function replyToMessage(state, message) {
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text || text.length > MAX_MESSAGE_LENGTH) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_CHAT_ACTION, message: `消息长度需在 1-${MAX_MESSAGE_LENGTH} 字之间` }
+    };
+  }
+
+  const { language } = state;
+  const replies = _replies(language);
+
+  // 危机表达：返回求助资源，会话保留
+  const inputCheck = moderateInput({ text });
+  if (inputCheck.action === 'crisis') {
+    log.warn('对话中检测到危机表达，返回求助资源:', state.id);
+    const crisis = buildCrisisResponse(language, inputCheck);
+    state.messages.push({ role: 'user', content: text }, { role: 'assistant', content: crisis.data.text });
+    return { ...crisis, data: { ...crisis.data, ..._view(state, { reply: crisis.data.text }) } };
+  }
+  if (inputCheck.action === 'block') {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INPUT_BLOCKED,
+        message: '输入内容未通过安全审核',
+        rules: inputCheck.flags.map(f => f.rule)
+      }
+    };
+  }
+
+  state.messages.push({ role: 'user', content: text });
+  const { messages: history, dropped } = trimHistory(state.messages);
+
+  const llmResp = await callLLM({
+    messages: [
+      {
+        role: 'system',
+        content: promptBuilder.buildCoachPrompt({
+          language,
+          phase: state.phase,
+          suggestion: state.suggestion,
+          practiced: state.practiced
+        })
+      },
+      ...history
+    ],
+    temperature: 0.7,
+    maxTokens: 300
+  });
+
+  const parsed = llmResp?.success ? parseJson(llmResp.data.text) : null;
+  let reply = typeof parsed?.reply === 'string' ? parsed.reply.trim() : '';
+  if (!llmResp?.success) {
+    log.warn('教练回复生成失败，使用模板回复:', llmResp?.error?.code);
+  } else if (!reply) {
+    log.warn('教练回复无法解析为 JSON，使用模板回复');
+  }
+
+  // 建议：checkin 阶段校验大模型给出的建议；大模型不可用时按用户全部发言规则推断
+  if (state.phase === 'checkin') {
+    const userText = state.messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const raw = parsed?.suggestion && typeof parsed.suggestion === 'object' ? parsed.suggestion : null;
+    if (raw || (!reply && _view(state).turns >= 2)) {
+      const { intent } = resolveIntent({ ...raw, language }, { text: userText, language, forcedLanguage: true });
+      state.suggestion = intent;
+    }
+  }
+
+  if (reply && !moderateOutput(reply, { language, relevance: false }).allowed) {
+    log.warn('教练回复未通过安全审核，使用模板回复');
+    reply = '';
+  }
+  if (!reply) {
+    if (state.phase === 'reflect') reply = replies.reflect;
+    else reply = state.suggestion ? replies.suggest(state.suggestion) : replies.checkin;
+  }
+
+  state.messages.push({ role: 'assistant', content: reply });
+  return {
+    success: true,
+    data: _view(state, { reply, history: { sent: history.length, trimmed: dropped } })
+  };
+}
+
+async function startPractice(state, event) {
+  const replies = _replies(state.language);
+  const suggestion = state.suggestion && {
+    ...state.suggestion,
+    // 允许用户在确认时微调时长与风格
+    ...(event.duration ? { duration: event.duration } : {}),
+    ...(event.style ? { style: event.style } : {})
+  };
+  if (!suggestion) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_CHAT_ACTION, message: '教练尚未给出练习建议，请先继续对话' }
+    };
+  }
+
+  const { customization, ...params } = suggestion;
+  const result = await handleMeditationGuide({
+    ...params,
+    language: state.language,
+    voice: !!event.voice,
+    options: {
+      ...event.options,
+      customization: { ...event.options?.customization, ...customization }
+    }
+  }, { userId: state.userId });
+  if (!result.success) return result;
+
+  const reply = replies.handoff(suggestion);
+  state.messages.push({ role: 'assistant', content: reply });
+  state.phase = 'reflect';
+  state.practiced = {
+    topic: result.data.metadata?.topic || suggestion.topic,
+    title: result.data.metadata?.title || null,
+    duration: result.data.metadata?.duration || suggestion.duration
+  };
+  log.info('对话转入练习:', { chatId: state.id, ...state.practiced });
+
+  return {
+    success: true,
+    data: _view(state, { reply, meditation: result.data })
+  };
+}
+
+module.exports = {
+  handleChat,
+  trimHistory
+};
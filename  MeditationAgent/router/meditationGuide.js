@@ -6,17 +6,25 @@
 
 const promptBuilder = require('../utils/meditation_prompt');
 const callLLM = require('../utils/call_llm');
-// ⚠️ 修复：utils/tts.js 导出的是 { synthesizeSpeech } 对象，需要按对象解构
-const { synthesizeSpeech } = require('../utils/tts');
+const { getProvider, listProviders } = require('../utils/llm_providers');
+// ⚠️ 修复：utils/tts.js 导出的是对象，需要按对象解构；整篇引导词走长文本分段合成
+const { synthesizeLongSpeech } = require('../utils/tts');
+const { resolveAmbience, listAmbiences } = require('../utils/ambience');
+const { parseScript, alignSegmentsToAudio } = require('../utils/script_parser');
+const { generateLongScript } = require('../utils/long_script');
+const { moderateInput, moderateOutput, buildCrisisResponse, getLexiconVersion } = require('../utils/moderation');
+const { CAPTION_FORMATS, normalizeCaptionFormat } = require('../utils/captions');
+const { getCache } = require('../utils/cache');
+const { recordUsage } = require('../utils/analytics');
+const { getCatalog } = require('../utils/catalog');
+const { shouldUseTemplate, buildTemplateScript } = require('../utils/template_fallback');
+const { getSessionStore } = require('../utils/session_store');
+const { resolvePrompt } = require('../utils/prompt_templates');
+const { getCacheKey, cacheResult, getCachedResult } = require('./generateMeditation');
+const { createLogger } = require('../utils/logger');
 const config = require('../config');
 
-// 日志工具
-const log = {
-  debug: (...args) => config.LOG_LEVEL === 'debug' && console.log('[DEBUG][MeditationGuide]', ...args),
-  info: (...args) => ['debug', 'info'].includes(config.LOG_LEVEL) && console.log('[INFO][MeditationGuide]', ...args),
-  warn: (...args) => console.warn('[WARN][MeditationGuide]', ...args),
-  error: (...args) => console.error('[ERROR][MeditationGuide]', ...args)
-};
+const log = createLogger('MeditationGuide');
 
 /**
  * 主处理函数 - 生成冥想引导内容
@@ -27,10 +35,23 @@ const log = {
  * @param {string} event.language - 语言（zh/en）
  * @param {boolean} event.voice - 是否生成语音
  * @param {Object} event.options - 高级选项
+ * @param {string|Object} event.options.ambience - 背景音景（rain / stream / singing_bowl / white_noise），
+ *   可传 { name, levelDb, duckDb, fadeIn, fadeOut } 调整电平、压低幅度与淡入淡出
+ * @param {string} event.options.captionFormat - 同时导出与音频对齐的句级字幕（vtt / srt / lrc），需 voice=true
+ * @param {string} event.options.provider - 首选大模型供应商（hunyuan / openai / local），失败时按回退链切换
+ * @param {string} event.options.model - 模型名称，仅作用于首选供应商
+ * @param {boolean} event.options.longForm - 时长 ≥ 30 分钟时默认分步生成，传 false 关闭
+ * @param {boolean} event.options.cache - 传 false 跳过结果缓存（config.CACHE_ENABLED 关闭时始终跳过）
+ * @param {boolean} event.options.fallback - 大模型不可用时默认改用本地模板拼装（metadata.source 为 template），传 false 关闭
+ * @param {Object} event.options.customization - 个性化要求；模板兜底时读取 userName（称呼）与 intention（练习意图）
+ * @param {string} event.options.promptVersion - 指定 Prompt 模板版本（排查 / 回放用），缺省按实验分组或使用当前版本
+ * @param {Object} ctx
+ * @param {string} ctx.userId - 登录用户按 Prompt 实验稳定分组，选中的版本与变体记录在 metadata.prompt
  * @returns {Promise<Object>} 返回生成的内容
  */
-async function handleMeditationGuide(event) {
+async function handleMeditationGuide(event, { userId } = {}) {
   log.info('收到请求:', JSON.stringify(event));
+  const startedAt = Date.now();
   
   try {
     // 1. 参数解析与默认值设置
@@ -46,12 +67,22 @@ async function handleMeditationGuide(event) {
     // 统一 duration 处理
     const duration = rawDuration || config.DEFAULT_DURATION;
     
-    // 判断是否为快速模式
+    // 判断是否为快速模式 / 长时段分步模式（先大纲、后逐段扩写）
     const isQuickMode = duration < 3;
-    log.info(`运行模式: ${isQuickMode ? 'Quick-Mode' : 'Standard'}, 时长: ${duration}分钟`);
+    const isLongForm = !isQuickMode && duration >= config.LONG_FORM_MIN_DURATION && options.longForm !== false;
+    const mode = isQuickMode ? 'quick' : (isLongForm ? 'long' : 'standard');
+    log.info(`运行模式: ${mode}, 时长: ${duration}分钟`);
 
     // 2. 参数验证
-    const validation = validateInputs({ topic, language, duration });
+    const validation = validateInputs({
+      topic,
+      language,
+      duration,
+      ambience: options.ambience,
+      captionFormat: options.captionFormat,
+      provider: options.provider,
+      pauses: options.pauses
+    });
     if (!validation.valid) {
       return {
         success: false,
@@ -59,60 +90,226 @@ async function handleMeditationGuide(event) {
       };
     }
 
-    // 3. 构建 Prompt - 支持快速模式
-    const prompt = isQuickMode
-      ? (promptBuilder?.buildQuickPrompt 
-          ? promptBuilder.buildQuickPrompt({ topic, style, language })
-          : `请生成一段简短的${duration}分钟冥想引导。主题：${topic}。要求：语言温柔，节奏紧凑，直接进入主题，避免冗长开场。`)
-      : (promptBuilder?.buildPrompt 
-          ? promptBuilder.buildPrompt({
-              topic,
-              style,
-              duration,
-              language,
-              customization: options.customization
-            })
-          : `请为我生成一个关于"${topic}"的冥想引导内容，时长约${duration}分钟，语言为${language}。`);
-    
-    log.info('Prompt 构建完成，长度:', prompt.length, '模式:', isQuickMode ? 'quick' : 'standard');
-
-    // 4. 调用大模型生成文本
-    const llmResp = await callLLM({
-      messages: [
-        {
-          role: 'system',
-          content: isQuickMode 
-            ? '你是一个专业的冥想引导师，擅长创作简短有力的快速冥想引导。请确保内容紧凑、直接、有效。'
-            : '你是一个专业的冥想引导师，擅长创作温和、平静的冥想引导词。'
-        },
-        {
-          role: 'user',
-          content: prompt
+    // 输入安全审核：危机表达不生成冥想，直接返回关怀话术与求助热线
+    const inputCheck = moderateInput({ topic, customization: options.customization });
+    if (inputCheck.action === 'crisis') {
+      log.warn('检测到危机表达，返回求助资源');
+      return buildCrisisResponse(language, inputCheck);
+    }
+    if (inputCheck.action === 'block') {
+      return {
+        success: false,
+        error: {
+          code: config.ERROR_CODES.INPUT_BLOCKED,
+          message: '输入内容未通过安全审核',
+          rules: inputCheck.flags.map(f => f.rule)
         }
-      ],
-      model: options.model || config.DEFAULT_MODEL,
-      temperature: isQuickMode ? 0.6 : (options.temperature || 0.7), // 快速模式降低随机性
-      maxTokens: calculateMaxTokens(duration, isQuickMode)
-    });
+      };
+    }
 
-    // 检查 LLM 响应
-    if (!llmResp?.success) {
-      log.warn('LLM 调用失败:', llmResp?.error);
+    // Prompt 模板版本：登录用户按实验分组，同一用户始终使用同一变体
+    const selectedPrompt = resolvePrompt({ userId, version: options.promptVersion });
+    if (!selectedPrompt) {
       return {
         success: false,
-        error: llmResp?.error || { 
-          code: config.ERROR_CODES.LLM_FAILED, 
-          message: '调用大模型失败' 
+        error: {
+          code: config.ERROR_CODES.INVALID_PROMPT_VERSION,
+          message: `Prompt 模板版本不存在: ${options.promptVersion}`
         }
       };
     }
+    const promptInfo = {
+      template: selectedPrompt.template,
+      version: selectedPrompt.version,
+      experiment: selectedPrompt.experiment,
+      variant: selectedPrompt.variant
+    };
+
+    // 结果缓存：键覆盖全部生成参数，安全词库、主题目录或 Prompt 模板版本变化后旧结果自动失效
+    const useCache = config.CACHE_ENABLED && options.cache !== false;
+    const { cache: _cacheOption, ...cacheOptions } = options;
+    const cacheParams = {
+      topic, style, duration, language, voice, options: cacheOptions,
+      lexiconVersion: getLexiconVersion(),
+      catalogVersion: getCatalog().version,
+      promptTemplate: `${selectedPrompt.template}@${selectedPrompt.version}`
+    };
+    if (useCache) {
+      const cached = await getCachedResult(cacheParams);
+      if (cached) {
+        log.info('命中结果缓存:', cached.data.metadata.cache.key);
+        const { metadata } = cached.data;
+        // 同一版本可能由其他实验变体写入，按本次请求的分组重新标注
+        if (metadata.prompt) metadata.prompt = promptInfo;
+        await recordUsage({
+          topic: metadata.topicId || metadata.topic,
+          style: metadata.style,
+          duration,
+          mode: metadata.mode,
+          language,
+          hasAudio: !!cached.data.audio,
+          latencyMs: Date.now() - startedAt,
+          provider: metadata.provider,
+          prompt: metadata.prompt,
+          cacheHit: true
+        });
+        return cached;
+      }
+    }
+
+    const pauses = getPausesByStyle(style, options.pauses);
+
+    // 3-4. 生成文本；safetyHints 为输出审核未通过后追加的修改要求
+    const generate = (safetyHints) => {
+      if (isLongForm) {
+        // 长时段：单次补全会被截断，先生成大纲再逐段扩写
+        return generateLongScript({
+          topic,
+          style,
+          duration,
+          language,
+          customization: options.customization,
+          pauses,
+          safetyHints,
+          llmOptions: {
+            provider: options.provider,
+            model: options.model,
+            temperature: options.temperature
+          },
+          promptTemplate: selectedPrompt.content
+        });
+      }
+
+      // 构建 Prompt - 支持快速模式
+      const prompt = isQuickMode
+        ? (promptBuilder?.buildQuickPrompt 
+            ? promptBuilder.buildQuickPrompt({ topic, style, language })
+            : `请生成一段简短的${duration}分钟冥想引导。主题：${topic}。要求：语言温柔，节奏紧凑，直接进入主题，避免冗长开场。`)
+        : (promptBuilder?.buildPrompt 
+            ? promptBuilder.buildPrompt({
+                topic,
+                style,
+                duration,
+                language,
+                customization: options.customization,
+                structured: true, // 要求按开场/主体/结束分段输出 JSON
+                promptTemplate: selectedPrompt.content
+              })
+            : `请为我生成一个关于"${topic}"的冥想引导内容，时长约${duration}分钟，语言为${language}。`);
+
+      log.info('Prompt 构建完成，长度:', prompt.length, '模式:', mode);
+
+      const systemPrompt = isQuickMode
+        ? '你是一个专业的冥想引导师，擅长创作简短有力的快速冥想引导。请确保内容紧凑、直接、有效。'
+        : '你是一个专业的冥想引导师，擅长创作温和、平静的冥想引导词。';
+
+      // 调用大模型生成文本
+      return callLLM({
+        messages: [
+          {
+            role: 'system',
+            content: safetyHints.length
+              ? `${systemPrompt}\n\n【安全要求】\n${safetyHints.map(h => `- ${h}`).join('\n')}`
+              : systemPrompt
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        provider: options.provider,
+        model: options.model, // 缺省时使用各供应商的默认模型
+        temperature: isQuickMode ? 0.6 : (options.temperature || 0.7), // 快速模式降低随机性
+        maxTokens: calculateMaxTokens(duration, isQuickMode)
+      });
+    };
+
+    // 大模型不可用时用本地模板拼装，保证总有内容可播放
+    const useTemplate = (error) => {
+      if (options.fallback === false || !shouldUseTemplate(error)) return null;
+      const fallback = buildTemplateScript({
+        topic,
+        topicDetails: promptBuilder?.getTopicDetails ? promptBuilder.getTopicDetails(topic, language) : null,
+        style,
+        duration,
+        language,
+        customization: options.customization,
+        pauses
+      });
+      if (fallback) log.warn('改用模板兜底:', error?.code, fallback.template.id, fallback.template.style);
+      return fallback;
+    };
+
+    const safetyHints = [];
+    let regenerations = 0;
+    let llmResp;
+    let script;
+    let fallbackReason = null;
+
+    for (;;) {
+      llmResp = await generate(safetyHints);
+
+      // 检查 LLM 响应
+      if (!llmResp?.success) {
+        log.warn('LLM 调用失败:', llmResp?.error);
+        script = useTemplate(llmResp?.error);
+        if (script) {
+          fallbackReason = llmResp?.error?.code || config.ERROR_CODES.LLM_FAILED;
+          break;
+        }
+        return {
+          success: false,
+          error: llmResp?.error || { 
+            code: config.ERROR_CODES.LLM_FAILED, 
+            message: '调用大模型失败' 
+          }
+        };
+      }
+
+      // 兼容多种响应格式
+      const rawText = llmResp.data?.text ||
+                      llmResp.data?.choices?.[0]?.message?.content ||
+                      llmResp.data?.content ||
+                      '';
+
+      // 解析分段脚本（JSON 不合法时自动修复或按小标题切分），纯文本保留给旧版客户端；分步生成时已拼装好
+      script = llmResp.data?.script || (rawText ? parseScript(rawText, { language, pauses }) : null);
+      if (!script?.text) break;
+
+      // 输出安全审核：医疗承诺、不安全的呼吸指导、跑题等，附带修改要求重新生成
+      const review = moderateOutput(script.text, { language });
+      if (review.allowed) break;
+
+      if (regenerations >= config.SAFETY_MAX_REGENERATIONS) {
+        log.warn('重新生成后仍未通过安全审核:', review.flags);
+        return {
+          success: false,
+          error: {
+            code: config.ERROR_CODES.CONTENT_BLOCKED,
+            message: '生成内容未通过安全审核，请调整主题或要求后重试',
+            rules: review.flags.map(f => f.rule)
+          }
+        };
+      }
+
+      regenerations++;
+      review.hints.forEach(hint => !safetyHints.includes(hint) && safetyHints.push(hint));
+      log.warn(`输出未通过安全审核，第 ${regenerations} 次重新生成:`, review.flags.map(f => f.rule).join(', '));
+    }
+
+    if (!script?.text && !fallbackReason) {
+      script = useTemplate({ code: config.ERROR_CODES.EMPTY_CONTENT });
+      if (script) fallbackReason = config.ERROR_CODES.EMPTY_CONTENT;
+    }
+
+    const meditationText = script?.text || '';
+    const source = fallbackReason ? 'template' : 'llm';
+    const generator = fallbackReason
+      ? { provider: 'template', model: null, generation: { strategy: 'template', calls: 0 }, usage: {} }
+      : llmResp.data;
+    // 快速模式与模板兜底不使用 Prompt 模板，不计入实验
+    const promptMeta = source === 'llm' && !isQuickMode ? promptInfo : null;
 
-    // 兼容多种响应格式
-    const meditationText = llmResp.data?.text ||
-                          llmResp.data?.choices?.[0]?.message?.content ||
-                          llmResp.data?.content ||
-                          '';
-    
     if (!meditationText) {
       log.warn('大模型返回内容为空');
       return {
@@ -124,10 +321,14 @@ async function handleMeditationGuide(event) {
       };
     }
 
-    log.info('文本生成成功，字数:', meditationText.length);
+    log.info('文本生成成功，字数:', meditationText.length, '分段数:', script.segments.length, '格式:', script.format);
+    if (script.issues.length > 0) {
+      log.warn('脚本结构已修复:', script.issues.join(', '));
+    }
 
     // 5. 生成语音（可选）
     let audioData = null;
+    let segments = script.segments;
     if (voice && language === 'zh') {
       try {
         log.info('开始生成语音...');
@@ -137,24 +338,35 @@ async function handleMeditationGuide(event) {
           ? (options.speed || 1.1)  // 快速模式默认稍快
           : (options.speed || config.DEFAULT_SPEED);
         
-        // 修复：调用正确解构的 synthesizeSpeech 函数
-        const ttsResponse = await synthesizeSpeech({
-          text: meditationText,
+        // 整篇文本远超单次合成上限，按句切分后合成并拼接；停顿标记渲染为静音并按请求时长伸缩
+        const ttsResponse = await synthesizeLongSpeech(meditationText, {
           voiceType: options.voiceType || getVoiceByStyleAndTopic(style, topic),
           speed: speechRate,
           volume: options.volume || config.DEFAULT_VOLUME,
-          format: options.format || config.DEFAULT_FORMAT
+          lang: language,
+          pauses,
+          targetDuration: duration * 60,
+          minStretch: config.PAUSE_MIN_STRETCH,
+          maxStretch: config.PAUSE_MAX_STRETCH,
+          ambience: getAmbience(options.ambience),
+          captionFormat: options.captionFormat ? normalizeCaptionFormat(options.captionFormat) : undefined
         });
 
-        if (ttsResponse?.success || ttsResponse?.audioUrl) {
+        if (ttsResponse?.url) {
           audioData = {
-            url: ttsResponse.audioUrl || ttsResponse.url,
+            url: ttsResponse.url,
             duration: ttsResponse.duration,
-            format: ttsResponse.format || config.DEFAULT_FORMAT
+            speechDuration: ttsResponse.speechDuration,
+            silenceDuration: ttsResponse.silenceDuration,
+            format: ttsResponse.format || config.DEFAULT_FORMAT,
+            ambience: ttsResponse.ambience || null,
+            captions: ttsResponse.captions || null,
+            chunks: ttsResponse.chunks.map(({ index, offset, duration }) => ({ index, offset, duration }))
           };
-          log.info('语音生成成功');
+          segments = alignSegmentsToAudio(segments, ttsResponse.chunks);
+          log.info('语音生成成功，总时长:', ttsResponse.duration, '秒，分段数:', ttsResponse.chunks.length);
         } else {
-          log.warn('语音生成失败:', ttsResponse?.error);
+          log.warn('语音生成失败: 未获得音频地址（COS 未配置或上传失败）');
         }
       } catch (ttsError) {
         log.error('TTS 异常:', ttsError);
@@ -171,14 +383,24 @@ async function handleMeditationGuide(event) {
       success: true,
       data: {
         text: meditationText,
+        segments,
         audio: audioData,
         metadata: {
+          title: script.title,
+          scriptFormat: script.format, // structured | repaired | text | template
+          source, // llm | template（大模型不可用时的模板兜底）
+          ...(fallbackReason ? { fallback: { reason: fallbackReason, ...script.template } } : {}),
           topic: topicDetails ? topicDetails.name : topic,
           topicId: topicDetails ? topicDetails.id : null,
           style: style || (topicDetails ? topicDetails.recommendedStyles?.[0] : 'gentle'),
           duration,
-          mode: isQuickMode ? 'quick' : 'standard', // 标注运行模式
+          mode, // 标注运行模式：quick / standard / long
           language,
+          provider: generator.provider, // 实际响应的大模型供应商（可能来自回退），模板兜底时为 template
+          model: generator.model,
+          generation: generator.generation || { strategy: 'single', calls: 1 },
+          prompt: promptMeta, // { template, version, experiment, variant }
+          safety: { checked: config.SAFETY_ENABLED, regenerations, lexiconVersion: getLexiconVersion() },
           benefits: topicDetails ? topicDetails.benefits : [],
           targetAudience: topicDetails ? topicDetails.targetAudience : [],
           generatedAt: new Date().toISOString(),
@@ -189,19 +411,36 @@ async function handleMeditationGuide(event) {
       }
     };
 
-    // 8. 记录使用统计
-    if (config.ENABLE_ANALYTICS) {
-      await recordUsage({
-        topic: result.data.metadata.topicId,
-        style: result.data.metadata.style,
-        duration: result.data.metadata.duration,
-        mode: result.data.metadata.mode,
-        language,
-        hasAudio: !!audioData,
-        timestamp: result.data.metadata.generatedAt
-      });
+    // 8. 写入缓存；需要语音但合成失败的结果、模板兜底的结果不缓存，下次重新生成
+    if (useCache) {
+      const cache = getCache();
+      const cacheable = source === 'llm' && !(voice && language === 'zh' && !audioData);
+      result.data.metadata.cache = {
+        hit: false,
+        backend: cache.name,
+        key: getCacheKey(cacheParams),
+        stored: cacheable ? await cacheResult(result, cacheParams) : false
+      };
+    } else {
+      result.data.metadata.cache = { enabled: false, hit: false };
     }
 
+    // 9. 记录使用统计（ENABLE_ANALYTICS 关闭时不记录）
+    const usage = generator.usage || {};
+    await recordUsage({
+      topic: result.data.metadata.topicId || topic,
+      style: result.data.metadata.style,
+      duration: result.data.metadata.duration,
+      mode: result.data.metadata.mode,
+      language,
+      hasAudio: !!audioData,
+      latencyMs: Date.now() - startedAt,
+      tokens: { prompt: usage.prompt_tokens, completion: usage.completion_tokens, total: usage.total_tokens },
+      provider: result.data.metadata.provider,
+      prompt: promptMeta,
+      timestamp: result.data.metadata.generatedAt
+    });
+
     return result;
 
   } catch (error) {
@@ -221,7 +460,7 @@ async function handleMeditationGuide(event) {
 /**
  * 输入参数验证
  */
-function validateInputs({ topic, language, duration }) {
+function validateInputs({ topic, language, duration, ambience, captionFormat, provider, pauses }) {
   // 验证语言
   if (language && !config.SUPPORTED_LANGUAGES.includes(language)) {
     return {
@@ -244,6 +483,70 @@ function validateInputs({ topic, language, duration }) {
     };
   }
 
+  // 验证背景音景（可选）
+  if (ambience && duration > config.AMBIENCE_MAX_DURATION) {
+    return {
+      valid: false,
+      error: {
+        message: `背景音景仅支持 ${config.AMBIENCE_MAX_DURATION} 分钟以内的练习`,
+        code: config.ERROR_CODES.INVALID_AMBIENCE
+      }
+    };
+  }
+  if (ambience) {
+    try {
+      getAmbience(ambience);
+    } catch (error) {
+      return {
+        valid: false,
+        error: {
+          message: error.message,
+          code: config.ERROR_CODES.INVALID_AMBIENCE,
+          supportedAmbiences: listAmbiences().map(a => a.name)
+        }
+      };
+    }
+  }
+
+  // 验证字幕格式（可选）
+  if (captionFormat && !normalizeCaptionFormat(captionFormat)) {
+    return {
+      valid: false,
+      error: {
+        message: `不支持的字幕格式: ${captionFormat}`,
+        code: config.ERROR_CODES.INVALID_CAPTION_FORMAT,
+        supportedFormats: Object.keys(CAPTION_FORMATS)
+      }
+    };
+  }
+
+  // 验证大模型供应商（可选）
+  if (provider && !getProvider(provider)) {
+    return {
+      valid: false,
+      error: {
+        message: `不支持的大模型供应商: ${provider}`,
+        code: config.ERROR_CODES.INVALID_PROVIDER,
+        supportedProviders: listProviders()
+      }
+    };
+  }
+
+  // 验证停顿覆盖（可选）：仅允许 short / long / paragraph，取值为 0 ~ PAUSE_OVERRIDE_MAX 秒
+  if (pauses !== undefined) {
+    const pauseError = _checkPauses(pauses);
+    if (pauseError) {
+      return {
+        valid: false,
+        error: {
+          message: pauseError,
+          code: config.ERROR_CODES.INVALID_PAUSES,
+          supportedPauses: Object.keys(config.DEFAULT_PAUSES)
+        }
+      };
+    }
+  }
+
   // 验证主题（可选）
   if (config.STRICT_TOPIC_VALIDATION && promptBuilder?.getSupportedTopics) {
     const supportedTopics = promptBuilder.getSupportedTopics(language || 'zh');
@@ -264,6 +567,24 @@ function validateInputs({ topic, language, duration }) {
   return { valid: true };
 }
 
+/**
+ * 检查停顿覆盖参数，合法时返回 null，否则返回错误说明
+ */
+function _checkPauses(pauses) {
+  if (!pauses || typeof pauses !== 'object' || Array.isArray(pauses)) {
+    return 'pauses 必须为对象，如 { "short": 2, "long": 5 }';
+  }
+  for (const [key, value] of Object.entries(pauses)) {
+    if (!Object.hasOwn(config.DEFAULT_PAUSES, key)) {
+      return `不支持的停顿类型: ${key}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > config.PAUSE_OVERRIDE_MAX) {
+      return `停顿 ${key} 必须为 0-${config.PAUSE_OVERRIDE_MAX} 秒之间的数字`;
+    }
+  }
+  return null;
+}
+
 /**
  * 根据时长计算最大 token 数
  * @param {number} duration - 时长（分钟）
@@ -285,6 +606,29 @@ function getVoiceByStyleAndTopic(style, topic) {
          config.DEFAULT_VOICE_TYPE;
 }
 
+/**
+ * 根据风格获取停顿时长配置，允许请求覆盖
+ */
+function getPausesByStyle(style, overrides = {}) {
+  return {
+    ...config.DEFAULT_PAUSES,
+    ...config.STYLE_PAUSE_MAP[style],
+    ...overrides
+  };
+}
+
+/**
+ * 解析背景音景参数，未指定的电平 / 淡入淡出使用全局配置
+ */
+function getAmbience(ambience) {
+  return resolveAmbience(ambience, {
+    levelDb: config.AMBIENCE_LEVEL_DB,
+    duckDb: config.AMBIENCE_DUCK_DB,
+    fadeIn: config.AMBIENCE_FADE_IN,
+    fadeOut: config.AMBIENCE_FADE_OUT
+  });
+}
+
 /**
  * 统计字数
  */
@@ -307,22 +651,11 @@ function estimateReadTime(text, language) {
   return Math.ceil((wordCount / wordsPerMinute) * 60);
 }
 
-/**
- * 记录使用统计
- */
-async function recordUsage(data) {
-  try {
-    // TODO: 实际项目中可以写入数据库或分析服务
-    console.log('[Analytics] 记录使用:', data);
-  } catch (error) {
-    console.warn('[Analytics] 记录失败:', error.message);
-  }
-}
-
 /**
  * 批量生成接口
+ * @param {Object} ctx - 同 handleMeditationGuide
  */
-async function handleBatchGeneration(event) {
+async function handleBatchGeneration(event, ctx = {}) {
   const { topics, baseOptions = {} } = event;
   
   if (!Array.isArray(topics) || topics.length === 0) {
@@ -344,7 +677,7 @@ async function handleBatchGeneration(event) {
       : { ...baseOptions, ...topicConfig };
     
     try {
-      const result = await handleMeditationGuide(options);
+      const result = await handleMeditationGuide(options, ctx);
       results.push({
         topic: options.topic,
         success: result.success,
@@ -375,8 +708,9 @@ async function handleBatchGeneration(event) {
 
 /**
  * 预览模式 - 仅生成文本，不生成语音
+ * @param {Object} ctx - 同 handleMeditationGuide
  */
-async function handleMeditationPreview(event) {
+async function handleMeditationPreview(event, ctx = {}) {
   log.info('[MeditationPreview] 开始预览生成');
   
   // 强制设置 voice 为 false
@@ -390,7 +724,7 @@ async function handleMeditationPreview(event) {
   };
   
   // 调用主生成函数
-  const result = await handleMeditationGuide(previewEvent);
+  const result = await handleMeditationGuide(previewEvent, ctx);
   
   // 添加预览标识
   if (result.success) {
@@ -405,11 +739,17 @@ async function handleMeditationPreview(event) {
 
 /**
  * 主题推荐接口
+ * @param {Object} event
+ * @param {string[]} event.keywords - 关键词，如 ['睡不着', 'insomnia']
+ * @param {string} event.text - 可选，一句话描述需求，与 keywords 合并分词
+ * @param {number} event.hour - 可选，用户本地小时（0–23），缺省按北京时间
+ * @param {Object} ctx
+ * @param {string} ctx.userId - 登录用户会结合近期练习记录
  */
-async function handleTopicRecommendation(event) {
-  const { keywords = [], language = 'zh' } = event;
+async function handleTopicRecommendation(event, { userId } = {}) {
+  const { keywords = [], text, language = 'zh' } = event;
   
-  if (!Array.isArray(keywords) || keywords.length === 0) {
+  if (!Array.isArray(keywords) || (keywords.length === 0 && !text)) {
     return {
       success: false,
       error: {
@@ -419,11 +759,17 @@ async function handleTopicRecommendation(event) {
     };
   }
 
+  // 情境：用户本地时段（缺省按北京时间）与近期练习记录
+  const hour = Number.isInteger(event.hour)
+    ? event.hour
+    : new Date(Date.now() + config.QUOTA_UTC_OFFSET * 3600 * 1000).getUTCHours();
+  const history = await getRecentHistory(userId);
+
   // 安全调用 promptBuilder
   let recommendations = [];
   if (promptBuilder?.recommendTopics) {
     try {
-      recommendations = promptBuilder.recommendTopics(keywords, language);
+      recommendations = promptBuilder.recommendTopics(text ? [...keywords, text] : keywords, language, { hour, history });
     } catch (error) {
       console.warn('[TopicRecommendation] promptBuilder 调用失败:', error.message);
       // 提供默认推荐
@@ -438,11 +784,26 @@ async function handleTopicRecommendation(event) {
     data: {
       keywords,
       recommendations: recommendations.slice(0, 5), // 返回前5个推荐
-      total: recommendations.length
+      total: recommendations.length,
+      context: { hour, historyCount: history.length }
     }
   };
 }
 
+/**
+ * 近期练习记录（匿名用户或读取失败时为空）
+ */
+async function getRecentHistory(userId) {
+  if (!userId || userId === 'anonymous') return [];
+  try {
+    const { items } = await getSessionStore().list(userId, { limit: 30 });
+    return items.map(r => ({ topic: r.params.topic, topicId: r.metadata?.topicId, createdAt: r.createdAt }));
+  } catch (error) {
+    log.warn('读取练习记录失败:', error.message);
+    return [];
+  }
+}
+
 /**
  * 获取默认推荐主题
  */
@@ -479,6 +840,8 @@ module.exports = {
   validateInputs,
   calculateMaxTokens,
   getVoiceByStyleAndTopic,
+  getPausesByStyle,
+  getAmbience,
   countWords,
   estimateReadTime
 };
\ No newline at end of file
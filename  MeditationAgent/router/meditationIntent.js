@@ -0,0 +1,190 @@
+/**
+ * 自然语言意图路由
+ * 把一句话（如「我明天要面试很紧张，只有五分钟」）解析为 topic / style / duration / language / customization：
+ * 1. 大模型按可选主题与风格提取参数（JSON）
+ * 2. 大模型不可用或输出不合法时，按规则解析（时长、语言、风格关键词 + 主题推荐引擎）
+ * 3. 结果逐项校验：主题必须在 getSupportedTopics 中、风格必须在 getSupportedStyles 中，时长限制在 1–60 分钟
+ * 可选 execute=true 直接以解析结果调用 handleMeditationGuide 生成冥想
+ */
+
+const promptBuilder = require('../utils/meditation_prompt');
+const callLLM = require('../utils/call_llm');
+const { parseJson } = require('../utils/script_parser');
+const { extractDuration, detectLanguage, detectStyle } = require('../utils/intent_parser');
+const { moderateInput, buildCrisisResponse } = require('../utils/moderation');
+const { handleMeditationGuide } = require('./meditationGuide');
+const { createLogger } = require('../utils/logger');
+const config = require('../config');
+
+const log = createLogger('MeditationIntent');
+
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * 意图解析入口
+ * @param {Object} event
+ * @param {string} event.text - 用户的自然语言描述
+ * @param {string} event.language - 可选，强制语言；缺省按描述判断
+ * @param {boolean} event.execute - 为 true 时直接生成冥想
+ * @param {boolean} event.voice - execute 时是否生成语音
+ * @param {Object} event.options - execute 时透传给 generate 的高级选项
+ * @param {Object} ctx
+ * @param {string} ctx.userId - execute 时用于 Prompt 实验分组
+ * @returns {Promise<Object>} { success, data: { intent, source, adjustments, meditation? } }
+ */
+async function handleIntent(event = {}, { userId } = {}) {
+  const text = typeof event.text === 'string' ? event.text.trim() : '';
+  if (!text || text.length > MAX_TEXT_LENGTH) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_INTENT,
+        message: `请提供 1-${MAX_TEXT_LENGTH} 字的需求描述`
+      }
+    };
+  }
+
+  const language = config.SUPPORTED_LANGUAGES.includes(event.language) ? event.language : detectLanguage(text);
+
+  // 危机表达优先返回求助资源，不解析、不生成
+  const inputCheck = moderateInput({ text });
+  if (inputCheck.action === 'crisis') {
+    log.warn('检测到危机表达，返回求助资源');
+    return buildCrisisResponse(language, inputCheck);
+  }
+  if (inputCheck.action === 'block') {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INPUT_BLOCKED,
+        message: '输入内容未通过安全审核',
+        rules: inputCheck.flags.map(f => f.rule)
+      }
+    };
+  }
+
+  // 1. 大模型解析
+  let raw = null;
+  let source = 'rules';
+  const llmResp = await callLLM({
+    messages: [
+      { role: 'system', content: '你只输出 JSON。' },
+      { role: 'user', content: promptBuilder.buildIntentPrompt({ text, language }) }
+    ],
+    provider: event.options?.provider,
+    temperature: 0.2,
+    maxTokens: 400
+  });
+  if (llmResp?.success) {
+    raw = parseJson(llmResp.data.text);
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      source = 'llm';
+    } else {
+      log.warn('大模型意图输出无法解析，改用规则解析');
+      raw = null;
+    }
+  } else {
+    log.warn('大模型意图解析失败，改用规则解析:', llmResp?.error?.code);
+  }
+
+  // 2-3. 规则兜底与校验
+  const { intent, adjustments } = resolveIntent(raw || {}, { text, language, forcedLanguage: !!event.language });
+  log.info('意图解析完成:', { source, intent, adjustments });
+
+  const data = { text, intent, source, adjustments };
+
+  // 4. 可选：直接生成
+  if (event.execute) {
+    const { customization, ...params } = intent;
+    const result = await handleMeditationGuide({
+      ...params,
+      voice: !!event.voice,
+      options: {
+        ...event.options,
+        customization: { ...event.options?.customization, ...customization }
+      }
+    }, { userId });
+    if (!result.success) {
+      return { success: false, error: result.error, data };
+    }
+    data.meditation = result.data;
+  }
+
+  return { success: true, data };
+}
+
+/**
+ * 合并大模型结果与规则解析结果，并校验每个字段
+ * @param {Object} raw - 大模型输出的 JSON（可能缺字段或不合法）
+ * @param {Object} ctx - { text, language, forcedLanguage }
+ * @returns {{ intent: Object, adjustments: string[] }} adjustments 记录被规则修正的字段
+ */
+function resolveIntent(raw, { text, language, forcedLanguage }) {
+  const adjustments = [];
+  const styles = promptBuilder.getSupportedStyles();
+
+  // 语言：显式指定优先，其次大模型，最后按文字判断
+  const lang = forcedLanguage || !config.SUPPORTED_LANGUAGES.includes(raw.language) ? language : raw.language;
+
+  // 主题：必须是受支持的主题，否则用推荐引擎的首选
+  const topics = promptBuilder.getSupportedTopics(lang);
+  let topic = topics.includes(raw.topic) ? raw.topic : null;
+  if (!topic) {
+    const details = raw.topic ? promptBuilder.getTopicDetails(raw.topic, lang) : null;
+    topic = details && topics.includes(details.name) ? details.name : null;
+  }
+  if (!topic) {
+    const [best] = promptBuilder.recommendTopics(text, lang);
+    topic = best && topics.includes(best.topic) ? best.topic : topics[0];
+    adjustments.push(raw.topic ? `topic:${raw.topic}→${topic}` : 'topic:rules');
+  }
+  const topicDetails = promptBuilder.getTopicDetails(topic, lang);
+
+  // 风格：必须是受支持的 key，否则按关键词或主题推荐风格
+  let style = styles.includes(raw.style) ? raw.style : null;
+  if (!style) {
+    style = detectStyle(text, styles)
+      || topicDetails?.recommendedStyles?.find(s => styles.includes(s))
+      || (styles.includes('gentle') ? 'gentle' : styles[0]);
+    adjustments.push(raw.style ? `style:${raw.style}→${style}` : 'style:rules');
+  }
+
+  // 时长：1–60 分钟整数；未提及时用主题默认时长
+  let duration = Number.isFinite(Number(raw.duration)) && raw.duration !== null ? Math.round(Number(raw.duration)) : null;
+  const ruleDuration = extractDuration(text);
+  if (duration === null && ruleDuration !== null) {
+    duration = ruleDuration;
+    adjustments.push('duration:rules');
+  }
+  if (duration === null) {
+    duration = topicDetails?.defaultDuration || config.DEFAULT_DURATION;
+    adjustments.push('duration:default');
+  }
+  const clamped = Math.max(1, Math.min(60, duration));
+  if (clamped !== duration) adjustments.push(`duration:${duration}→${clamped}`);
+
+  // 个性化：只保留字符串要求；规则解析时把原话作为情境说明
+  const requirements = (Array.isArray(raw.customization?.specialRequirements) ? raw.customization.specialRequirements : [])
+    .filter(r => typeof r === 'string' && r.trim())
+    .map(r => r.trim())
+    .slice(0, 3);
+  if (requirements.length === 0) {
+    requirements.push(lang === 'zh' ? `结合用户的情境：${text}` : `Consider the user's situation: ${text}`);
+  }
+
+  return {
+    intent: {
+      topic,
+      style,
+      duration: clamped,
+      language: lang,
+      customization: { specialRequirements: requirements }
+    },
+    adjustments
+  };
+}
+
+module.exports = {
+  handleIntent,
+  resolveIntent
+};
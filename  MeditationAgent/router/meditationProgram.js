@@ -0,0 +1,227 @@
+/**
+ * 多日冥想课程路由
+ * 如「7 天改善睡眠」「21 天焦虑重置」：按主题目录的 progression / defaultDuration / recommendedStyles
+ * 规划每一天（见 utils/program_planner.js），进度按用户保存：
+ * - create  ：创建课程，返回每天的重点、难度、时长与风格
+ * - list    ：当前用户的课程列表
+ * - get     ：课程详情与进度
+ * - day     ：按需生成某一天（默认当前天）的冥想，调用 handleMeditationGuide；未解锁的天不可生成
+ * - complete：标记某天完成，当前天前进到下一天
+ * 需要登录后使用
+ */
+
+const promptBuilder = require('../utils/meditation_prompt');
+const { getProgramStore } = require('../utils/program_store');
+const { buildProgramPlan, buildDayRequirements } = require('../utils/program_planner');
+const { handleMeditationGuide } = require('./meditationGuide');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('MeditationProgram');
+
+const ANONYMOUS = 'anonymous';
+const ACTIONS = ['create', 'list', 'get', 'day', 'complete'];
+
+const _invalid = (message) => failure(config.ERROR_CODES.INVALID_PROGRAM, message);
+
+const _notFound = (programId) => ({
+  success: false,
+  error: { code: config.ERROR_CODES.PROGRAM_NOT_FOUND, message: `课程不存在: ${programId}` }
+});
+
+function _status(program, entry) {
+  if (entry.completedAt) return 'completed';
+  if (entry.day === program.currentDay) return 'current';
+  return entry.day < program.currentDay ? 'available' : 'locked';
+}
+
+function _summary(program) {
+  const completed = program.plan.filter(d => d.completedAt).length;
+  return {
+    programId: program.id,
+    title: program.title,
+    topic: program.topic,
+    topicId: program.topicId,
+    language: program.language,
+    days: program.days,
+    currentDay: program.currentDay,
+    completedDays: completed,
+    progress: Math.round((completed / program.days) * 100),
+    finished: !!program.completedAt,
+    createdAt: program.createdAt,
+    updatedAt: program.updatedAt
+  };
+}
+
+const _view = (program) => ({
+  ..._summary(program),
+  progression: program.progression,
+  plan: program.plan.map(entry => ({ ...entry, status: _status(program, entry) }))
+});
+
+/**
+ * 课程入口
+ * @param {Object} event
+ * @param {string} event.action - create | list | get | day | complete，缺省按是否带 programId 判断
+ * @param {string} event.topic - create：主题（名称或 id）
+ * @param {number} event.days - create：天数，默认 config.PROGRAM_DEFAULT_DAYS
+ * @param {string} event.language - create：zh / en
+ * @param {string} event.title - create：可选，自定义课程名
+ * @param {string} event.programId - 其余操作必填
+ * @param {number} event.day - day / complete：第几天，默认当前天
+ * @param {boolean} event.voice - day：是否生成语音
+ * @param {Object} event.options - day：透传给 generate 的高级选项
+ * @param {Object} ctx
+ * @param {string} ctx.userId
+ * @returns {Promise<Object>}
+ */
+async function handleProgram(event = {}, { userId } = {}) {
+  if (!userId || userId === ANONYMOUS) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.USER_REQUIRED, message: '多日课程需要登录后使用' }
+    };
+  }
+
+  const action = event.action || (event.programId ? 'get' : 'create');
+  if (!ACTIONS.includes(action)) {
+    return _invalid(`不支持的操作: ${action}，可选：${ACTIONS.join(', ')}`);
+  }
+
+  const store = getProgramStore();
+  if (action === 'create') return createProgram(event, userId, store);
+
+  if (action === 'list') {
+    const limit = Math.max(1, Math.min(config.PROGRAM_MAX_PER_USER, Number(event.limit) || 20));
+    const { items, nextCursor } = await store.list(userId, { limit, cursor: event.cursor });
+    return { success: true, data: { items: items.map(_summary), nextCursor } };
+  }
+
+  if (!event.programId) return _invalid('请提供 programId');
+  const program = await store.get(userId, event.programId);
+  if (!program) return _notFound(event.programId);
+
+  if (action === 'get') return { success: true, data: _view(program) };
+
+  const day = event.day ?? program.currentDay;
+  const entry = Number.isInteger(day) ? program.plan[day - 1] : null;
+  if (!entry) return _invalid(`day 应为 1-${program.days} 之间的整数`);
+  if (day > program.currentDay) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.PROGRAM_DAY_LOCKED,
+        message: `第 ${day} 天尚未解锁，请先完成第 ${program.currentDay} 天`
+      }
+    };
+  }
+
+  return action === 'day'
+    ? generateDay(program, entry, event, store)
+    : completeDay(program, entry, store);
+}
+
+async function createProgram(event, userId, store) {
+  const { topic, days = config.PROGRAM_DEFAULT_DAYS } = event;
+  const language = event.language || 'zh';
+
+  if (!config.SUPPORTED_LANGUAGES.includes(language)) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_LANGUAGE,
+        message: `不支持的语言: ${language}，可选：${config.SUPPORTED_LANGUAGES.join(', ')}`
+      }
+    };
+  }
+  const details = topic ? promptBuilder.getTopicDetails(topic, language) : null;
+  if (!details) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_TOPIC,
+        message: `不支持的主题: ${topic}，可选：${promptBuilder.getSupportedTopics(language).join(', ')}`
+      }
+    };
+  }
+  if (!Number.isInteger(days) || days < config.PROGRAM_MIN_DAYS || days > config.PROGRAM_MAX_DAYS) {
+    return _invalid(`days 应为 ${config.PROGRAM_MIN_DAYS}-${config.PROGRAM_MAX_DAYS} 之间的整数`);
+  }
+
+  const now = new Date().toISOString();
+  const program = {
+    id: `prog_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    userId,
+    title: typeof event.title === 'string' && event.title.trim()
+      ? event.title.trim().slice(0, 50)
+      : (language === 'zh' ? `${days} 天${details.name}课程` : `${days}-Day ${details.name} Program`),
+    topic: details.name,
+    topicId: details.id,
+    language,
+    days,
+    progression: details.progression?.length ? details.progression : [details.name],
+    plan: buildProgramPlan(details, { days }).map(entry => ({ ...entry, generatedAt: null, sessionTitle: null, completedAt: null })),
+    currentDay: 1,
+    completedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.save(program);
+  log.info('创建课程:', { userId, programId: program.id, topic: program.topic, days });
+  return { success: true, data: _view(program) };
+}
+
+async function generateDay(program, entry, event, store) {
+  const options = event.options || {};
+  const extra = options.customization?.specialRequirements ?? [];
+  if (!Array.isArray(extra) || !extra.every(r => typeof r === 'string')) {
+    return _invalid('options.customization.specialRequirements 应为字符串数组');
+  }
+  const requirements = [...buildDayRequirements(program, entry, program.language), ...extra];
+
+  const result = await handleMeditationGuide({
+    topic: program.topic,
+    style: entry.style,
+    duration: entry.duration,
+    language: program.language,
+    voice: !!event.voice,
+    options: {
+      ...options,
+      customization: { ...options.customization, specialRequirements: requirements }
+    }
+  }, { userId: program.userId });
+  if (!result.success) return result;
+
+  entry.generatedAt = new Date().toISOString();
+  entry.sessionTitle = result.data.metadata?.title || null;
+  program.updatedAt = entry.generatedAt;
+  await store.save(program);
+  log.info('生成课程当天内容:', { programId: program.id, day: entry.day, duration: entry.duration, style: entry.style });
+
+  return {
+    success: true,
+    data: {
+      program: _summary(program),
+      day: { ...entry, status: _status(program, entry) },
+      meditation: result.data
+    }
+  };
+}
+
+async function completeDay(program, entry, store) {
+  const now = new Date().toISOString();
+  entry.completedAt = entry.completedAt || now;
+  program.currentDay = Math.max(program.currentDay, Math.min(program.days, entry.day + 1));
+  if (program.plan.every(d => d.completedAt)) program.completedAt = program.completedAt || now;
+  program.updatedAt = now;
+
+  await store.save(program);
+  log.info('完成课程当天练习:', { programId: program.id, day: entry.day, currentDay: program.currentDay });
+  return { success: true, data: _view(program) };
+}
+
+module.exports = {
+  handleProgram
+};
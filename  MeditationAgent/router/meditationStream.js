@@ -0,0 +1,410 @@
+/**
+ * 冥想流式生成路由
+ * 大模型流式输出，每完成一个段落立即合成该段语音并下发，
+ * 客户端无需等待全文生成即可开始播放开场部分
+ *
+ * 两种获取进度的方式：
+ * 1. 进程内回调：HTTP / 本地运行器可传入 hooks.onSegment，按段推送（如写入 SSE），生成完成后返回完整结果
+ * 2. 轮询：创建请求默认保持到生成结束；wait=false 时立即返回服务端生成的 streamId，客户端以 { type: 'stream', streamId, cursor }
+ *    读取新增段落，完成后轮询结果带上 result（全文、音频与 metadata）。进度保存在 utils/stream_store.js，
+ *    多实例部署需用 cos 共享；任务只允许创建者轮询
+ */
+
+const crypto = require('crypto');
+
+const promptBuilder = require('../utils/meditation_prompt');
+const { callLLMStream } = require('../utils/call_llm');
+const { synthesizeLongSpeech } = require('../utils/tts');
+const { parseScript } = require('../utils/script_parser');
+const { moderateInput, moderateOutput, buildCrisisResponse } = require('../utils/moderation');
+const { resolvePrompt } = require('../utils/prompt_templates');
+const { getStreamStore } = require('../utils/stream_store');
+const { recordUsage, flushAnalytics } = require('../utils/analytics');
+const { createLogger } = require('../utils/logger');
+const config = require('../config');
+const {
+  validateInputs,
+  calculateMaxTokens,
+  getVoiceByStyleAndTopic,
+  getPausesByStyle
+} = require('./meditationGuide');
+
+const log = createLogger('MeditationStream');
+
+// 过短的段落（如小标题）并入下一段再合成
+const MIN_PARAGRAPH_CHARS = 8;
+// 模型未按空行分段时，缓冲超过该长度即在单换行处切分
+const MAX_PENDING_CHARS = 300;
+
+const _speakable = (text) => (text.match(/[\p{L}\p{N}]/gu) || []).length;
+
+// 进度按顺序写入存储，避免并发写入时旧快照覆盖新快照
+function _persister(state) {
+  let saving = Promise.resolve();
+  return () => {
+    state.updatedAt = Date.now();
+    const snapshot = structuredClone(state);
+    saving = saving
+      .then(() => getStreamStore().save(state.id, snapshot))
+      .catch(e => log.warn('保存流式进度失败:', e.message));
+    return saving;
+  };
+}
+
+/**
+ * 是否为轮询请求：携带 streamId（含空串）或 action 为 poll；新建任务不接受客户端传入的 streamId
+ */
+function isStreamPoll(event = {}) {
+  return event.streamId !== undefined || event.action === 'poll';
+}
+
+/**
+ * 流式生成入口
+ * @param {Object} event - 云函数事件对象，参数同 generate，另支持：
+ * @param {string} event.streamId - 轮询已有任务的流 ID（由创建请求返回）
+ * @param {number} event.cursor   - 轮询游标，返回该位置之后的新段落
+ * @param {boolean} event.wait    - 默认 true，等待生成完成后返回完整结果；
+ *   为 false 时立即返回 streamId，仅适用于返回后实例不会被冻结的运行环境（如本地 / HTTP 常驻服务）
+ * @param {Object} hooks
+ * @param {Function} hooks.onSegment - (segment) => void，每段就绪时回调；传入时等待生成完成
+ * @param {Function} hooks.onFailure - (error) => void，wait=false 的后台任务失败时回调（入口据此退还配额）
+ * @param {string} hooks.userId - 任务归属与 Prompt 实验分组，同 generate
+ * @returns {Promise<Object>} 完整结果（或新任务的 streamId），或轮询结果
+ */
+async function handleMeditationStream(event = {}, hooks = {}) {
+  if (isStreamPoll(event)) {
+    return pollStream(event.streamId, event.cursor, hooks.userId);
+  }
+
+  return runStream(event, hooks);
+}
+
+/**
+ * 读取流式任务进度，仅创建者可读取；归属不符与不存在返回同一错误，避免探测他人任务
+ */
+async function pollStream(streamId, cursor = 0, userId) {
+  if (typeof streamId !== 'string' || !streamId) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_STREAM,
+        message: '轮询需要创建请求返回的 streamId'
+      }
+    };
+  }
+
+  const state = await getStreamStore().get(streamId);
+  if (!state || state.userId !== userId) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.STREAM_NOT_FOUND,
+        message: `流式任务不存在或已过期: ${streamId}`
+      }
+    };
+  }
+
+  const from = Math.max(0, Number(cursor) || 0);
+  return {
+    success: true,
+    data: {
+      streamId,
+      status: state.status,
+      segments: state.segments.slice(from),
+      cursor: state.segments.length,
+      done: state.status !== 'running',
+      error: state.error,
+      result: state.result
+    }
+  };
+}
+
+/**
+ * 执行流式生成
+ */
+async function runStream(event, hooks) {
+  const {
+    topic = '基础放松',
+    style,
+    duration: rawDuration,
+    language = 'zh',
+    voice = true,
+    options = {}
+  } = event;
+  const duration = rawDuration || config.DEFAULT_DURATION;
+
+  const validation = validateInputs({ topic, language, duration, provider: options.provider, pauses: options.pauses });
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: validation.error
+    };
+  }
+
+  // 输入安全审核：危机表达直接返回求助资源，不启动流式任务
+  const inputCheck = moderateInput({ topic, customization: options.customization });
+  if (inputCheck.action === 'crisis') {
+    log.warn('检测到危机表达，返回求助资源');
+    return buildCrisisResponse(language, inputCheck);
+  }
+  if (inputCheck.action === 'block') {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INPUT_BLOCKED,
+        message: '输入内容未通过安全审核',
+        rules: inputCheck.flags.map(f => f.rule)
+      }
+    };
+  }
+
+  const selectedPrompt = resolvePrompt({ userId: hooks.userId, version: options.promptVersion });
+  if (!selectedPrompt) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_PROMPT_VERSION,
+        message: `Prompt 模板版本不存在: ${options.promptVersion}`
+      }
+    };
+  }
+
+  const streamId = `stream_${crypto.randomUUID()}`;
+  const state = {
+    id: streamId,
+    userId: hooks.userId,
+    status: 'running',
+    segments: [],
+    error: null,
+    result: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  await getStreamStore().save(streamId, state);
+  log.info('开始流式生成:', { streamId, topic, style, duration, voice });
+
+  const persist = _persister(state);
+  const task = generateStream(state, persist, {
+    topic, style, duration, language, voice, options, selectedPrompt, hooks
+  }).catch(async (error) => {
+    log.error('流式生成失败:', error);
+    state.status = 'error';
+    state.error = { code: error.code || config.ERROR_CODES.MEDITATION_GENERATION_ERROR, message: error.message };
+    await persist();
+    return { success: false, error: state.error, data: { streamId, segments: state.segments } };
+  });
+
+  // 默认等待完成：云函数返回后实例会被冻结，后台任务无法继续
+  if (hooks.onSegment || event.wait !== false) return task;
+
+  // wait=false：立即返回 streamId，生成在后台继续，进度写入存储供轮询；失败时由入口退还配额
+  task.then(result => {
+    if (result.success) return;
+    try {
+      hooks.onFailure?.(result.error);
+    } catch (e) {
+      log.warn('onFailure 回调异常:', e.message);
+    }
+  });
+
+  return {
+    success: true,
+    data: { streamId, status: 'running', segments: [], cursor: 0, done: false }
+  };
+}
+
+/**
+ * 流式生成主体：逐段合成并写入进度，完成后把完整结果写入 state.result
+ */
+async function generateStream(state, persist, { topic, style, duration, language, voice, options, selectedPrompt, hooks }) {
+  const streamId = state.id;
+
+  const pauses = getPausesByStyle(style, options.pauses);
+  const withAudio = voice && language === 'zh';
+  const ttsOptions = {
+    voiceType: options.voiceType || getVoiceByStyleAndTopic(style, topic),
+    speed: options.speed || config.DEFAULT_SPEED,
+    volume: options.volume || config.DEFAULT_VOLUME,
+    lang: language,
+    pauses
+  };
+
+  // 段落按顺序合成，合成与大模型生成并行进行
+  let chain = Promise.resolve();
+  let queued = 0;
+  let offset = 0;
+  const blocked = [];
+
+  const emit = (text) => {
+    // 已下发的内容无法重新生成，未通过安全审核的段落直接丢弃
+    const review = moderateOutput(text, { language, relevance: false });
+    if (!review.allowed) {
+      blocked.push(...review.flags.map(f => f.rule));
+      return;
+    }
+
+    const index = queued++;
+    chain = chain.then(async () => {
+      const segment = { index, text, audio: null, startOffset: offset };
+
+      if (withAudio) {
+        try {
+          const track = await synthesizeLongSpeech(text, ttsOptions);
+          if (track?.url) {
+            segment.audio = { url: track.url, duration: track.duration, format: track.format };
+            offset = Math.round((offset + track.duration) * 1000) / 1000;
+          }
+        } catch (ttsError) {
+          log.warn(`第 ${index} 段语音合成失败:`, ttsError.message);
+        }
+      }
+
+      state.segments.push(segment);
+      persist();
+      try {
+        hooks.onSegment?.(segment);
+      } catch (e) {
+        log.warn('onSegment 回调异常:', e.message);
+      }
+    });
+  };
+
+  // 从缓冲中切出完整段落
+  let pending = '';
+  let carry = '';
+  const drain = (final = false) => {
+    const parts = pending.split(/\n\s*\n/);
+    pending = final ? '' : parts.pop();
+
+    if (!final && pending.length > MAX_PENDING_CHARS && pending.includes('\n')) {
+      const cut = pending.lastIndexOf('\n');
+      parts.push(pending.slice(0, cut));
+      pending = pending.slice(cut + 1);
+    }
+
+    parts.forEach(part => {
+      const paragraph = `${carry}${carry ? '\n' : ''}${part.trim()}`.trim();
+      if (!paragraph) return;
+      if (!final && _speakable(paragraph) < MIN_PARAGRAPH_CHARS) {
+        carry = paragraph;
+        return;
+      }
+      carry = '';
+      emit(paragraph);
+    });
+
+    if (final && carry) {
+      emit(carry);
+      carry = '';
+    }
+  };
+
+  const prompt = promptBuilder.buildPrompt({
+    topic,
+    style,
+    duration,
+    language,
+    customization: options.customization,
+    promptTemplate: selectedPrompt.content
+  });
+
+  const llmResp = await callLLMStream({
+    messages: [
+      { role: 'system', content: '你是一个专业的冥想引导师，擅长创作温和、平静的冥想引导词。请直接输出引导词正文，段落之间空一行。' },
+      { role: 'user', content: prompt }
+    ],
+    provider: options.provider,
+    model: options.model,
+    temperature: options.temperature || 0.7,
+    maxTokens: calculateMaxTokens(duration)
+  }, {
+    onDelta: (delta) => {
+      pending += delta;
+      drain();
+    }
+  });
+
+  if (!llmResp?.success) {
+    log.warn('流式 LLM 调用失败:', llmResp?.error);
+    await chain;
+    state.status = 'error';
+    state.error = llmResp?.error || { code: config.ERROR_CODES.LLM_FAILED, message: '调用大模型失败' };
+    await persist();
+    return {
+      success: false,
+      error: state.error,
+      data: { streamId, segments: state.segments }
+    };
+  }
+
+  drain(true);
+  await chain;
+
+  const text = llmResp.data.text;
+  const script = parseScript(text, { language, pauses });
+
+  log.info('流式生成完成:', { streamId, segmentCount: state.segments.length, audioDuration: offset });
+
+  const result = {
+    success: true,
+    data: {
+      streamId,
+      text: script.text || text,
+      segments: state.segments,
+      audio: withAudio
+        ? {
+          duration: offset,
+          format: config.DEFAULT_FORMAT,
+          segments: state.segments
+            .filter(seg => seg.audio)
+            .map(seg => ({ index: seg.index, url: seg.audio.url, offset: seg.startOffset, duration: seg.audio.duration }))
+        }
+        : null,
+      metadata: {
+        topic,
+        style: style || 'gentle',
+        duration,
+        mode: 'stream',
+        language,
+        provider: llmResp.data.provider,
+        model: llmResp.data.model,
+        prompt: {
+          template: selectedPrompt.template,
+          version: selectedPrompt.version,
+          experiment: selectedPrompt.experiment,
+          variant: selectedPrompt.variant
+        },
+        safety: { checked: config.SAFETY_ENABLED, droppedSegments: blocked.length, rules: [...new Set(blocked)] },
+        generatedAt: new Date().toISOString(),
+        textLength: text.length
+      }
+    }
+  };
+
+  // 记录使用统计；立即返回时请求早已结束，入口不会再写出缓冲，这里直接写出
+  const usage = llmResp.data.usage || {};
+  await recordUsage({
+    topic,
+    style: result.data.metadata.style,
+    duration,
+    mode: 'stream',
+    language,
+    hasAudio: !!result.data.audio,
+    latencyMs: Date.now() - state.createdAt,
+    tokens: { prompt: usage.prompt_tokens, completion: usage.completion_tokens, total: usage.total_tokens },
+    provider: llmResp.data.provider,
+    prompt: result.data.metadata.prompt
+  });
+  await flushAnalytics().catch(e => log.warn('统计写出失败:', e.message));
+
+  state.status = 'done';
+  state.result = { text: result.data.text, audio: result.data.audio, metadata: result.data.metadata };
+  await persist();
+  return result;
+}
+
+module.exports = {
+  handleMeditationStream,
+  pollStream,
+  isStreamPoll
+};
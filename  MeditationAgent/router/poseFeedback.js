@@ -0,0 +1,85 @@
+/**
+ * 体式评分语音反馈路由
+ * 小程序上传体式名、评分与错误点，返回分档鼓励 + 逐条纠正的文本与语音地址：
+ *   { pose_name: 'tree_pose', score: 78, error_points: ['左膝角度不足'] } → { audioUrl, data }
+ * audioUrl 同时放在顶层，兼容 README 中的小程序调用示例
+ */
+
+const { synthesizeSpeech } = require('../utils/tts');
+const { resolvePose } = require('../utils/pose_catalog');
+const { buildFeedback } = require('../utils/pose_feedback');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('PoseFeedback');
+
+const MAX_ERROR_LENGTH = 50;
+
+/**
+ * 体式反馈入口
+ * @param {Object} event
+ * @param {string} event.pose_name - 体式 id（如 tree_pose），也可为中文名 / 英文名
+ * @param {number} event.score - 评分 0–100
+ * @param {string[]} event.error_points - 可选，错误点描述
+ * @param {boolean} event.voice - 是否合成语音，默认 true
+ * @param {Object} event.options - 语音选项 { voiceType, speed, volume }
+ * @returns {Promise<Object>} { success, audioUrl, data: { text, audioUrl, audio, pose, score, tier, corrections } }
+ */
+async function handlePoseFeedback(event = {}) {
+  const { pose_name: poseName, score, error_points: errorPoints = [], voice = true, options = {} } = event;
+
+  const pose = resolvePose(poseName);
+  if (!pose) {
+    return failure(config.ERROR_CODES.INVALID_POSE, `未知的体式: ${poseName}`);
+  }
+  if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 100) {
+    return failure(config.ERROR_CODES.INVALID_FEEDBACK, 'score 应为 0-100 之间的数字');
+  }
+  if (!Array.isArray(errorPoints) || errorPoints.some(e => typeof e !== 'string' || e.length > MAX_ERROR_LENGTH)) {
+    return failure(config.ERROR_CODES.INVALID_FEEDBACK, `error_points 应为字符串数组，每条不超过 ${MAX_ERROR_LENGTH} 字`);
+  }
+
+  const feedback = buildFeedback({
+    pose,
+    score,
+    errorPoints: errorPoints.map(e => e.trim()).filter(Boolean)
+  });
+  log.info('反馈生成:', { pose: pose.id, score, tier: feedback.tier, corrections: feedback.corrections.length });
+
+  // 语音合成失败不影响文本返回
+  let audio = null;
+  if (voice) {
+    try {
+      audio = await synthesizeSpeech(feedback.text, {
+        voiceType: options.voiceType || config.STYLE_VOICE_MAP.gentle,
+        speed: options.speed || config.DEFAULT_SPEED,
+        volume: options.volume || config.DEFAULT_VOLUME,
+        lang: 'zh'
+      });
+      if (!audio?.url) log.warn('未获得音频地址（COS 未配置或上传失败），仅返回 base64');
+    } catch (ttsError) {
+      log.error('TTS 异常:', ttsError);
+    }
+  }
+
+  const audioUrl = audio?.url || null;
+  return {
+    success: true,
+    audioUrl,
+    data: {
+      text: feedback.text,
+      audioUrl,
+      audio,
+      pose: { id: pose.id, zhName: pose.zhName, enName: pose.enName, difficulty: pose.difficulty },
+      score,
+      tier: feedback.tier,
+      encouragement: feedback.encouragement,
+      corrections: feedback.corrections
+    }
+  };
+}
+
+module.exports = {
+  handlePoseFeedback
+};
@@ -0,0 +1,68 @@
+/**
+ * 体式目录查询路由
+ * 按英 / 中 / 日 / 梵文名模糊搜索 poses.json，可按难度与类别标签过滤并分页；
+ * 返回的 id 与 yoga / feedback 请求使用的体式 id 一致
+ */
+
+const { DIFFICULTIES, MAX_PAGE_SIZE, getPoseTags, searchPoses } = require('../utils/pose_catalog');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('PoseSearch');
+
+const MAX_QUERY_LENGTH = 50;
+
+const _invalid = (message) => failure(config.ERROR_CODES.INVALID_POSE_QUERY, message);
+
+// 单个值或数组统一为数组
+const _list = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+/**
+ * 体式查询入口
+ * @param {Object} event
+ * @param {string} event.query - 可选，名称片段（任意语言）
+ * @param {string|string[]} event.difficulty - 可选，beginner / intermediate / advanced
+ * @param {string|string[]} event.category - 可选，类别标签，如 balance、inversion
+ * @param {number} event.page - 页码，从 1 开始
+ * @param {number} event.pageSize - 每页条数，默认 20，最大 MAX_PAGE_SIZE
+ * @returns {Promise<Object>} { success, data: { items, total, page, pageSize, hasMore, filters } }
+ */
+async function handlePoseSearch(event = {}) {
+  const { query = '', page = 1, pageSize = 20 } = event;
+  const difficulties = _list(event.difficulty);
+  const tags = _list(event.category).map(t => String(t).toLowerCase());
+  const knownTags = getPoseTags();
+
+  if (typeof query !== 'string' || query.length > MAX_QUERY_LENGTH) {
+    return _invalid(`query 应为不超过 ${MAX_QUERY_LENGTH} 字的字符串`);
+  }
+  const badDifficulty = difficulties.find(d => !DIFFICULTIES.includes(d));
+  if (badDifficulty) {
+    return _invalid(`不支持的难度: ${badDifficulty}，可选：${DIFFICULTIES.join(', ')}`);
+  }
+  const badTag = tags.find(t => !knownTags.includes(t));
+  if (badTag) {
+    return _invalid(`不支持的类别: ${badTag}，可选：${knownTags.join(', ')}`);
+  }
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return _invalid(`page 应为正整数，pageSize 应为 1-${MAX_PAGE_SIZE} 之间的整数`);
+  }
+
+  const result = searchPoses({ query: query.trim(), difficulties, tags, page, pageSize });
+  log.info('体式查询:', { query, difficulties, tags, page, total: result.total });
+
+  return {
+    success: true,
+    data: {
+      ...result,
+      // keywords 与各名称字段重复，不再返回
+      items: result.items.map(({ keywords, ...pose }) => pose),
+      filters: { difficulties: DIFFICULTIES, categories: knownTags }
+    }
+  };
+}
+
+module.exports = {
+  handlePoseSearch
+};
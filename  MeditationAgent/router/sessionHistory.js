@@ -0,0 +1,225 @@
+/**
+ * 练习记录路由
+ * - 成功的 generate / preview，以及 intent / program / chat 中生成的练习，由 index.js 调用 recordSession() 保存
+ * - type='history'：分页列出当前用户的练习记录（不含全文）
+ * - type='session'：获取单条记录全文与音频地址，或删除（action='delete'），用于「重播」而无需重新生成；
+ *   action='rate' 为本次练习评分，连同生成所用的 Prompt 变体写入使用统计
+ */
+
+const { getSessionStore } = require('../utils/session_store');
+const { recordUsage } = require('../utils/analytics');
+const { createLogger } = require('../utils/logger');
+const config = require('../config');
+
+const log = createLogger('SessionHistory');
+
+const ANONYMOUS = 'anonymous';
+const ACTIONS = ['get', 'delete', 'rate'];
+const MAX_COMMENT_LENGTH = 200;
+
+const _userRequired = () => ({
+  success: false,
+  error: {
+    code: config.ERROR_CODES.USER_REQUIRED,
+    message: '练习记录需要登录后使用'
+  }
+});
+
+// 列表只返回摘要，全文通过 session 获取
+const _summary = (record) => ({
+  sessionId: record.id,
+  type: record.type,
+  title: record.title,
+  topic: record.params.topic,
+  style: record.params.style,
+  duration: record.params.duration,
+  language: record.params.language,
+  textLength: record.text.length,
+  audioUrl: record.audio?.url || null,
+  rating: record.feedback?.rating ?? null,
+  createdAt: record.createdAt
+});
+
+/**
+ * 保存一次成功的生成结果；匿名用户、危机响应与未生成练习的请求不保存，失败只打日志
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.type - generate | preview | intent | program | chat
+ * @param {Object} params.event - 原始请求
+ * @param {Object} params.result - 处理器返回的成功结果；intent / program / chat 的练习在 data.meditation 中
+ * @returns {Promise<string|null>} sessionId
+ */
+async function recordSession({ userId, type, event, result }) {
+  if (!config.SESSION_HISTORY_ENABLED || !userId || userId === ANONYMOUS) return null;
+  if (!result?.success) return null;
+
+  const data = result.data?.meditation || result.data;
+  if (!data?.text || data.type === 'crisis_support') return null;
+
+  const { metadata = {} } = data;
+  const record = {
+    id: `sess_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    userId,
+    type,
+    createdAt: new Date().toISOString(),
+    params: {
+      topic: event.topic ?? metadata.topic,
+      style: metadata.style ?? event.style ?? null,
+      duration: metadata.duration ?? event.duration,
+      language: metadata.language ?? event.language ?? 'zh',
+      voice: type !== 'preview' && !!event.voice,
+      options: event.options || {}
+    },
+    title: metadata.title || null,
+    text: data.text,
+    segments: data.segments || [],
+    audio: data.audio
+      ? { url: data.audio.url, duration: data.audio.duration, format: data.audio.format, captions: data.audio.captions || null }
+      : null,
+    metadata: {
+      topicId: metadata.topicId ?? null,
+      mode: metadata.mode ?? null,
+      provider: metadata.provider ?? null,
+      model: metadata.model ?? null,
+      prompt: metadata.prompt ?? null,
+      generatedAt: metadata.generatedAt ?? null
+    }
+  };
+
+  try {
+    await getSessionStore().save(record);
+    log.info('已保存练习记录:', { userId, sessionId: record.id, type });
+    return record.id;
+  } catch (error) {
+    log.warn('保存练习记录失败:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 练习记录列表
+ * @param {Object} event
+ * @param {number} event.limit  - 每页条数，默认 20，最多 100
+ * @param {string} event.cursor - 上一页返回的 nextCursor
+ * @param {Object} ctx
+ * @param {string} ctx.userId
+ * @returns {Promise<Object>} { success, data: { items, nextCursor } }
+ */
+async function handleHistory(event = {}, { userId } = {}) {
+  if (!userId || userId === ANONYMOUS) return _userRequired();
+
+  const limit = Math.max(1, Math.min(100, Number(event.limit) || 20));
+  const { items, nextCursor } = await getSessionStore().list(userId, { limit, cursor: event.cursor });
+
+  return {
+    success: true,
+    data: {
+      items: items.map(_summary),
+      nextCursor
+    }
+  };
+}
+
+/**
+ * 获取、删除或评价单条练习记录
+ * @param {Object} event
+ * @param {string} event.sessionId
+ * @param {string} event.action - get（默认）| delete | rate
+ * @param {number} event.rating - rate 时必填，1-5 的整数；再次评分会覆盖
+ * @param {string} event.comment - rate 时可选，最多 200 字
+ * @param {Object} ctx
+ * @param {string} ctx.userId
+ * @returns {Promise<Object>}
+ */
+async function handleSession(event = {}, { userId } = {}) {
+  if (!userId || userId === ANONYMOUS) return _userRequired();
+
+  const { sessionId, action = 'get' } = event;
+  if (!sessionId) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_SESSION, message: '请提供 sessionId' }
+    };
+  }
+  if (!ACTIONS.includes(action)) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_SESSION, message: `不支持的操作: ${action}，可选：${ACTIONS.join(', ')}` }
+    };
+  }
+
+  const store = getSessionStore();
+  const notFound = {
+    success: false,
+    error: { code: config.ERROR_CODES.SESSION_NOT_FOUND, message: `练习记录不存在: ${sessionId}` }
+  };
+
+  if (action === 'delete') {
+    if (!(await store.remove(userId, sessionId))) return notFound;
+    log.info('已删除练习记录:', { userId, sessionId });
+    return { success: true, data: { sessionId, deleted: true } };
+  }
+
+  const record = await store.get(userId, sessionId);
+  if (!record) return notFound;
+
+  if (action === 'rate') return rateSession(record, event, store);
+
+  const { id, userId: _owner, ...rest } = record;
+  return {
+    success: true,
+    data: { sessionId: id, ...rest }
+  };
+}
+
+/**
+ * 保存评分，并以 rating 事件写入使用统计（带上生成所用的 Prompt 变体，用于对比各变体）
+ */
+async function rateSession(record, { rating, comment }, store) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_RATING, message: 'rating 应为 1-5 的整数' }
+    };
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.INVALID_RATING, message: `comment 应为不超过 ${MAX_COMMENT_LENGTH} 字的文本` }
+    };
+  }
+
+  record.feedback = {
+    rating,
+    comment: comment?.trim() || null,
+    ratedAt: new Date().toISOString()
+  };
+  await store.save(record);
+  log.info('已保存练习评分:', { userId: record.userId, sessionId: record.id, rating, prompt: record.metadata.prompt });
+
+  await recordUsage({
+    event: 'rating',
+    topic: record.metadata.topicId || record.params.topic,
+    style: record.params.style,
+    duration: record.params.duration,
+    mode: record.metadata.mode,
+    language: record.params.language,
+    hasAudio: !!record.audio,
+    provider: record.metadata.provider,
+    prompt: record.metadata.prompt,
+    rating,
+    sessionId: record.id,
+    timestamp: record.feedback.ratedAt
+  });
+
+  return {
+    success: true,
+    data: { sessionId: record.id, feedback: record.feedback, prompt: record.metadata.prompt ?? null }
+  };
+}
+
+module.exports = {
+  recordSession,
+  handleHistory,
+  handleSession
+};
@@ -0,0 +1,96 @@
+/**
+ * 使用量统计查询路由
+ * 按日期区间返回调用量、各维度分布、热门主题与各 Prompt 变体的对比（含用户评分），数据来自 utils/analytics.js 的 sink
+ * 与目录管理相同，仅 config.CATALOG_ADMIN_USERS 中的用户或携带 adminToken 的请求可用
+ */
+
+const { getUsageStats } = require('../utils/analytics');
+const { getQuotaPeriod } = require('../utils/quota');
+const { isAdmin } = require('../utils/admin');
+const { createLogger } = require('../utils/logger');
+const config = require('../config');
+
+const log = createLogger('UsageStats');
+
+const DAY_MS = 24 * 3600 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const _isDate = (value) => DATE_RE.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * 统计查询入口
+ * @param {Object} event
+ * @param {string} event.from - 开始日期 YYYY-MM-DD（含），缺省为结束日期前 6 天
+ * @param {string} event.to   - 结束日期 YYYY-MM-DD（含），缺省为今天
+ * @param {number} event.top  - 热门主题数量，默认 10
+ * @param {string} event.adminToken - 不在管理员名单中时使用
+ * @param {Object} ctx
+ * @param {string} ctx.userId
+ * @returns {Promise<Object>}
+ */
+async function handleUsageStats(event = {}, { userId } = {}) {
+  if (!isAdmin(event, userId)) {
+    log.warn('无权限的统计查询请求:', { userId });
+    return {
+      success: false,
+      error: { code: config.ERROR_CODES.FORBIDDEN, message: '没有使用量统计的查看权限' }
+    };
+  }
+
+  if (!config.ENABLE_ANALYTICS) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.ANALYTICS_DISABLED,
+        message: '未开启使用量统计（ENABLE_ANALYTICS=true）'
+      }
+    };
+  }
+
+  const to = event.to || getQuotaPeriod().day;
+  const from = event.from || new Date(Date.parse(to) - 6 * DAY_MS).toISOString().slice(0, 10);
+
+  if (!_isDate(from) || !_isDate(to) || from > to) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_DATE_RANGE,
+        message: '日期格式应为 YYYY-MM-DD，且 from 不晚于 to'
+      }
+    };
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days > config.ANALYTICS_MAX_RANGE_DAYS) {
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.INVALID_DATE_RANGE,
+        message: `查询区间不能超过 ${config.ANALYTICS_MAX_RANGE_DAYS} 天`
+      }
+    };
+  }
+
+  const top = Math.max(1, Math.min(50, Number(event.top) || 10));
+  log.info('查询使用量:', { from, to, top });
+
+  try {
+    return {
+      success: true,
+      data: await getUsageStats({ from, to, top })
+    };
+  } catch (error) {
+    log.error('统计查询失败:', error);
+    return {
+      success: false,
+      error: {
+        code: config.ERROR_CODES.ANALYTICS_QUERY_FAILED,
+        message: error.message || '统计查询失败'
+      }
+    };
+  }
+}
+
+module.exports = {
+  handleUsageStats
+};
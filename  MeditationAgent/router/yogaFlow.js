@@ -0,0 +1,108 @@
+/**
+ * 瑜伽引导路由
+ * 按时长、水平与侧重从 poses.json 编排体式序列（见 utils/yoga_flow.js），
+ * 口令与对位提示取自体式描述，不调用大模型；可选合成整段引导语音
+ */
+
+const { synthesizeLongSpeech } = require('../utils/tts');
+const { alignSegmentsToAudio } = require('../utils/script_parser');
+const { FOCUS_CATEGORIES, buildYogaFlow } = require('../utils/yoga_flow');
+const { createLogger } = require('../utils/logger');
+const { failure } = require('../utils/response');
+const config = require('../config');
+
+const log = createLogger('YogaFlow');
+
+/**
+ * 瑜伽序列入口
+ * @param {Object} event
+ * @param {number} event.duration - 目标时长（分钟），默认 config.DEFAULT_DURATION
+ * @param {string} event.level - beginner | intermediate | advanced
+ * @param {string} event.focus - general | balance | stretch | strength | hips | restorative
+ * @param {string} event.language - 目前仅支持 zh（体式描述为中文）
+ * @param {string} event.seed - 可选，换种子可得到同条件下的不同组合
+ * @param {boolean} event.voice - 是否生成引导语音
+ * @param {Object} event.options - 语音选项 { voiceType, speed, volume }
+ * @returns {Promise<Object>} { success, data: { text, poses, audio, metadata } }
+ */
+async function handleYogaFlow(event = {}) {
+  const {
+    duration = config.DEFAULT_DURATION,
+    level = config.YOGA_DEFAULT_LEVEL,
+    focus = config.YOGA_DEFAULT_FOCUS,
+    language = 'zh',
+    seed,
+    voice = false,
+    options = {}
+  } = event;
+
+  if (language !== 'zh') {
+    return failure(config.ERROR_CODES.INVALID_LANGUAGE, '瑜伽引导目前仅支持中文（zh）');
+  }
+  if (!Number.isInteger(duration) || duration < config.MIN_DURATION || duration > config.MAX_DURATION) {
+    return failure(
+      config.ERROR_CODES.INVALID_DURATION,
+      `时长应为 ${config.MIN_DURATION}-${config.MAX_DURATION} 之间的整数（分钟）`
+    );
+  }
+  if (!config.YOGA_LEVELS.includes(level)) {
+    return failure(config.ERROR_CODES.INVALID_LEVEL, `不支持的水平: ${level}，可选：${config.YOGA_LEVELS.join(', ')}`);
+  }
+  if (!Object.hasOwn(FOCUS_CATEGORIES, focus)) {
+    return failure(config.ERROR_CODES.INVALID_FOCUS, `不支持的侧重: ${focus}，可选：${Object.keys(FOCUS_CATEGORIES).join(', ')}`);
+  }
+
+  const flow = buildYogaFlow({ duration, level, focus, seed });
+  log.info('瑜伽序列编排完成:', { level, focus, duration, poseCount: flow.poses.length, plannedSeconds: flow.plannedSeconds });
+
+  // 可选：整段合成，停留时长由 [pause:Ns] 标记控制，不再按目标时长伸缩
+  let audio = null;
+  let poses = flow.poses;
+  if (voice) {
+    try {
+      const track = await synthesizeLongSpeech(flow.text, {
+        voiceType: options.voiceType || config.STYLE_VOICE_MAP.gentle,
+        speed: options.speed || config.DEFAULT_SPEED,
+        volume: options.volume || config.DEFAULT_VOLUME,
+        lang: language
+      });
+      if (track?.url) {
+        audio = {
+          url: track.url,
+          duration: track.duration,
+          speechDuration: track.speechDuration,
+          silenceDuration: track.silenceDuration,
+          format: track.format || config.DEFAULT_FORMAT
+        };
+        poses = alignSegmentsToAudio(poses, track.chunks);
+      } else {
+        log.warn('语音生成失败: 未获得音频地址（COS 未配置或上传失败）');
+      }
+    } catch (ttsError) {
+      log.error('TTS 异常:', ttsError);
+      // 语音生成失败不影响序列返回
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      text: flow.text,
+      poses,
+      audio,
+      metadata: {
+        level,
+        focus,
+        duration,
+        language,
+        plannedSeconds: flow.plannedSeconds,
+        poseCount: poses.length,
+        generatedAt: new Date().toISOString()
+      }
+    }
+  };
+}
+
+module.exports = {
+  handleYogaFlow
+};
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { listAmbiences, resolveAmbience, mixAmbience } = require('../utils/ambience');
+
+const SAMPLE_RATE = 16000;
+
+test('每种音景都附带循环素材', () => {
+  listAmbiences().forEach(({ name }) => {
+    const file = path.join(__dirname, '../assets/ambience', `${name}.wav`);
+    const header = fs.readFileSync(file).subarray(0, 12);
+    assert.strictEqual(header.toString('latin1', 0, 4), 'RIFF');
+    assert.strictEqual(header.toString('latin1', 8, 12), 'WAVE');
+  });
+});
+
+test('人声区间内压低背景，结尾淡出', () => {
+  const ambience = resolveAmbience({ name: 'white noise', fadeIn: 0, fadeOut: 1 });
+  const voice = new Int16Array(SAMPLE_RATE * 4);
+  const mixed = mixAmbience(voice, SAMPLE_RATE, [{ offset: 2, duration: 2 }], ambience);
+  const rms = (from, to) => {
+    let sum = 0;
+    for (let i = from * SAMPLE_RATE; i < to * SAMPLE_RATE; i++) sum += mixed[i] * mixed[i];
+    return Math.sqrt(sum / ((to - from) * SAMPLE_RATE));
+  };
+
+  assert.strictEqual(mixed.length, SAMPLE_RATE * 5);
+  assert.ok(rms(0, 1.5) > 0);
+  assert.ok(rms(3, 4) < rms(0, 1.5) / 2);
+  assert.strictEqual(mixed[mixed.length - 1], 0);
+});
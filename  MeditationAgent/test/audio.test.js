@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSilence, parseMp3, concatMp3 } = require('../utils/audio');
+
+// MPEG-2 Layer III，16kHz，48kbps，单声道：每帧 576 个采样、216 字节
+const HEADER = Buffer.from([0xff, 0xf3, 0x68, 0xc0]);
+const seconds = (frames) => (frames * 576) / 16000;
+
+test('静音按整帧生成，时长取最接近的帧数', () => {
+  const info = parseMp3(createSilence(1, HEADER));
+  assert.strictEqual(info.frames.length, 28);
+  assert.strictEqual(info.sampleRate, 16000);
+  assert.strictEqual(info.duration, seconds(28));
+});
+
+test('按帧拼接：总时长与各段偏移精确到帧', () => {
+  const a = createSilence(1, HEADER);
+  const b = createSilence(0.5, HEADER);
+  const { buffer, duration, segments } = concatMp3([a, b]);
+
+  assert.strictEqual(buffer.length, a.length + b.length);
+  assert.strictEqual(duration, seconds(28) + seconds(14));
+  assert.deepStrictEqual(segments, [
+    { offset: 0, duration: seconds(28) },
+    { offset: seconds(28), duration: seconds(14) }
+  ]);
+});
+
+test('拼接时去掉 ID3 标签与 Xing 元数据帧', () => {
+  const id3 = Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0, 0, 0, 0, 4]), Buffer.alloc(4)]);
+  const xing = Buffer.alloc(216);
+  HEADER.copy(xing, 0);
+  xing.write('Xing', 4 + 9, 'latin1');
+  const audio = createSilence(0.25, HEADER);
+
+  const { buffer, duration } = concatMp3([Buffer.concat([id3, xing, audio])]);
+  assert.ok(buffer.equals(audio));
+  assert.strictEqual(duration, parseMp3(audio).duration);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCues, formatCaptions } = require('../utils/captions');
+
+test('分段内各句按字数分配时长，末句对齐分段结束', () => {
+  const cues = buildCues([
+    { text: '吸气。慢慢呼气。', offset: 0, duration: 6 },
+    { text: '放松肩膀。', offset: 8, duration: 2.5 }
+  ]);
+
+  assert.deepStrictEqual(cues, [
+    { index: 1, start: 0, end: 2, text: '吸气。' },
+    { index: 2, start: 2, end: 6, text: '慢慢呼气。' },
+    { index: 3, start: 8, end: 10.5, text: '放松肩膀。' }
+  ]);
+});
+
+test('导出 VTT / SRT 时间格式', () => {
+  const cues = [{ index: 1, start: 61.5, end: 3723.004, text: '放松' }];
+  assert.strictEqual(formatCaptions(cues, 'vtt'), 'WEBVTT\n\n1\n00:01:01.500 --> 01:02:03.004\n放松\n');
+  assert.strictEqual(formatCaptions(cues, 'srt'), '1\n00:01:01,500 --> 01:02:03,004\n放松\n');
+});
+
+test('LRC 在长停顿处插入空行清屏', () => {
+  const lrc = formatCaptions([
+    { index: 1, start: 0, end: 2, text: '吸气' },
+    { index: 2, start: 5, end: 7, text: '呼气' }
+  ], 'lrc');
+  assert.strictEqual(lrc, '[00:00.00]吸气\n[00:02.00]\n[00:05.00]呼气\n[00:07.00]\n');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker, STATES } = require('../utils/circuit_breaker');
+
+// 可手动推进的时钟
+const clock = () => {
+  let t = 0;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+};
+
+const _trip = (breaker) => {
+  for (let i = 0; i < 2; i++) breaker.onFailure(new Error('503'));
+};
+
+test('半开试探遇到不可重试错误后归还名额，下一次试探成功即恢复', () => {
+  const c = clock();
+  const breaker = createCircuitBreaker({ name: 't', failureThreshold: 2, cooldownMs: 1000, now: c.now });
+  _trip(breaker);
+  assert.strictEqual(breaker.allow(), false);
+
+  c.advance(1000);
+  assert.strictEqual(breaker.allow(), true);   // 试探请求
+  assert.strictEqual(breaker.allow(), false);  // 试探期间拒绝其他请求
+  breaker.release();                           // 试探返回 400 / 空响应
+
+  assert.strictEqual(breaker.getState().state, STATES.HALF_OPEN);
+  assert.strictEqual(breaker.allow(), true);
+  breaker.onSuccess();
+  assert.strictEqual(breaker.getState().state, STATES.CLOSED);
+  assert.strictEqual(breaker.allow(), true);
+});
+
+test('半开试探失败重新熔断，冷却后可再次试探', () => {
+  const c = clock();
+  const breaker = createCircuitBreaker({ name: 't', failureThreshold: 2, cooldownMs: 1000, now: c.now });
+  _trip(breaker);
+  c.advance(1000);
+  assert.strictEqual(breaker.allow(), true);
+  breaker.onFailure(new Error('503'));
+
+  assert.strictEqual(breaker.getState().state, STATES.OPEN);
+  assert.strictEqual(breaker.allow(), false);
+  c.advance(1000);
+  assert.strictEqual(breaker.allow(), true);
+});
+
+test('closed 状态下 release 不影响计数', () => {
+  const breaker = createCircuitBreaker({ name: 't', failureThreshold: 2, cooldownMs: 1000 });
+  breaker.onFailure(new Error('503'));
+  breaker.release();
+  breaker.onFailure(new Error('503'));
+  assert.strictEqual(breaker.getState().state, STATES.OPEN);
+});
@@ -0,0 +1,70 @@
+process.env.LOG_LEVEL = 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const guide = require('../router/meditationGuide');
+const history = require('../router/sessionHistory');
+const catalog = require('../utils/catalog');
+
+// 入口按解构引用处理器，需在加载 index.js 之前替换
+guide.handleMeditationPreview = async (event) => (
+  event.topic === '失败'
+    ? { success: false, error: { code: 'STUB_FAILED', message: 'stub' } }
+    : { success: true, data: { text: '慢慢吸气，缓缓呼气。', metadata: { topic: event.topic } } }
+);
+history.recordSession = async () => {
+  throw new Error('存储不可用');
+};
+const refreshed = [];
+catalog.refreshCatalog = async () => {
+  refreshed.push(Date.now());
+};
+
+const { main } = require('../index');
+const config = require('../config');
+const { consumeQuota, getCounterStore, setCounterStore } = require('../utils/quota');
+
+const context = (userId) => ({ getUserID: () => userId, requestId: 'test' });
+const usedBy = async (userId) => {
+  const { keys } = await consumeQuota({ userId, cost: 0 });
+  return getCounterStore().get(keys.user);
+};
+
+test('保存练习记录失败不影响已成功的结果，也不退还额度', async () => {
+  const result = await main({ type: 'preview', topic: '助眠' }, context('u-record'));
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(await usedBy('u-record'), config.QUOTA_WEIGHTS.text);
+});
+
+test('同一请求最多退还一次额度', async () => {
+  const store = getCounterStore();
+  let refunds = 0;
+  setCounterStore({
+    get: (key) => store.get(key),
+    incrBy: (key, amount, expiresAt) => {
+      if (amount < 0 && key.includes('u-refund')) {
+        refunds++;
+        return Promise.reject(new Error('计数存储不可用'));
+      }
+      return store.incrBy(key, amount, expiresAt);
+    }
+  });
+
+  try {
+    const result = await main({ type: 'preview', topic: '失败' }, context('u-refund'));
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(refunds, 1);
+  } finally {
+    setCounterStore(store);
+  }
+});
+
+test('只有依赖主题目录的请求才刷新目录', async () => {
+  refreshed.length = 0;
+  await main({ type: 'ping' }, context('u-catalog'));
+  await main({ type: 'breathing' }, context('u-catalog'));
+  assert.strictEqual(refreshed.length, 0);
+
+  await main({ type: 'preview', topic: '助眠' }, context('u-catalog'));
+  assert.strictEqual(refreshed.length, 1);
+});
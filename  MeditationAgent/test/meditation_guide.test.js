@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { validateInputs, getPausesByStyle } = require('../router/meditationGuide');
+
+test('合法的停顿覆盖与风格默认值合并', () => {
+  const pauses = { short: 1, paragraph: 0 };
+  assert.deepStrictEqual(validateInputs({ topic: '助眠', pauses }), { valid: true });
+  assert.deepStrictEqual(getPausesByStyle('zen', pauses), { short: 1, long: 8, paragraph: 0 });
+});
+
+test('拒绝非法的停顿覆盖', () => {
+  const invalid = [
+    null,
+    'short',
+    [2],
+    { medium: 2 },
+    { constructor: 2 },
+    JSON.parse('{"__proto__": 2}'),
+    { short: '2' },
+    { short: -1 },
+    { long: Infinity },
+    { long: NaN },
+    { paragraph: config.PAUSE_OVERRIDE_MAX + 1 }
+  ];
+  invalid.forEach(pauses => {
+    const result = validateInputs({ topic: '助眠', pauses });
+    assert.strictEqual(result.valid, false, JSON.stringify(pauses));
+    assert.strictEqual(result.error.code, config.ERROR_CODES.INVALID_PAUSES);
+  });
+});
@@ -0,0 +1,61 @@
+process.env.LOG_LEVEL = 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const callLLM = require('../utils/call_llm');
+
+// 大模型以固定文本分块输出；主题含「失败」时调用失败，用于验证后台任务的失败处理
+const SCRIPT = '找一个舒服的姿势坐好，轻轻闭上眼睛。\n\n慢慢吸气，感受空气进入身体。\n\n缓缓呼气，让肩膀自然放松下来。';
+callLLM.callLLMStream = async (params, { onDelta }) => {
+  if (params.messages[1].content.includes('失败')) {
+    return { success: false, error: { code: config.ERROR_CODES.LLM_FAILED, message: 'stub' } };
+  }
+  for (let i = 0; i < SCRIPT.length; i += 10) onDelta(SCRIPT.slice(i, i + 10));
+  return { success: true, data: { text: SCRIPT, provider: 'stub', model: 'stub', usage: {} } };
+};
+
+const { handleMeditationStream } = require('../router/meditationStream');
+const { getRequestCost } = require('../utils/quota');
+
+const EVENT = { topic: '助眠', duration: 3, voice: false };
+
+test('默认等待生成完成，streamId 由服务端生成', async () => {
+  const result = await handleMeditationStream({ ...EVENT }, { userId: 'u1' });
+  assert.strictEqual(result.success, true);
+  assert.match(result.data.streamId, /^stream_[0-9a-f-]{36}$/);
+  assert.ok(result.data.text);
+
+  const poll = await handleMeditationStream({ streamId: result.data.streamId, cursor: 0 }, { userId: 'u1' });
+  assert.strictEqual(poll.data.done, true);
+  assert.strictEqual(poll.data.segments.length, result.data.segments.length);
+});
+
+test('只有创建者可以轮询', async () => {
+  const result = await handleMeditationStream({ ...EVENT }, { userId: 'u1' });
+  const poll = await handleMeditationStream({ streamId: result.data.streamId, cursor: 0 }, { userId: 'u2' });
+  assert.strictEqual(poll.success, false);
+  assert.strictEqual(poll.error.code, config.ERROR_CODES.STREAM_NOT_FOUND);
+});
+
+test('携带 streamId 的请求按轮询处理且不计费', async () => {
+  for (const streamId of ['', null, 'stream_custom']) {
+    const event = { ...EVENT, type: 'stream', streamId, cursor: 0 };
+    assert.strictEqual(getRequestCost(event), 0);
+    const result = await handleMeditationStream(event, { userId: 'u1' });
+    assert.strictEqual(result.success, false);
+  }
+});
+
+test('wait=false 立即返回，后台失败时回调 onFailure', async () => {
+  let onFailure;
+  const failed = new Promise(resolve => { onFailure = resolve; });
+  const result = await handleMeditationStream({ ...EVENT, topic: '失败', wait: false }, { userId: 'u1', onFailure });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.done, false);
+
+  const error = await failed;
+  assert.strictEqual(error.code, config.ERROR_CODES.LLM_FAILED);
+  const poll = await handleMeditationStream({ streamId: result.data.streamId }, { userId: 'u1' });
+  assert.strictEqual(poll.data.status, 'error');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { getProvider, resolveChain } = require('../utils/llm_providers');
+const { resolvePrompt, getPromptTemplate } = require('../utils/prompt_templates');
+const { resolveAmbience } = require('../utils/ambience');
+const { normalizeCaptionFormat } = require('../utils/captions');
+const { handleYogaFlow } = require('../router/yogaFlow');
+const { handleBreathing } = require('../router/breathingExercise');
+
+// 原型链上的属性名不能被当作合法的取值
+const PROTO_KEYS = ['constructor', '__proto__', 'toString', 'hasOwnProperty'];
+
+test('大模型供应商', () => {
+  PROTO_KEYS.forEach(key => {
+    assert.strictEqual(getProvider(key), null);
+    assert.ok(!resolveChain(key).includes(key));
+  });
+});
+
+test('Prompt 模板与版本', () => {
+  PROTO_KEYS.forEach(key => {
+    assert.strictEqual(resolvePrompt({ version: key }), null);
+    assert.strictEqual(resolvePrompt({ template: key }), null);
+    assert.strictEqual(getPromptTemplate(undefined, key), null);
+  });
+});
+
+test('瑜伽序列侧重', async () => {
+  for (const focus of PROTO_KEYS) {
+    const result = await handleYogaFlow({ focus });
+    assert.strictEqual(result.error?.code, config.ERROR_CODES.INVALID_FOCUS);
+  }
+});
+
+test('呼吸练习模式', async () => {
+  for (const pattern of PROTO_KEYS) {
+    const result = await handleBreathing({ pattern, voice: false });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error.code, config.ERROR_CODES.INVALID_BREATHING);
+  }
+});
+
+test('字幕格式', () => {
+  PROTO_KEYS.forEach(format => {
+    assert.strictEqual(normalizeCaptionFormat(format), null);
+  });
+  assert.strictEqual(normalizeCaptionFormat('WebVTT'), 'vtt');
+});
+
+test('背景音景', () => {
+  PROTO_KEYS.forEach(name => {
+    assert.throws(() => resolveAmbience(name), { code: 'INVALID_AMBIENCE' });
+  });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { consumeQuota, refundQuota, getCounterStore } = require('../utils/quota');
+
+test('按用户扣减额度，超限时拒绝且不扣减', async () => {
+  const perCall = config.QUOTA_WEIGHTS.voice;
+  const allowedCalls = Math.floor(config.QUOTA_USER_DAILY / perCall);
+
+  for (let i = 0; i < allowedCalls; i++) {
+    assert.strictEqual((await consumeQuota({ userId: 'u-limit', cost: perCall })).allowed, true);
+  }
+  const denied = await consumeQuota({ userId: 'u-limit', cost: perCall });
+  assert.strictEqual(denied.allowed, false);
+  assert.strictEqual(denied.scope, 'user');
+  assert.strictEqual(await getCounterStore().get(denied.keys.user), allowedCalls * perCall);
+});
+
+test('并发请求不会超出用户额度', async () => {
+  const results = await Promise.all(Array.from({ length: config.QUOTA_USER_DAILY + 10 }, () => (
+    consumeQuota({ userId: 'u-race', cost: 1 })
+  )));
+  assert.strictEqual(results.filter(r => r.allowed).length, config.QUOTA_USER_DAILY);
+});
+
+test('退回额度后用户与全局计数恢复', async () => {
+  const quota = await consumeQuota({ userId: 'u-refund', cost: 3 });
+  const globalBefore = await getCounterStore().get(quota.keys.global);
+  await refundQuota(quota);
+
+  assert.strictEqual(await getCounterStore().get(quota.keys.user), 0);
+  assert.strictEqual(await getCounterStore().get(quota.keys.global), globalBefore - 3);
+});
+
+test('匿名调用只计入全局额度', async () => {
+  const quota = await consumeQuota({ cost: 1 });
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(quota.keys.user, null);
+  assert.strictEqual(quota.remaining.user, null);
+});
+
+test('不计费的请求不占用额度', async () => {
+  const quota = await consumeQuota({ userId: 'u-free', cost: 0 });
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(quota.cost, 0);
+  assert.strictEqual(await getCounterStore().get(quota.keys.user), 0);
+});
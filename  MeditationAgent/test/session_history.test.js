@@ -0,0 +1,52 @@
+process.env.LOG_LEVEL = 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../utils/session_store');
+const { recordSession, handleHistory } = require('../router/sessionHistory');
+
+const record = (id, createdAt) => ({
+  id, userId: 'u1', type: 'generate', createdAt, params: {}, text: id
+});
+
+test('同一时刻的记录跨页时不会被跳过', async () => {
+  const store = createStore('memory');
+  const same = '2025-08-01T00:00:00.000Z';
+  for (const id of ['a', 'b', 'c', 'd']) await store.save(record(id, same));
+  await store.save(record('e', '2025-08-02T00:00:00.000Z'));
+  await store.save(record('f', '2025-07-31T00:00:00.000Z'));
+
+  const ids = [];
+  let cursor;
+  do {
+    const page = await store.list('u1', { limit: 2, cursor });
+    ids.push(...page.items.map(r => r.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepStrictEqual(ids, ['e', 'd', 'c', 'b', 'a', 'f']);
+});
+
+test('intent / program / chat 生成的练习写入练习记录', async () => {
+  const meditation = { text: '慢慢吸气，缓缓呼气。', metadata: { topic: '助眠', duration: 10 } };
+  const cases = [
+    ['intent', { text: '睡不着', execute: true }],
+    ['program', { action: 'day', programId: 'p1' }],
+    ['chat', { action: 'generate', chatId: 'c1' }]
+  ];
+
+  for (const [type, event] of cases) {
+    const sessionId = await recordSession({
+      userId: 'u-nested', type, event, result: { success: true, data: { meditation } }
+    });
+    assert.ok(sessionId, type);
+  }
+  // 未生成练习（如对话中的普通消息）不保存
+  assert.strictEqual(await recordSession({
+    userId: 'u-nested', type: 'chat', event: {}, result: { success: true, data: { chatId: 'c1', reply: '你好' } }
+  }), null);
+
+  const { data } = await handleHistory({}, { userId: 'u-nested' });
+  assert.deepStrictEqual(data.items.map(item => item.type).sort(), ['chat', 'intent', 'program']);
+  assert.ok(data.items.every(item => item.topic === '助眠'));
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitForTTS, splitWithPauses, byteLen } = require('../utils/text_splitter');
+
+test('在句末标点处切分，且每段不超过 maxBytes', () => {
+  const sentence = '请把注意力放在呼吸上，感受空气进出鼻腔。';
+  const text = sentence.repeat(20);
+  const chunks = splitForTTS(text, { maxBytes: 200 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(byteLen(chunk) <= 200, `超长分段: ${byteLen(chunk)}`);
+    assert.ok(chunk.endsWith('。'), `未在句末断开: ${chunk}`);
+  });
+  assert.strictEqual(chunks.join(''), text);
+});
+
+test('相邻短句合并为一段', () => {
+  assert.deepStrictEqual(splitForTTS('吸气。呼气。放松。', { maxBytes: 200 }), ['吸气。呼气。放松。']);
+});
+
+test('没有标点的超长句子按字符硬切到 maxBytes 以内', () => {
+  const text = '静'.repeat(300);
+  const chunks = splitForTTS(text, { maxBytes: 90 });
+
+  chunks.forEach(chunk => assert.ok(byteLen(chunk) <= 90));
+  assert.strictEqual(chunks.join(''), text);
+});
+
+test('停顿标记转换为停顿项，不送去合成', () => {
+  const items = splitWithPauses('吸气…呼气……放松 [pause:10s] 回到当下');
+  assert.deepStrictEqual(items.map(i => i.type === 'pause' ? i.kind : i.text.trim()), [
+    '吸气', 'short', '呼气', 'long', '放松', 'explicit', '回到当下'
+  ]);
+  assert.strictEqual(items[5].seconds, 10);
+});
@@ -0,0 +1,35 @@
+/**
+ * utils/admin.js
+ * ---------------------------------------------
+ * 管理类请求（catalog 目录维护、stats 使用量统计）的权限校验：
+ * config.CATALOG_ADMIN_USERS 中的登录用户，或请求携带与 CATALOG_ADMIN_TOKEN 一致的 adminToken
+ *
+ * Usage:
+ *   const { isAdmin } = require('../utils/admin');
+ *   if (!isAdmin(event, userId)) return forbidden();
+ * ---------------------------------------------
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ANONYMOUS = 'anonymous';
+
+/**
+ * @param {Object} event - 云函数事件对象，读取 event.adminToken
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isAdmin(event = {}, userId) {
+  if (userId && userId !== ANONYMOUS && config.CATALOG_ADMIN_USERS.includes(userId)) return true;
+
+  const expected = config.CATALOG_ADMIN_TOKEN;
+  if (!expected || typeof event.adminToken !== 'string') return false;
+  const a = Buffer.from(event.adminToken);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  isAdmin
+};
@@ -0,0 +1,305 @@
+/**
+ * utils/ambience.js
+ * ---------------------------------------------
+ * 背景音景：雨声 / 溪流 / 颂钵 / 白噪音
+ * - 循环素材随仓库附带于 assets/ambience/<name>.wav（16kHz 单声道 16bit PCM，31 秒）
+ * - 可直接覆盖为真实录音（16bit PCM，任意采样率 / 声道）；素材缺失时回退到内置的确定性合成循环
+ * - 混音：背景电平 + 人声出现时自动压低（ducking）+ 淡入淡出
+ * - 混音与 MP3 编码在内存中对整条音轨进行，调用方需限制时长（见 config.AMBIENCE_MAX_DURATION）
+ *
+ * Usage:
+ *   const { resolveAmbience, mixAmbience } = require('../utils/ambience');
+ *   const ambience = resolveAmbience('rain', { levelDb: -20, duckDb: -10, fadeIn: 4, fadeOut: 6 });
+ *   const mixed = mixAmbience(voiceSamples, 16000, speechSegments, ambience);
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSET_DIR = path.join(__dirname, '../assets/ambience');
+const LOOP_SECONDS = 30;      // 合成循环长度（附带素材按此长度加交叉淡化渲染）
+const CROSSFADE_SECONDS = 1;  // 循环首尾交叉淡化，避免接缝爆音
+const TARGET_RMS = 0.2;       // 各音景统一响度
+const DUCK_ATTACK = 0.15;     // 人声开始时压低的响应时间（秒）
+const DUCK_RELEASE = 0.8;     // 人声结束后恢复的响应时间（秒）
+
+// 循环缓存：name_sampleRate → Float32Array
+const loopCache = new Map();
+
+// ---------- Helpers ----------
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// 确定性伪随机数（mulberry32），同名音景每次生成一致
+function _random(seedText) {
+  let seed = 0;
+  for (const ch of seedText) seed = (seed * 31 + ch.charCodeAt(0)) >>> 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------- 内置合成器（返回 [-1, 1] 浮点样本） ----------
+function _synthWhiteNoise(n, sr, rand) {
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i++) out[i] = rand() * 2 - 1;
+  return out;
+}
+
+// 粉红噪声打底 + 随机雨滴
+function _synthRain(n, sr, rand) {
+  const out = new Float32Array(n);
+  let b0 = 0, b1 = 0, b2 = 0;
+  let drop = 0;
+  const dropDecay = Math.exp(-1 / (0.006 * sr));
+  const dropChance = 30 / sr;
+
+  for (let i = 0; i < n; i++) {
+    const white = rand() * 2 - 1;
+    b0 = 0.99765 * b0 + white * 0.099046;
+    b1 = 0.963 * b1 + white * 0.2965164;
+    b2 = 0.57 * b2 + white * 1.0526913;
+    const pink = (b0 + b1 + b2 + white * 0.1848) * 0.2;
+
+    if (rand() < dropChance) drop += 0.3 + rand() * 0.7;
+    drop *= dropDecay;
+
+    out[i] = pink + drop * (rand() * 2 - 1);
+  }
+  return out;
+}
+
+// 布朗噪声 + 缓慢起伏，模拟水流
+function _synthStream(n, sr, rand) {
+  const out = new Float32Array(n);
+  let brown = 0;
+  let low = 0;
+  for (let i = 0; i < n; i++) {
+    const t = i / sr;
+    brown = 0.995 * brown + (rand() * 2 - 1) * 0.1;
+    low = 0.9 * low + 0.1 * brown;
+    const swell = 0.65 + 0.2 * Math.sin(2 * Math.PI * 0.13 * t) + 0.15 * Math.sin(2 * Math.PI * 0.37 * t + 1);
+    out[i] = (brown - low) * swell * 4 + (rand() * 2 - 1) * 0.02;
+  }
+  return out;
+}
+
+// 颂钵：非谐波泛音 + 指数衰减，每 15 秒敲击一次
+function _synthSingingBowl(n, sr) {
+  const out = new Float32Array(n);
+  const f0 = 196;
+  const partials = [
+    { ratio: 1, amp: 1, decay: 9 },
+    { ratio: 2.76, amp: 0.5, decay: 6 },
+    { ratio: 5.4, amp: 0.25, decay: 4 },
+    { ratio: 8.93, amp: 0.12, decay: 3 }
+  ];
+  const strikeEvery = 15;
+
+  for (let i = 0; i < n; i++) {
+    const t = (i / sr) % strikeEvery;
+    let v = 0;
+    partials.forEach(p => {
+      const env = p.amp * Math.exp(-t / p.decay);
+      const f = f0 * p.ratio;
+      // 两个略微失谐的振荡器产生颂钵特有的拍频
+      v += env * (Math.sin(2 * Math.PI * f * t) + Math.sin(2 * Math.PI * f * 1.003 * t)) * 0.5;
+    });
+    out[i] = v;
+  }
+  return out;
+}
+
+const AMBIENCES = {
+  rain: { label: '雨声', synth: _synthRain },
+  stream: { label: '溪流', synth: _synthStream },
+  singing_bowl: { label: '颂钵', synth: _synthSingingBowl },
+  white_noise: { label: '白噪音', synth: _synthWhiteNoise }
+};
+
+// ---------- 素材读取 ----------
+// 解析 16bit PCM WAV，下混为单声道并线性重采样
+function _readWav(file, sampleRate) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString('latin1', 0, 4) !== 'RIFF' || buf.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error(`[Ambience] 不是有效的 WAV 文件: ${file}`);
+  }
+
+  let offset = 12;
+  let fmt = null;
+  let data = null;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      fmt = {
+        format: buf.readUInt16LE(offset + 8),
+        channels: buf.readUInt16LE(offset + 10),
+        sampleRate: buf.readUInt32LE(offset + 12),
+        bits: buf.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      data = buf.subarray(offset + 8, offset + 8 + size);
+    }
+    offset += 8 + size + (size & 1);
+  }
+
+  if (!fmt || !data || fmt.format !== 1 || fmt.bits !== 16) {
+    throw new Error(`[Ambience] 仅支持 16bit PCM WAV: ${file}`);
+  }
+
+  const frames = Math.floor(data.length / 2 / fmt.channels);
+  const mono = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) {
+      sum += data.readInt16LE((i * fmt.channels + c) * 2);
+    }
+    mono[i] = sum / fmt.channels / 32768;
+  }
+
+  if (fmt.sampleRate === sampleRate) return mono;
+
+  const ratio = fmt.sampleRate / sampleRate;
+  const out = new Float32Array(Math.floor(frames / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const j = Math.floor(pos);
+    const frac = pos - j;
+    out[i] = mono[j] * (1 - frac) + (mono[j + 1] ?? mono[j]) * frac;
+  }
+  return out;
+}
+
+// 首尾交叉淡化成无缝循环，并统一响度
+function _makeLoop(samples, sampleRate) {
+  const xf = Math.min(Math.floor(CROSSFADE_SECONDS * sampleRate), Math.floor(samples.length / 2));
+  const length = samples.length - xf;
+  const loop = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    if (i < xf) {
+      const w = i / xf;
+      loop[i] = samples[i] * w + samples[length + i] * (1 - w);
+    } else {
+      loop[i] = samples[i];
+    }
+  }
+
+  let sumSq = 0;
+  for (let i = 0; i < length; i++) sumSq += loop[i] * loop[i];
+  const rms = Math.sqrt(sumSq / length) || 1;
+  const gain = TARGET_RMS / rms;
+  for (let i = 0; i < length; i++) loop[i] = Math.max(-1, Math.min(1, loop[i] * gain));
+
+  return loop;
+}
+
+function _loadLoop(name, sampleRate) {
+  const cacheKey = `${name}_${sampleRate}`;
+  if (loopCache.has(cacheKey)) return loopCache.get(cacheKey);
+
+  // 优先使用附带 / 替换的素材，缺失时现场合成
+  const file = path.join(ASSET_DIR, `${name}.wav`);
+  const raw = fs.existsSync(file)
+    ? _readWav(file, sampleRate)
+    : AMBIENCES[name].synth(Math.floor((LOOP_SECONDS + CROSSFADE_SECONDS) * sampleRate), sampleRate, _random(name));
+
+  const loop = _makeLoop(raw, sampleRate);
+  loopCache.set(cacheKey, loop);
+  return loop;
+}
+
+// ---------- Public API ----------
+/**
+ * 获取可用音景列表
+ * @returns {Array<{name: string, label: string}>}
+ */
+function listAmbiences() {
+  return Object.entries(AMBIENCES).map(([name, { label }]) => ({ name, label }));
+}
+
+/**
+ * 解析音景参数
+ * @param {string|Object} spec - 音景名，或 { name, levelDb, duckDb, fadeIn, fadeOut }
+ * @param {Object} defaults    - 未指定字段的默认值
+ * @returns {Object|null} 规范化后的音景参数；未请求音景时返回 null
+ * @throws {Error} 音景名不存在时抛出，error.code = 'INVALID_AMBIENCE'
+ */
+function resolveAmbience(spec, defaults = {}) {
+  if (!spec) return null;
+
+  const params = typeof spec === 'string' ? { name: spec } : { ...spec };
+  const name = String(params.name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+  if (!Object.hasOwn(AMBIENCES, name)) {
+    const error = new Error(`不支持的背景音景: ${params.name}，可选: ${Object.keys(AMBIENCES).join(', ')}`);
+    error.code = 'INVALID_AMBIENCE';
+    throw error;
+  }
+
+  const num = (value, fallback) => (Number.isFinite(+value) && value !== null && value !== '' ? +value : fallback);
+
+  return {
+    name,
+    levelDb: Math.min(0, num(params.levelDb, defaults.levelDb ?? -20)),
+    duckDb: Math.min(0, num(params.duckDb, defaults.duckDb ?? -10)),
+    fadeIn: Math.max(0, num(params.fadeIn, defaults.fadeIn ?? 4)),
+    fadeOut: Math.max(0, num(params.fadeOut, defaults.fadeOut ?? 6))
+  };
+}
+
+/**
+ * 将背景音景混入人声
+ * 输出比人声多出 fadeOut 秒，让音景在引导结束后自然淡出。
+ * @param {Int16Array} voice      - 人声 PCM（单声道）
+ * @param {number} sampleRate
+ * @param {Array<{offset:number,duration:number}>} speechSegments - 人声区间（秒），用于 ducking
+ * @param {Object} ambience       - resolveAmbience() 的结果
+ * @returns {Int16Array} 混音后的 PCM
+ */
+function mixAmbience(voice, sampleRate, speechSegments, ambience) {
+  const loop = _loadLoop(ambience.name, sampleRate);
+  const total = voice.length + Math.round(ambience.fadeOut * sampleRate);
+  const out = new Int16Array(total);
+
+  const level = dbToGain(ambience.levelDb);
+  const ducked = level * dbToGain(ambience.duckDb);
+  const attack = 1 - Math.exp(-1 / (DUCK_ATTACK * sampleRate));
+  const release = 1 - Math.exp(-1 / (DUCK_RELEASE * sampleRate));
+  const fadeIn = ambience.fadeIn * sampleRate;
+  const fadeOut = ambience.fadeOut * sampleRate;
+
+  const segments = speechSegments
+    .map(s => [Math.round(s.offset * sampleRate), Math.round((s.offset + s.duration) * sampleRate)])
+    .sort((a, b) => a[0] - b[0]);
+  let seg = 0;
+  let env = level;
+
+  for (let i = 0; i < total; i++) {
+    while (seg < segments.length && i >= segments[seg][1]) seg++;
+    const inSpeech = seg < segments.length && i >= segments[seg][0];
+    const target = inSpeech ? ducked : level;
+    env += (target - env) * (target < env ? attack : release);
+
+    let fade = 1;
+    if (fadeIn > 0 && i < fadeIn) fade = i / fadeIn;
+    if (fadeOut > 0 && total - i < fadeOut) fade = Math.min(fade, (total - i) / fadeOut);
+
+    const bed = loop[i % loop.length] * env * fade * 32767;
+    const mixed = (i < voice.length ? voice[i] : 0) + bed;
+    out[i] = Math.max(-32768, Math.min(32767, Math.round(mixed)));
+  }
+
+  return out;
+}
+
+module.exports = {
+  listAmbiences,
+  resolveAmbience,
+  mixAmbience
+};
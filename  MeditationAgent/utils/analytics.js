@@ -0,0 +1,355 @@
+/**
+ * utils/analytics.js
+ * ---------------------------------------------
+ * 使用量统计：记录每次生成的事件，并按日期区间汇总
+ *
+ * 事件写入可替换的 sink：
+ * - file ：本地 JSONL 文件，每天一个文件，适合本地开发
+ * - batch：内存缓冲，攒满 ANALYTICS_BATCH_SIZE 条、超过 ANALYTICS_FLUSH_INTERVAL_MS 或调用 flushAnalytics() 时
+ *          以 JSONL 对象批量写入 COS（meditation/analytics/<日期>/），适合线上多实例；
+ *          云函数返回后实例可能被冻结，入口 main 在每次请求结束前调用 flushAnalytics()
+ * - 自定义：setAnalyticsSink({ name, write(events), query({ from, to }) })
+ *
+ * 日期按与调用配额相同的自然日（北京时间）划分。
+ *
+ * Usage:
+ *   const { recordUsage, getUsageStats } = require('../utils/analytics');
+ *   await recordUsage({ topic, style, mode, language, hasAudio, latencyMs, tokens, prompt });
+ *   await recordUsage({ event: 'rating', topic, rating, prompt });   // 用户评分，按 Prompt 变体汇总
+ *   const stats = await getUsageStats({ from: '2025-08-01', to: '2025-08-07' });
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cosEnabled, cosGet, cosPut, cosList } = require('./cos');
+const { getQuotaPeriod } = require('./quota');
+const config = require('../config');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const _dayOf = (timestamp) => getQuotaPeriod(Date.parse(timestamp) || Date.now()).day;
+
+/**
+ * 区间内的全部日期（含首尾），日期格式 YYYY-MM-DD
+ */
+function _daysBetween(from, to) {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+const _parseLines = (text) => text
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// ---------- file ----------
+function createFileSink({ dir = config.ANALYTICS_DIR } = {}) {
+  const fileOf = (day) => path.join(dir, `usage-${day}.jsonl`);
+
+  return {
+    name: 'file',
+    async write(events) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const byDay = new Map();
+      events.forEach(e => {
+        const day = _dayOf(e.timestamp);
+        byDay.set(day, (byDay.get(day) || '') + JSON.stringify(e) + '\n');
+      });
+      for (const [day, lines] of byDay) {
+        await fs.promises.appendFile(fileOf(day), lines);
+      }
+    },
+    async query({ from, to }) {
+      const events = [];
+      for (const day of _daysBetween(from, to)) {
+        try {
+          events.push(..._parseLines(await fs.promises.readFile(fileOf(day), 'utf-8')));
+        } catch (e) {
+          if (e.code !== 'ENOENT') console.warn('[Analytics] 读取统计文件失败:', e.message);
+        }
+      }
+      return events;
+    }
+  };
+}
+
+// ---------- batch（COS） ----------
+function createBatchSink({
+  prefix = 'meditation/analytics',
+  batchSize = config.ANALYTICS_BATCH_SIZE,
+  flushIntervalMs = config.ANALYTICS_FLUSH_INTERVAL_MS
+} = {}) {
+  let buffer = [];
+  let timer = null;
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (buffer.length === 0) return true;
+
+    const batch = buffer;
+    buffer = [];
+    if (!cosEnabled()) {
+      console.warn(`[Analytics] COS 未配置，丢弃 ${batch.length} 条统计事件`);
+      return false;
+    }
+
+    const byDay = new Map();
+    batch.forEach(e => {
+      const day = _dayOf(e.timestamp);
+      byDay.set(day, [...(byDay.get(day) || []), e]);
+    });
+
+    let ok = true;
+    for (const [day, events] of byDay) {
+      const key = `${prefix}/${day}/${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}.jsonl`;
+      const body = Buffer.from(events.map(e => JSON.stringify(e)).join('\n') + '\n');
+      if (!(await cosPut(key, body, 'application/x-ndjson', { acl: 'private' }))) {
+        // 写入失败放回缓冲区，下次再试
+        buffer.unshift(...events);
+        ok = false;
+      }
+    }
+    return ok;
+  }
+
+  // 云函数实例空闲前尽量写出剩余事件
+  process.once('beforeExit', () => {
+    flush().catch(e => console.warn('[Analytics] 退出前写出失败:', e.message));
+  });
+
+  return {
+    name: 'batch',
+    flush,
+    async write(events) {
+      buffer.push(...events);
+      if (buffer.length >= batchSize) {
+        await flush();
+      } else if (!timer) {
+        timer = setTimeout(() => flush().catch(e => console.warn('[Analytics] 定时写出失败:', e.message)), flushIntervalMs);
+        timer.unref?.();
+      }
+    },
+    async query({ from, to }) {
+      await flush();
+      const events = [];
+      for (const day of _daysBetween(from, to)) {
+        for (const key of await cosList(`${prefix}/${day}/`)) {
+          const body = await cosGet(key);
+          if (body) events.push(..._parseLines(body.toString('utf-8')));
+        }
+      }
+      return events;
+    }
+  };
+}
+
+const SINKS = {
+  file: createFileSink,
+  batch: createBatchSink
+};
+
+let sink = null;
+
+function getAnalyticsSink() {
+  if (!sink) {
+    const factory = SINKS[config.ANALYTICS_SINK];
+    if (!factory) {
+      throw new Error(`[Analytics] 不支持的统计 sink: ${config.ANALYTICS_SINK}，可选：${Object.keys(SINKS).join(', ')}`);
+    }
+    sink = factory();
+  }
+  return sink;
+}
+
+/**
+ * 替换统计 sink
+ * @param {Object} analyticsSink - 需实现 write(events) 与 query({ from, to })
+ */
+function setAnalyticsSink(analyticsSink) {
+  if (typeof analyticsSink?.write !== 'function' || typeof analyticsSink?.query !== 'function') {
+    throw new Error('[Analytics] 统计 sink 需实现 write(events) 与 query({ from, to })');
+  }
+  sink = analyticsSink;
+}
+
+// ---------- Public API ----------
+/**
+ * 记录一次使用事件，失败只打日志，不影响主流程
+ * @param {Object} data
+ * @param {string} [data.event='generate'] - generate | rating
+ * @param {string} data.topic
+ * @param {string} data.style
+ * @param {string} data.mode - quick / standard / long
+ * @param {string} data.language
+ * @param {boolean} data.hasAudio
+ * @param {number} data.latencyMs - 请求处理耗时
+ * @param {Object} [data.tokens] - { prompt, completion, total }
+ * @param {Object} [data.prompt] - 生成所用的 Prompt 模板 { template, version, experiment, variant }
+ * @param {number} [data.rating] - rating 事件的评分（1-5）
+ * @param {string} [data.sessionId] - rating 事件对应的练习记录，重复评分时只统计最后一次
+ */
+async function recordUsage(data) {
+  if (!config.ENABLE_ANALYTICS) return;
+
+  const event = {
+    event: data.event || 'generate',
+    timestamp: data.timestamp || new Date().toISOString(),
+    topic: data.topic ?? null,
+    style: data.style ?? null,
+    duration: data.duration ?? null,
+    mode: data.mode ?? null,
+    language: data.language ?? null,
+    hasAudio: !!data.hasAudio,
+    latencyMs: Number(data.latencyMs) || 0,
+    tokens: {
+      prompt: Number(data.tokens?.prompt) || 0,
+      completion: Number(data.tokens?.completion) || 0,
+      total: Number(data.tokens?.total) || 0
+    },
+    provider: data.provider ?? null,
+    cacheHit: !!data.cacheHit,
+    prompt: data.prompt
+      ? {
+        template: data.prompt.template,
+        version: data.prompt.version,
+        experiment: data.prompt.experiment ?? null,
+        variant: data.prompt.variant ?? null
+      }
+      : null,
+    rating: Number(data.rating) || null,
+    sessionId: data.sessionId ?? null
+  };
+
+  try {
+    await getAnalyticsSink().write([event]);
+  } catch (error) {
+    console.warn('[Analytics] 记录失败:', error.message);
+  }
+}
+
+const _countBy = (events, field) => events.reduce((acc, e) => {
+  const key = e[field] ?? 'unknown';
+  acc[key] = (acc[key] || 0) + 1;
+  return acc;
+}, {});
+
+/**
+ * 按 Prompt 模板版本与实验变体汇总生成量、耗时、token 与用户评分，便于对比各变体
+ * 耗时与 token 只统计实际生成（非缓存命中）的请求
+ */
+function _promptStats(generations, ratings) {
+  const groups = new Map();
+  const groupOf = ({ template, version, experiment = null, variant = null }) => {
+    const key = [template, version, experiment, variant].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, { template, version, experiment, variant, generations: 0, cacheHits: 0, latencyMs: 0, tokens: 0, scores: [] });
+    }
+    return groups.get(key);
+  };
+
+  generations.filter(e => e.prompt).forEach(e => {
+    const group = groupOf(e.prompt);
+    group.generations++;
+    if (e.cacheHit) {
+      group.cacheHits++;
+    } else {
+      group.latencyMs += e.latencyMs || 0;
+      group.tokens += e.tokens?.total || 0;
+    }
+  });
+  // 同一练习记录重复评分时以最后一次为准
+  const latest = new Map();
+  ratings
+    .filter(e => e.prompt && e.rating)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .forEach((e, i) => latest.set(e.sessionId || i, e));
+  latest.forEach(e => groupOf(e.prompt).scores.push(e.rating));
+
+  return [...groups.values()].map(({ latencyMs, tokens, scores, ...group }) => {
+    const generated = group.generations - group.cacheHits;
+    return {
+      ...group,
+      avgLatencyMs: generated ? Math.round(latencyMs / generated) : 0,
+      avgTokens: generated ? Math.round(tokens / generated) : 0,
+      ratings: {
+        count: scores.length,
+        avg: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length * 100) / 100 : null
+      }
+    };
+  });
+}
+
+const _percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1)] : 0);
+
+/**
+ * 汇总日期区间内的使用量
+ * @param {Object} range
+ * @param {string} range.from - YYYY-MM-DD（含）
+ * @param {string} range.to   - YYYY-MM-DD（含）
+ * @param {number} [range.top=10] - 返回热门主题数量
+ * @returns {Promise<Object>}
+ */
+async function getUsageStats({ from, to, top = 10 }) {
+  const all = (await getAnalyticsSink().query({ from, to }))
+    .filter(e => {
+      const day = _dayOf(e.timestamp);
+      return day >= from && day <= to;
+    });
+  const events = all.filter(e => (e.event || 'generate') === 'generate');
+  const ratings = all.filter(e => e.event === 'rating');
+
+  const latencies = events.map(e => e.latencyMs || 0).sort((a, b) => a - b);
+  const totalTokens = events.reduce((sum, e) => sum + (e.tokens?.total || 0), 0);
+  const daily = _countBy(events.map(e => ({ day: _dayOf(e.timestamp) })), 'day');
+
+  return {
+    range: { from, to },
+    total: events.length,
+    withAudio: events.filter(e => e.hasAudio).length,
+    cacheHits: events.filter(e => e.cacheHit).length,
+    byMode: _countBy(events, 'mode'),
+    byLanguage: _countBy(events, 'language'),
+    byStyle: _countBy(events, 'style'),
+    latency: {
+      avgMs: events.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / events.length) : 0,
+      p95Ms: _percentile(latencies, 0.95)
+    },
+    tokens: {
+      total: totalTokens,
+      avgPerRequest: events.length ? Math.round(totalTokens / events.length) : 0
+    },
+    topTopics: Object.entries(_countBy(events, 'topic'))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([topic, count]) => ({ topic, count })),
+    prompts: _promptStats(events, ratings),
+    daily: _daysBetween(from, to).map(date => ({ date, count: daily[date] || 0 }))
+  };
+}
+
+/**
+ * 立即写出缓冲中的事件（仅 batch sink 有缓冲）
+ */
+async function flushAnalytics() {
+  return sink?.flush ? sink.flush() : true;
+}
+
+module.exports = {
+  recordUsage,
+  getUsageStats,
+  flushAnalytics,
+  getAnalyticsSink,
+  setAnalyticsSink
+};
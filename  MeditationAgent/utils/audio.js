@@ -0,0 +1,271 @@
+/**
+ * utils/audio.js
+ * ---------------------------------------------
+ * MP3 帧级工具（纯 JS，无需 ffmpeg）
+ * - 解析 MP3 帧，计算精确时长
+ * - 去掉 ID3 / Xing 头后按帧拼接多段音频
+ * - 按参考帧头生成静音帧，用于渲染停顿
+ * - 16bit 单声道 PCM 拼接与 MP3 编码（混音流程使用）
+ *
+ * 同一 TTS 参数合成出的分段音频采样率、声道一致，
+ * 直接拼接帧即可得到连续可播放的音轨。
+ * ---------------------------------------------
+ */
+
+const lamejs = require('lamejs');
+
+// ---------- MPEG 常量表 ----------
+// 索引：[version][bitrateIndex]，单位 kbps（仅 Layer III）
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+// 索引：[versionBits][sampleRateIndex]
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000]   // MPEG-2.5
+};
+
+/**
+ * 解析 4 字节帧头
+ * @returns {Object|null} 帧信息，非法帧头返回 null
+ */
+function parseFrameHeader(buf, offset) {
+  if (offset + 4 > buf.length) return null;
+  if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[offset + 1] >> 3) & 0x03;
+  const layerBits = (buf[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buf[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+  const channelMode = (buf[offset + 3] >> 6) & 0x03;
+
+  // 仅支持 Layer III（TTS 输出即为 Layer III）
+  if (versionBits === 1 || layerBits !== 1) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const isMpeg1 = versionBits === 3;
+  const bitrate = BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samplesPerFrame = isMpeg1 ? 1152 : 576;
+  const length = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+  return {
+    versionBits,
+    isMpeg1,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    padding,
+    channels: channelMode === 3 ? 1 : 2,
+    length
+  };
+}
+
+/**
+ * 跳过文件开头的 ID3v2 标签
+ */
+function _skipId3(buf) {
+  if (buf.length >= 10 && buf.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) |
+                 ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+    return 10 + size;
+  }
+  return 0;
+}
+
+/**
+ * 判断帧是否为 Xing / Info / VBRI 元数据帧（拼接后会失真，需剔除）
+ */
+function _isInfoFrame(buf, offset, header) {
+  const sideInfo = header.isMpeg1
+    ? (header.channels === 1 ? 17 : 32)
+    : (header.channels === 1 ? 9 : 17);
+  const tag = buf.toString('latin1', offset + 4 + sideInfo, offset + 8 + sideInfo);
+  return tag === 'Xing' || tag === 'Info' || buf.toString('latin1', offset + 36, offset + 40) === 'VBRI';
+}
+
+/**
+ * 解析 MP3 Buffer 中的全部音频帧
+ * @param {Buffer} buf
+ * @returns {{ frames: Array<{offset:number,length:number}>, sampleRate:number,
+ *             samplesPerFrame:number, channels:number, duration:number, header:Buffer|null }}
+ */
+function parseMp3(buf) {
+  const frames = [];
+  let offset = _skipId3(buf);
+  let first = null;
+
+  while (offset + 4 <= buf.length) {
+    const header = parseFrameHeader(buf, offset);
+    if (!header || offset + header.length > buf.length) {
+      offset += 1; // 重新同步
+      continue;
+    }
+    if (!first) {
+      if (_isInfoFrame(buf, offset, header)) {
+        offset += header.length;
+        continue;
+      }
+      first = { ...header, offset };
+    }
+    frames.push({ offset, length: header.length });
+    offset += header.length;
+  }
+
+  const samplesPerFrame = first ? first.samplesPerFrame : 0;
+  const sampleRate = first ? first.sampleRate : 0;
+
+  return {
+    frames,
+    sampleRate,
+    samplesPerFrame,
+    channels: first ? first.channels : 0,
+    duration: sampleRate ? (frames.length * samplesPerFrame) / sampleRate : 0,
+    header: first ? buf.subarray(first.offset, first.offset + 4) : null
+  };
+}
+
+/**
+ * 计算 MP3 时长（秒）
+ */
+function getMp3Duration(buf) {
+  return parseMp3(buf).duration;
+}
+
+/**
+ * 按帧拼接多段 MP3
+ * @param {Buffer[]} buffers
+ * @returns {{ buffer: Buffer, duration: number, segments: Array<{offset:number,duration:number}> }}
+ *          segments 为每段在拼接结果中的起始时间和时长（秒）
+ */
+function concatMp3(buffers) {
+  const parts = [];
+  const segments = [];
+  let total = 0;
+
+  buffers.forEach(buf => {
+    const info = parseMp3(buf);
+    info.frames.forEach(f => parts.push(buf.subarray(f.offset, f.offset + f.length)));
+    segments.push({ offset: total, duration: info.duration });
+    total += info.duration;
+  });
+
+  return {
+    buffer: Buffer.concat(parts),
+    duration: total,
+    segments
+  };
+}
+
+/**
+ * 生成指定时长的静音 MP3
+ * 复制参考帧头（采样率 / 码率 / 声道与语音一致），主数据全部置零，
+ * 解码后即为数字静音，可与语音帧直接拼接。
+ * @param {number} seconds - 静音时长（秒）
+ * @param {Buffer} header  - 参考帧头（parseMp3().header）
+ * @returns {Buffer}
+ */
+function createSilence(seconds, header) {
+  if (!header || seconds <= 0) return Buffer.alloc(0);
+
+  const frameHeader = Buffer.from(header);
+  frameHeader[1] |= 0x01;   // 关闭 CRC，避免校验失败
+  frameHeader[2] &= ~0x02;  // 去掉填充位，帧长恒定
+
+  const info = parseFrameHeader(frameHeader, 0);
+  if (!info) return Buffer.alloc(0);
+
+  const frameCount = Math.round((seconds * info.sampleRate) / info.samplesPerFrame);
+  const frame = Buffer.alloc(info.length);
+  frameHeader.copy(frame, 0);
+
+  return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+}
+
+// ---------- PCM（16bit 单声道小端） ----------
+
+/**
+ * 计算 PCM 时长（秒）
+ */
+function getPcmDuration(buf, sampleRate) {
+  return buf.length / 2 / sampleRate;
+}
+
+/**
+ * 生成指定时长的 PCM 静音
+ */
+function createPcmSilence(seconds, sampleRate) {
+  if (seconds <= 0) return Buffer.alloc(0);
+  return Buffer.alloc(Math.round(seconds * sampleRate) * 2);
+}
+
+/**
+ * 拼接多段 PCM，返回结构与 concatMp3 一致
+ * @param {Buffer[]} buffers
+ * @param {number} sampleRate
+ */
+function concatPcm(buffers, sampleRate) {
+  const segments = [];
+  let total = 0;
+
+  buffers.forEach(buf => {
+    const duration = getPcmDuration(buf, sampleRate);
+    segments.push({ offset: total, duration });
+    total += duration;
+  });
+
+  return {
+    buffer: Buffer.concat(buffers),
+    duration: total,
+    segments
+  };
+}
+
+/**
+ * PCM Buffer 转 Int16Array（拷贝，避免奇数偏移）
+ */
+function pcmToSamples(buf) {
+  const samples = new Int16Array(buf.length >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buf.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * 单声道 PCM 编码为 MP3
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @param {number} [kbps=48]
+ * @returns {Buffer}
+ */
+function encodeMp3(samples, sampleRate, kbps = 48) {
+  const encoder = new lamejs.Mp3Encoder(1, sampleRate, kbps);
+  const blockSize = 1152;
+  const out = [];
+
+  for (let i = 0; i < samples.length; i += blockSize) {
+    const encoded = encoder.encodeBuffer(samples.subarray(i, i + blockSize));
+    if (encoded.length) out.push(Buffer.from(encoded));
+  }
+  const tail = encoder.flush();
+  if (tail.length) out.push(Buffer.from(tail));
+
+  return Buffer.concat(out);
+}
+
+module.exports = {
+  parseFrameHeader,
+  createSilence,
+  parseMp3,
+  getMp3Duration,
+  concatMp3,
+  getPcmDuration,
+  createPcmSilence,
+  concatPcm,
+  pcmToSamples,
+  encodeMp3
+};
@@ -0,0 +1,138 @@
+/**
+ * utils/breathing.js
+ * ---------------------------------------------
+ * 确定性呼吸练习引擎：内置呼吸模式，按轮数或分钟数生成精确的吸 / 屏 / 呼提示时间轴
+ * - 时间以毫秒整数累加，避免多轮后浮点误差；返回时换算为秒（保留 3 位小数）
+ * - 按分钟数时取不超过该时长的最大整轮数（至少 1 轮）
+ * - 提示词只有少数几种（吸气 / 屏息 / 呼气 …），便于每种只合成一次语音后复用
+ *
+ * Usage:
+ *   const { buildBreathingTimeline } = require('../utils/breathing');
+ *   const t = buildBreathingTimeline({ pattern: 'box', minutes: 3, language: 'zh' });
+ *   // → { pattern, cycles, cycleSeconds, totalSeconds, bpm, timeline: [{ index, cycle, cue, start, duration, text }] }
+ * ---------------------------------------------
+ */
+
+// 各模式的阶段（秒）；cue 对应 CUE_TEXT 中的提示
+const PATTERNS = {
+  '4-7-8': {
+    name: { zh: '4-7-8 呼吸', en: '4-7-8 Breathing' },
+    description: {
+      zh: '吸气 4 秒、屏息 7 秒、呼气 8 秒，帮助放松入睡',
+      en: 'Inhale for 4, hold for 7, exhale for 8 to relax and fall asleep'
+    },
+    phases: [{ cue: 'inhale', seconds: 4 }, { cue: 'hold', seconds: 7 }, { cue: 'exhale', seconds: 8 }],
+    defaultCycles: 4,
+    maxCycles: 8   // 屏息较长，不宜连续练习过多轮
+  },
+  box: {
+    name: { zh: '箱式呼吸', en: 'Box Breathing' },
+    description: {
+      zh: '吸气、屏息、呼气、屏息各 4 秒，帮助平稳专注',
+      en: 'Inhale, hold, exhale and hold for 4 seconds each to steady focus'
+    },
+    phases: [
+      { cue: 'inhale', seconds: 4 }, { cue: 'hold', seconds: 4 },
+      { cue: 'exhale', seconds: 4 }, { cue: 'hold_empty', seconds: 4 }
+    ],
+    defaultCycles: 10,
+    maxCycles: 60
+  },
+  coherent: {
+    name: { zh: '共振呼吸', en: 'Coherent Breathing' },
+    description: {
+      zh: '每分钟 5.5 次，吸气与呼气等长，帮助平衡心率变异性',
+      en: '5.5 breaths per minute with equal inhale and exhale to balance heart rate variability'
+    },
+    // 60 / 5.5 / 2 ≈ 5.455 秒
+    phases: [{ cue: 'inhale', seconds: 60 / 5.5 / 2 }, { cue: 'exhale', seconds: 60 / 5.5 / 2 }],
+    defaultCycles: 55,   // 约 10 分钟
+    maxCycles: 330
+  },
+  physiological_sigh: {
+    name: { zh: '生理叹息', en: 'Physiological Sigh' },
+    description: {
+      zh: '鼻子深吸一口气再补吸一小口，然后用嘴缓慢长呼，快速缓解紧张',
+      en: 'A deep inhale through the nose, a short top-up inhale, then a long slow exhale through the mouth to ease stress fast'
+    },
+    phases: [{ cue: 'inhale', seconds: 2 }, { cue: 'topup', seconds: 1 }, { cue: 'exhale', seconds: 6 }],
+    defaultCycles: 5,
+    maxCycles: 60
+  }
+};
+
+const CUE_TEXT = {
+  zh: { inhale: '吸气', topup: '再吸一小口', hold: '屏息', exhale: '呼气', hold_empty: '停' },
+  en: { inhale: 'Breathe in', topup: 'A little more', hold: 'Hold', exhale: 'Breathe out', hold_empty: 'Hold' }
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * 模式列表（名称与说明按语言返回）
+ */
+function listPatterns(language = 'zh') {
+  return Object.entries(PATTERNS).map(([id, p]) => ({
+    id,
+    name: p.name[language],
+    description: p.description[language],
+    cycleSeconds: round3(p.phases.reduce((sum, ph) => sum + ph.seconds, 0)),
+    defaultCycles: p.defaultCycles,
+    maxCycles: p.maxCycles
+  }));
+}
+
+/**
+ * 生成时间轴；cycles 与 minutes 都缺省时按模式默认轮数
+ * @param {Object} params
+ * @param {string} params.pattern - PATTERNS 的 key
+ * @param {number} [params.cycles]
+ * @param {number} [params.minutes]
+ * @param {string} [params.language='zh']
+ * @returns {Object} 轮数超过 maxCycles 时截断为 maxCycles，并在 capped 中标明
+ */
+function buildBreathingTimeline({ pattern, cycles, minutes, language = 'zh' }) {
+  const def = PATTERNS[pattern];
+  const phases = def.phases.map(ph => ({ ...ph, ms: Math.round(ph.seconds * 1000) }));
+  const cycleMs = phases.reduce((sum, ph) => sum + ph.ms, 0);
+
+  let requested = cycles ?? (minutes ? Math.max(1, Math.floor((minutes * 60 * 1000) / cycleMs)) : def.defaultCycles);
+  const capped = requested > def.maxCycles;
+  if (capped) requested = def.maxCycles;
+
+  const texts = CUE_TEXT[language];
+  const timeline = [];
+  let cursor = 0;
+  for (let cycle = 1; cycle <= requested; cycle++) {
+    phases.forEach(ph => {
+      timeline.push({
+        index: timeline.length,
+        cycle,
+        cue: ph.cue,
+        text: texts[ph.cue],
+        start: round3(cursor / 1000),
+        duration: round3(ph.ms / 1000)
+      });
+      cursor += ph.ms;
+    });
+  }
+
+  return {
+    pattern,
+    name: def.name[language],
+    description: def.description[language],
+    cycles: requested,
+    capped,
+    cycleSeconds: round3(cycleMs / 1000),
+    totalSeconds: round3(cursor / 1000),
+    bpm: round3(60000 / cycleMs),
+    timeline
+  };
+}
+
+module.exports = {
+  PATTERNS,
+  CUE_TEXT,
+  listPatterns,
+  buildBreathingTimeline
+};
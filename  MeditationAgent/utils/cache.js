@@ -0,0 +1,201 @@
+/**
+ * utils/cache.js
+ * ---------------------------------------------
+ * 生成结果缓存，后端可替换：
+ * - memory：实例内存 LRU，冷启动后清空
+ * - file  ：本地文件（云函数仅 /tmp 可写，同一实例复用）
+ * - cos   ：COS 对象存储，跨实例共享；本地开发可通过 COS_LOCAL_DIR 使用本地模拟桶
+ *
+ * 每个后端有独立的 TTL（config.CACHE_TTL），条目过期后读取即视为未命中。
+ *
+ * Usage:
+ *   const { getCache, buildCacheKey } = require('../utils/cache');
+ *   const cache = getCache();                       // 按 config.CACHE_BACKEND
+ *   const key = buildCacheKey('meditation', params);
+ *   const entry = await cache.get(key);             // → { value, storedAt, expiresAt } | null
+ *   await cache.set(key, value);
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cosEnabled, cosGet, cosPut, cosDelete } = require('./cos');
+const config = require('../config');
+
+const md5 = (s) => crypto.createHash('md5').update(s).digest('hex');
+
+// 键顺序无关、忽略 undefined 的序列化，保证相同参数得到相同键
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 生成缓存键
+ * @param {string} namespace - 如 'meditation'
+ * @param {Object} params - 影响生成结果的全部参数
+ * @returns {string}
+ */
+function buildCacheKey(namespace, params) {
+  return `${namespace}:${md5(stableStringify(params))}`;
+}
+
+const _entry = (value, ttl) => {
+  const storedAt = Date.now();
+  return { value, storedAt, expiresAt: storedAt + ttl * 1000 };
+};
+const _expired = (entry) => !entry || entry.expiresAt <= Date.now();
+
+// ---------- memory ----------
+function createMemoryBackend({ ttl = config.CACHE_TTL.memory, maxEntries = config.CACHE_MEMORY_MAX_ENTRIES } = {}) {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+    ttl,
+    async get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (_expired(entry)) {
+        store.delete(key);
+        return null;
+      }
+      // 重新插入，Map 迭代顺序即为最近使用顺序
+      store.delete(key);
+      store.set(key, entry);
+      // 返回副本，调用方修改结果不影响缓存内容（与 file / cos 后端行为一致）
+      return { ...entry, value: structuredClone(entry.value) };
+    },
+    async set(key, value, entryTtl = ttl) {
+      store.delete(key);
+      store.set(key, _entry(structuredClone(value), entryTtl));
+      while (store.size > maxEntries) {
+        store.delete(store.keys().next().value);
+      }
+      return true;
+    },
+    async delete(key) {
+      return store.delete(key);
+    },
+    size: () => store.size
+  };
+}
+
+// ---------- file ----------
+function createFileBackend({ ttl = config.CACHE_TTL.file, dir = config.CACHE_DIR } = {}) {
+  const fileOf = (key) => path.join(dir, `${md5(key)}.json`);
+
+  return {
+    name: 'file',
+    ttl,
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileOf(key), 'utf-8'));
+        if (entry.key !== key || _expired(entry)) {
+          await fs.promises.rm(fileOf(key), { force: true });
+          return null;
+        }
+        return entry;
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('[Cache] 读取缓存文件失败:', e.message);
+        return null;
+      }
+    },
+    async set(key, value, entryTtl = ttl) {
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = fileOf(key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ key, ..._entry(value, entryTtl) }));
+        await fs.promises.rename(tmp, file);
+        return true;
+      } catch (e) {
+        console.warn('[Cache] 写入缓存文件失败:', e.message);
+        return false;
+      }
+    },
+    async delete(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+      return true;
+    }
+  };
+}
+
+// ---------- cos ----------
+function createCosBackend({ ttl = config.CACHE_TTL.cos, prefix = 'meditation/cache' } = {}) {
+  const objectOf = (key) => `${prefix}/${md5(key)}.json`;
+
+  return {
+    name: 'cos',
+    ttl,
+    async get(key) {
+      if (!cosEnabled()) return null;
+      const body = await cosGet(objectOf(key));
+      if (!body) return null;
+      try {
+        const entry = JSON.parse(body.toString('utf-8'));
+        if (entry.key !== key || _expired(entry)) {
+          await cosDelete(objectOf(key));
+          return null;
+        }
+        return entry;
+      } catch (e) {
+        console.warn('[Cache] COS 缓存内容损坏:', e.message);
+        return null;
+      }
+    },
+    async set(key, value, entryTtl = ttl) {
+      if (!cosEnabled()) return false;
+      const body = Buffer.from(JSON.stringify({ key, ..._entry(value, entryTtl) }));
+      // 缓存内容不对外公开
+      return cosPut(objectOf(key), body, 'application/json', { acl: 'private' });
+    },
+    async delete(key) {
+      return cosEnabled() ? cosDelete(objectOf(key)) : false;
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend,
+  cos: createCosBackend
+};
+
+/**
+ * 创建缓存实例
+ * @param {string} [backend=config.CACHE_BACKEND] - memory | file | cos
+ * @param {Object} [opts] - 传给后端的参数（ttl 秒、dir、maxEntries、prefix）
+ */
+function createCache(backend = config.CACHE_BACKEND, opts = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`[Cache] 不支持的缓存后端: ${backend}，可选：${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory(opts);
+}
+
+let defaultCache = null;
+
+/**
+ * 获取按配置创建的共享缓存实例
+ */
+function getCache() {
+  if (!defaultCache) defaultCache = createCache();
+  return defaultCache;
+}
+
+module.exports = {
+  createCache,
+  getCache,
+  buildCacheKey,
+  stableStringify
+};
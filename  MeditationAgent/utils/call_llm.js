@@ -1,113 +1,269 @@
-const axios = require('axios');
+const { getProvider, listProviders, resolveChain } = require('./llm_providers');
+const { createCircuitBreaker } = require('./circuit_breaker');
+const config = require('../config');
+
+// 每个供应商一个熔断器（实例内存）
+const breakers = {};
+const _breaker = (name) => {
+  if (!breakers[name]) {
+    breakers[name] = createCircuitBreaker({
+      name,
+      failureThreshold: config.LLM_BREAKER_THRESHOLD,
+      cooldownMs: config.LLM_BREAKER_COOLDOWN_MS
+    });
+  }
+  return breakers[name];
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'STREAM_IDLE_TIMEOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * 调用混元大模型 API
- * @param {Object} params - 请求参数
- * @param {Array} params.messages - 消息数组
- * @param {string} params.model - 模型名称
- * @param {number} params.temperature - 温度参数
- * @param {number} params.maxTokens - 最大token数
- * @returns {Promise<Object>} 统一格式的响应
+ * 是否为值得重试的错误：429、5xx、超时与网络抖动
  */
-async function callLLM(params) {
-  const apiKey = process.env.HUNYUAN_API_KEY;
-  const endpoint = process.env.HUNYUAN_ENDPOINT || 'https://hunyuan.tencentapi.com/v1/chat/completions';
-
-  if (!apiKey) {
-    console.error('❌ HUNYUAN_API_KEY 未设置');
-    return { 
-      success: false, 
-      error: { 
-        code: 'NO_API_KEY', 
-        message: 'HUNYUAN_API_KEY 未配置' 
-      } 
-    };
+function _isRetryable(err) {
+  const status = Number(err.status || err.code);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return RETRYABLE_NETWORK_CODES.includes(err.networkCode) || RETRYABLE_NETWORK_CODES.includes(err.code);
+}
+
+/**
+ * 解析 Retry-After（秒数或 HTTP 日期），返回毫秒；无法解析时返回 null
+ */
+function _parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：指数退避 + 抖动（一半固定、一半随机）
+ */
+function _backoffDelay(attempt) {
+  const exp = Math.min(config.LLM_RETRY_MAX_DELAY_MS, config.LLM_RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * 按 maxTokens 估算请求超时，长文本生成需要更久
+ */
+function calculateTimeout(maxTokens = 1000) {
+  return Math.min(
+    config.LLM_TIMEOUT_MAX_MS,
+    config.LLM_TIMEOUT_BASE_MS + maxTokens * config.LLM_TIMEOUT_PER_TOKEN_MS
+  );
+}
+
+/**
+ * 统一请求参数
+ * 兼容旧版本直接传字符串的调用
+ */
+function _normalizeParams(params) {
+  if (typeof params === 'string') {
+    return { messages: [{ role: 'user', content: params }], fallback: true, temperature: 0.7, maxTokens: 1000, timeout: calculateTimeout(1000) };
   }
+  return {
+    messages: params.messages || [{ role: 'user', content: params.prompt || '' }],
+    model: params.model,
+    provider: params.provider,
+    fallback: params.fallback !== false,
+    temperature: params.temperature || 0.7,
+    maxTokens: params.maxTokens || 1000,
+    timeout: params.timeout || calculateTimeout(params.maxTokens || 1000)
+  };
+}
 
-  try {
-    // 处理不同的输入格式
-    let messages, model, temperature, maxTokens;
-    
-    if (typeof params === 'string') {
-      // 兼容旧版本直接传字符串的调用
-      messages = [{ role: 'user', content: params }];
-      model = 'hunyuan-lite';
-      temperature = 0.7;
-      maxTokens = 1000;
-    } else {
-      // 新版本对象参数
-      messages = params.messages || [{ role: 'user', content: params.prompt || '' }];
-      model = params.model || 'hunyuan-lite';
-      temperature = params.temperature || 0.7;
-      maxTokens = params.maxTokens || 1000;
-    }
+/**
+ * 调用单个供应商，429 / 5xx / 超时按指数退避重试
+ * 流式调用一旦已下发内容便不再重试
+ */
+async function _callWithRetry(provider, request, invoke, state) {
+  const breaker = _breaker(provider.name);
+  let attempt = 0;
 
-    console.log('[CallLLM] 发送请求:', { 
-      model, 
-      messageCount: messages.length, 
-      temperature 
-    });
+  for (;;) {
+    try {
+      const result = await invoke(provider, request, state);
+      breaker.onSuccess();
+      return result;
+    } catch (err) {
+      const retryable = _isRetryable(err);
+      // 只有服务端类故障计入熔断，参数错误等 4xx 不代表供应商不可用
+      if (retryable) breaker.onFailure(err);
+      else breaker.release();
 
-    const response = await axios.post(
-      endpoint,
-      {
-        model,
-        messages,
-        temperature,
-        max_tokens: maxTokens
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000, // ✅ 设置超时防卡死
+      if (!retryable || state.emitted || attempt >= config.LLM_MAX_RETRIES || !breaker.allow()) {
+        err.retries = attempt;
+        throw err;
       }
-    );
 
-    // 兼容不同API响应格式
-    const content = response?.data?.choices?.[0]?.message?.content ||
-                   response?.data?.result?.content ||
-                   response?.data?.content;
+      const retryAfter = _parseRetryAfter(err.retryAfter);
+      if (retryAfter !== null && retryAfter > config.LLM_RETRY_MAX_DELAY_MS) {
+        console.warn(`[CallLLM] ${provider.name} 要求 ${retryAfter}ms 后重试，超过上限，放弃重试`);
+        err.retries = attempt;
+        throw err;
+      }
 
-    if (!content) {
-      console.warn('⚠️ 混元返回内容为空或结构不符:', response.data);
-      return {
-        success: false,
-        error: {
-          code: 'EMPTY_RESPONSE',
-          message: '大模型返回内容为空'
-        }
-      };
+      const delay = retryAfter !== null ? retryAfter : _backoffDelay(attempt);
+      attempt++;
+      console.warn(`[CallLLM] ${provider.name} 请求失败（${err.code}），${delay}ms 后第 ${attempt} 次重试`);
+      await sleep(delay);
     }
+  }
+}
 
-    console.log('✅ 混元大模型调用成功，内容长度:', content.length);
-    
-    // ✅ 统一成功格式
+/**
+ * 按回退链依次调用供应商
+ * - 请求指定的 provider 优先，其后按 config.LLM_FALLBACK_CHAIN
+ * - 未配置密钥的供应商直接跳过，处于熔断期的供应商快速失败
+ * - params.model 只作用于链首供应商，回退时使用各供应商的默认模型
+ * @param {Object} req - _normalizeParams() 的结果
+ * @param {Function} invoke - (provider, request, state) => Promise<{ content, usage }>
+ * @param {Object} state - 调用期间的共享状态（流式调用记录是否已下发内容）
+ */
+async function _callWithFallback(req, invoke, state = {}) {
+  if (req.provider && !getProvider(req.provider)) {
     return {
-      success: true,
-      data: {
-        text: content, // 统一字段名
-        content,       // 保持兼容性
-        model,
-        usage: response.data?.usage || {}
+      success: false,
+      error: {
+        code: 'INVALID_PROVIDER',
+        message: `不支持的大模型供应商: ${req.provider}，可选：${listProviders().join(', ')}`
       }
     };
+  }
+
+  const chain = resolveChain(req.provider);
+  const candidates = req.fallback ? chain : chain.slice(0, 1);
+  const attempts = [];
+  let lastError = null;
+
+  for (let i = 0; i < candidates.length; i++) {
+    const provider = getProvider(candidates[i]);
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.name, code: 'NO_API_KEY', skipped: true });
+      continue;
+    }
+
+    if (!_breaker(provider.name).allow()) {
+      attempts.push({ provider: provider.name, code: 'CIRCUIT_OPEN', skipped: true });
+      continue;
+    }
+
+    const model = (i === 0 && req.model) || provider.defaultModel();
+    console.log('[CallLLM] 发送请求:', {
+      provider: provider.name,
+      model,
+      messageCount: req.messages.length,
+      temperature: req.temperature,
+      timeout: req.timeout,
+      stream: !!state.stream
+    });
+
+    try {
+      const { content, usage } = await _callWithRetry(provider, { ...req, model }, invoke, state);
+      console.log(`✅ ${provider.label} 调用成功，内容长度:`, content.length);
+
+      // ✅ 统一成功格式
+      return {
+        success: true,
+        data: {
+          text: content, // 统一字段名
+          content,       // 保持兼容性
+          model,
+          provider: provider.name,
+          usage: usage || {},
+          attempts
+        }
+      };
+    } catch (err) {
+      console.error(`❌ ${provider.label} 请求失败:`, err.detail || err.message);
+      lastError = err;
+      attempts.push({ provider: provider.name, code: err.code || 'HTTP_ERROR', message: err.message, retries: err.retries || 0 });
 
-  } catch (err) {
-    console.error('❌ 混元 API 请求失败:', err.response?.data || err.message);
-    
-    // ✅ 统一错误格式
+      // 流式已下发部分内容时不能再切换供应商，否则客户端会收到两份开头
+      if (state.emitted) break;
+    }
+  }
+
+  // ✅ 统一错误格式
+  if (!lastError) {
+    const circuitOpen = attempts.some(a => a.code === 'CIRCUIT_OPEN');
     return {
       success: false,
       error: {
-        code: err.response?.status || 'HTTP_ERROR',
-        message: err.response?.data?.error?.message || err.message,
-        detail: err.response?.data || err.message
+        code: circuitOpen ? 'CIRCUIT_OPEN' : 'NO_API_KEY',
+        message: circuitOpen
+          ? `大模型服务暂不可用，已熔断（已尝试：${candidates.join(', ')}）`
+          : `未配置可用的大模型供应商（已尝试：${candidates.join(', ') || '无'}）`,
+        attempts
       }
     };
   }
+
+  return {
+    success: false,
+    error: {
+      code: lastError.code || 'HTTP_ERROR',
+      message: lastError.message,
+      detail: lastError.detail || lastError.message,
+      provider: attempts[attempts.length - 1].provider,
+      attempts
+    }
+  };
+}
+
+/**
+ * 调用大模型 API（按供应商回退链）
+ * @param {Object} params - 请求参数
+ * @param {Array} params.messages - 消息数组
+ * @param {string} params.provider - 首选供应商：hunyuan / openai / local，缺省按 config.LLM_FALLBACK_CHAIN
+ * @param {string} params.model - 模型名称，仅作用于首选供应商
+ * @param {boolean} params.fallback - 为 false 时不回退到其他供应商
+ * @param {number} params.temperature - 温度参数
+ * @param {number} params.maxTokens - 最大token数
+ * @param {number} params.timeout - 单次请求超时（毫秒），缺省按 maxTokens 估算
+ * @returns {Promise<Object>} 统一格式的响应，data.provider 为实际响应的供应商
+ */
+async function callLLM(params) {
+  return _callWithFallback(_normalizeParams(params), (provider, request) => provider.chat(request));
+}
+
+/**
+ * 流式调用大模型（SSE），边生成边回调
+ * 只有在尚未收到任何内容时才会回退到下一个供应商
+ * @param {Object} params - 同 callLLM
+ * @param {Object} handlers
+ * @param {Function} handlers.onDelta - (delta, fullText) => void，每收到一段增量文本回调一次
+ * @param {number} handlers.idleTimeout - 两次数据之间的最长等待（毫秒），默认 30000
+ * @returns {Promise<Object>} 完成后返回与 callLLM 相同的统一格式
+ */
+async function callLLMStream(params, { onDelta, idleTimeout = 30000 } = {}) {
+  const state = { stream: true, emitted: false };
+  return _callWithFallback(_normalizeParams(params), (provider, request) => provider.stream(request, {
+    idleTimeout,
+    onDelta: (delta, content) => {
+      state.emitted = true;
+      onDelta?.(delta, content);
+    }
+  }), state);
+}
+
+/**
+ * 各供应商的熔断状态，供健康检查使用
+ * @returns {Object} { [provider]: { configured, state, failures, openedAt, retryAt, lastError } }
+ */
+function getCircuitState() {
+  return resolveChain().reduce((acc, name) => {
+    acc[name] = { configured: getProvider(name).isConfigured(), ..._breaker(name).getState() };
+    return acc;
+  }, {});
 }
 
 // ✅ 默认导出，解决 "not a function" 问题
-module.exports = callLLM;
\ No newline at end of file
+module.exports = callLLM;
+module.exports.callLLMStream = callLLMStream;
+module.exports.getCircuitState = getCircuitState;
+module.exports.calculateTimeout = calculateTimeout;
@@ -0,0 +1,160 @@
+/**
+ * utils/captions.js
+ * ---------------------------------------------
+ * 字幕生成：把合成音频的分段时间轴细化到句子，并导出 WebVTT / SRT / LRC。
+ *
+ * 每个 TTS 分段的起止时间是精确的（来自音频帧），
+ * 分段内部各句按可朗读字符数比例分配时长。
+ *
+ * Usage:
+ *   const { buildCues, formatCaptions } = require('../utils/captions');
+ *   const cues = buildCues(track.chunks);          // [{ start, end, text }]
+ *   const vtt  = formatCaptions(cues, 'vtt');
+ * ---------------------------------------------
+ */
+
+const CAPTION_FORMATS = {
+  vtt: { ext: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  srt: { ext: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  lrc: { ext: 'lrc', contentType: 'text/plain; charset=utf-8' }
+};
+
+const MAX_CUE_CHARS = 32;       // 超过此长度的句子再按逗号拆分，便于屏幕显示
+const LRC_CLEAR_GAP = 1;        // LRC 中停顿超过 1 秒时插入空行清屏
+
+const SENTENCE_RE = /[^。！？!?；;\n]+[。！？!?；;]*/g;
+const CLAUSE_RE = /[^，,、：:]+[，,、：:]*/g;
+
+// 朗读时长权重：字母 / 数字 / 汉字计 1，逗号类计 0.5（短暂换气）
+const _weight = (text) =>
+  (text.match(/[\p{L}\p{N}]/gu) || []).length + (text.match(/[，,、：:]/g) || []).length * 0.5;
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * 把一段文本拆成字幕行
+ */
+function _splitLines(text) {
+  const lines = [];
+  (text.match(SENTENCE_RE) || []).forEach(sentence => {
+    const trimmed = sentence.trim();
+    if (!trimmed || _weight(trimmed) === 0) return;
+    if (trimmed.length <= MAX_CUE_CHARS) {
+      lines.push(trimmed);
+      return;
+    }
+
+    // 长句按逗号合并到不超过 MAX_CUE_CHARS
+    let current = '';
+    (trimmed.match(CLAUSE_RE) || [trimmed]).forEach(clause => {
+      if (current && (current + clause).length > MAX_CUE_CHARS) {
+        lines.push(current.trim());
+        current = '';
+      }
+      current += clause;
+    });
+    if (current.trim()) lines.push(current.trim());
+  });
+  return lines;
+}
+
+/**
+ * 根据音频分段生成句级字幕
+ * @param {Array<{text:string, offset:number, duration:number}>} chunks - synthesizeLongSpeech().chunks
+ * @returns {Array<{index:number, start:number, end:number, text:string}>} 时间单位为秒
+ */
+function buildCues(chunks = []) {
+  const cues = [];
+
+  chunks.forEach(chunk => {
+    const lines = _splitLines(chunk.text || '');
+    const total = lines.reduce((sum, line) => sum + _weight(line), 0);
+    if (!total) return;
+
+    let start = chunk.offset;
+    lines.forEach((line, i) => {
+      const end = i === lines.length - 1
+        ? chunk.offset + chunk.duration
+        : start + (chunk.duration * _weight(line)) / total;
+      cues.push({ index: cues.length + 1, start: round3(start), end: round3(end), text: line });
+      start = end;
+    });
+  });
+
+  return cues;
+}
+
+// ---------- 时间格式 ----------
+function _clock(seconds, msSeparator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(ms % 1000, 3)}`;
+}
+
+function _lrcClock(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const m = Math.floor(cs / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+function _toVtt(cues, { title }) {
+  const header = title ? `WEBVTT - ${title}` : 'WEBVTT';
+  const body = cues.map(c => `${c.index}\n${_clock(c.start, '.')} --> ${_clock(c.end, '.')}\n${c.text}`);
+  return [header, ...body].join('\n\n') + '\n';
+}
+
+function _toSrt(cues) {
+  return cues.map(c => `${c.index}\n${_clock(c.start, ',')} --> ${_clock(c.end, ',')}\n${c.text}`).join('\n\n') + '\n';
+}
+
+function _toLrc(cues, { title, duration }) {
+  const lines = [];
+  if (title) lines.push(`[ti:${title}]`);
+  if (duration) lines.push(`[length:${_lrcClock(duration).slice(0, 5)}]`);
+
+  cues.forEach((c, i) => {
+    lines.push(`[${_lrcClock(c.start)}]${c.text}`);
+    const next = cues[i + 1];
+    if (!next || next.start - c.end >= LRC_CLEAR_GAP) {
+      lines.push(`[${_lrcClock(c.end)}]`);
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 导出字幕文本
+ * @param {Array<Object>} cues - buildCues() 的结果
+ * @param {string} format - vtt / srt / lrc
+ * @param {Object} [meta] - { title, duration }
+ * @returns {string}
+ */
+function formatCaptions(cues, format, meta = {}) {
+  switch (format) {
+    case 'vtt': return _toVtt(cues, meta);
+    case 'srt': return _toSrt(cues, meta);
+    case 'lrc': return _toLrc(cues, meta);
+    default:
+      throw new Error(`[Captions] 不支持的字幕格式: ${format}`);
+  }
+}
+
+/**
+ * 规范化字幕格式参数，不支持时返回 null
+ */
+function normalizeCaptionFormat(format) {
+  const value = String(format || '').trim().toLowerCase().replace(/^\./, '');
+  const alias = value === 'webvtt' ? 'vtt' : value;
+  return Object.hasOwn(CAPTION_FORMATS, alias) ? alias : null;
+}
+
+module.exports = {
+  CAPTION_FORMATS,
+  buildCues,
+  formatCaptions,
+  normalizeCaptionFormat
+};
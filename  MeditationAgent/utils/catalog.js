@@ -0,0 +1,306 @@
+/**
+ * utils/catalog.js
+ * ---------------------------------------------
+ * 冥想主题目录：加载、校验与合并
+ * - 分层合并：基础目录 prompts/meditation_types.json → config.CATALOG_PATHS 中的覆盖文件（如租户定制）
+ *   → 运营通过 catalog 请求的在线修改（见 utils/catalog_store.js）
+ * - types 按 id、styleDefinitions 按 key 逐字段覆盖（数组整体替换）；enabled: false 的条目对外隐藏
+ * - 每层加载时按 schema 校验（覆盖层只需 id 与要改的字段），合并结果再做完整校验与交叉引用检查；
+ *   失败时抛出 code 为 INVALID_CATALOG 的错误，details 中逐条列出「字段路径: 问题」
+ * - 文件层在首次使用时同步读取；在线修改由 refreshCatalog() 按 config.CATALOG_REFRESH_MS 重新拉取
+ *
+ * Usage:
+ *   const { getCatalog, refreshCatalog } = require('../utils/catalog');
+ *   await refreshCatalog();                  // 每次请求前调用，未到刷新间隔时直接返回
+ *   const { types, styleDefinitions } = getCatalog();   // 只含启用的条目
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCatalogStore } = require('./catalog_store');
+const config = require('../config');
+
+const BASE_PATH = path.join(__dirname, '../prompts/meditation_types.json');
+const ID_RE = /^[a-z0-9_]+$/;
+const LANGS = config.SUPPORTED_LANGUAGES;
+
+// ---------- Schema ----------
+const _isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const _isText = (v) => typeof v === 'string' && v.trim().length > 0;
+const _isTexts = (v) => Array.isArray(v) && v.every(_isText);
+
+const CHECKS = {
+  id: { test: (v) => typeof v === 'string' && ID_RE.test(v), expect: '由小写字母、数字或下划线组成的字符串' },
+  text: { test: _isText, expect: '非空字符串' },
+  texts: { test: _isTexts, expect: '字符串数组' },
+  localized: { test: (v) => _isObject(v) && LANGS.every(l => _isText(v[l])), expect: `包含 ${LANGS.join(' / ')} 的非空字符串` },
+  localizedTexts: { test: (v) => _isObject(v) && LANGS.every(l => _isTexts(v[l])), expect: `包含 ${LANGS.join(' / ')} 的字符串数组` },
+  duration: {
+    test: (v) => Number.isInteger(v) && v >= config.MIN_DURATION && v <= config.MAX_DURATION,
+    expect: `整数（分钟），范围 ${config.MIN_DURATION}-${config.MAX_DURATION}`
+  },
+  boolean: { test: (v) => typeof v === 'boolean', expect: 'true 或 false' }
+};
+
+const TOPIC_SCHEMA = {
+  id: { check: 'id', required: true },
+  name: { check: 'localized', required: true },
+  description: { check: 'localized', required: true },
+  keywords: { check: 'texts', required: true },
+  recommendedStyles: { check: 'texts', required: true },
+  defaultDuration: { check: 'duration', required: true },
+  targetAudience: { check: 'localizedTexts', required: true },
+  benefits: { check: 'localizedTexts', required: true },
+  progression: { check: 'texts' },
+  techniques: { check: 'texts' },
+  bestTime: { check: 'texts' },
+  enabled: { check: 'boolean' }
+};
+
+const STYLE_SCHEMA = {
+  ...Object.fromEntries(LANGS.map(l => [l, { check: 'text', required: true }])),
+  enabled: { check: 'boolean' }
+};
+
+function _checkEntry(entry, schema, at, { partial }) {
+  if (!_isObject(entry)) return [`${at}: 应为对象`];
+
+  const errors = Object.keys(entry)
+    .filter(key => !schema[key])
+    .map(key => `${at}.${key}: 未知字段，可选：${Object.keys(schema).join(', ')}`);
+
+  Object.entries(schema).forEach(([key, { check, required }]) => {
+    if (entry[key] === undefined) {
+      // 覆盖层只需 id 定位条目
+      if (required && (!partial || key === 'id')) errors.push(`${at}.${key}: 缺少必填字段`);
+      return;
+    }
+    if (!CHECKS[check].test(entry[key])) errors.push(`${at}.${key}: 应为${CHECKS[check].expect}`);
+  });
+  return errors;
+}
+
+// 合并后的交叉检查：风格引用、重名、至少保留一个启用的主题与风格
+function _crossCheck(data) {
+  const errors = [];
+  const activeStyles = Object.keys(data.styleDefinitions).filter(key => data.styleDefinitions[key].enabled !== false);
+  const activeTypes = data.types.filter(t => t.enabled !== false);
+
+  if (activeTypes.length === 0) errors.push('types: 至少需要一个启用的主题');
+  if (activeStyles.length === 0) errors.push('styleDefinitions: 至少需要一个启用的风格');
+
+  data.types.forEach((type, i) => {
+    if (type.enabled === false || !_isTexts(type.recommendedStyles)) return;
+    if (type.recommendedStyles.length === 0) {
+      errors.push(`types[${i}].recommendedStyles: 至少需要一个风格`);
+    }
+    type.recommendedStyles
+      .filter(style => !activeStyles.includes(style))
+      .forEach(style => errors.push(`types[${i}].recommendedStyles: 风格 ${style} 不存在或已停用（主题 ${type.id}）`));
+
+    LANGS.forEach(lang => {
+      const j = data.types.findIndex(other => other.enabled !== false && other.name?.[lang] === type.name?.[lang]);
+      if (j !== i) errors.push(`types[${i}].name.${lang}: 与 types[${j}] 重名（${type.name[lang]}）`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * 按 schema 校验目录
+ * @param {Object} data - { version, types, styleDefinitions }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.partial=false] - 覆盖层：字段均可选（types 条目仍需 id），不做交叉检查
+ * @returns {string[]} 错误列表，形如「types[2].name.en: 缺少必填字段」；为空表示通过
+ */
+function validateCatalog(data, { partial = false } = {}) {
+  if (!_isObject(data)) return ['目录应为 JSON 对象'];
+  const errors = [];
+
+  if (data.types !== undefined || !partial) {
+    if (!Array.isArray(data.types)) {
+      errors.push('types: 应为数组');
+    } else {
+      const seen = new Map();
+      data.types.forEach((type, i) => {
+        errors.push(..._checkEntry(type, TOPIC_SCHEMA, `types[${i}]`, { partial }));
+        if (seen.has(type?.id)) errors.push(`types[${i}].id: 与 types[${seen.get(type.id)}] 重复（${type.id}）`);
+        else seen.set(type?.id, i);
+      });
+    }
+  }
+
+  if (data.styleDefinitions !== undefined || !partial) {
+    if (!_isObject(data.styleDefinitions)) {
+      errors.push('styleDefinitions: 应为对象');
+    } else {
+      Object.entries(data.styleDefinitions).forEach(([key, style]) => {
+        if (!ID_RE.test(key)) errors.push(`styleDefinitions.${key}: 风格名应${CHECKS.id.expect}`);
+        errors.push(..._checkEntry(style, STYLE_SCHEMA, `styleDefinitions.${key}`, { partial }));
+      });
+    }
+  }
+
+  return errors.length === 0 && !partial ? _crossCheck(data) : errors;
+}
+
+/**
+ * 按顺序合并多层目录，后面的层覆盖前面的
+ * @param {Array<Object>} layers
+ * @returns {{ version: string|null, types: Array<Object>, styleDefinitions: Object }}
+ */
+function mergeCatalogs(layers) {
+  const types = new Map();
+  const styleDefinitions = {};
+
+  layers.forEach(layer => {
+    (layer.types || []).forEach(type => types.set(type.id, { ...types.get(type.id), ...type }));
+    Object.entries(layer.styleDefinitions || {}).forEach(([key, style]) => {
+      styleDefinitions[key] = { ...styleDefinitions[key], ...style };
+    });
+  });
+
+  return {
+    version: layers.map(layer => layer.version).filter(Boolean).pop() || null,
+    types: [...types.values()],
+    styleDefinitions
+  };
+}
+
+function _catalogError(message, details = []) {
+  const err = new Error(details.length ? `${message}：\n${details.map(d => `- ${d}`).join('\n')}` : message);
+  err.code = config.ERROR_CODES.INVALID_CATALOG;
+  err.details = details;
+  return err;
+}
+
+// ---------- 加载 ----------
+let fileLayers = null;   // 基础目录 + 覆盖文件
+let overrides = null;    // 在线修改
+let merged = null;       // 合并结果（含停用条目）
+let active = null;       // 对外视图（只含启用条目）
+let refreshedAt = 0;
+
+function _readLayer(file, { partial }) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw _catalogError(`[Catalog] 目录文件读取失败（${file}）: ${e.message}`);
+  }
+  const errors = validateCatalog(data, { partial });
+  if (errors.length > 0) throw _catalogError(`[Catalog] 目录文件校验失败（${file}）`, errors);
+  return data;
+}
+
+function _fileLayers() {
+  if (!fileLayers) {
+    fileLayers = [BASE_PATH, ...config.CATALOG_PATHS].map((file, i) => _readLayer(file, { partial: i > 0 }));
+  }
+  return fileLayers;
+}
+
+// 合并并完整校验，不修改当前状态
+function _build(overrideDoc, label) {
+  const errors = overrideDoc ? validateCatalog(overrideDoc, { partial: true }) : [];
+  if (errors.length > 0) throw _catalogError(`[Catalog] ${label}校验失败`, errors);
+
+  const next = mergeCatalogs([..._fileLayers(), ...(overrideDoc ? [overrideDoc] : [])]);
+  const mergedErrors = validateCatalog(next);
+  if (mergedErrors.length > 0) throw _catalogError(`[Catalog] ${label}合并后校验失败`, mergedErrors);
+  return next;
+}
+
+function _activate(next, overrideDoc) {
+  merged = next;
+  overrides = overrideDoc;
+  active = {
+    version: next.version,
+    types: next.types.filter(t => t.enabled !== false),
+    styleDefinitions: Object.fromEntries(
+      Object.entries(next.styleDefinitions).filter(([, style]) => style.enabled !== false)
+    )
+  };
+}
+
+// ---------- Public API ----------
+/**
+ * 当前目录（只含启用的主题与风格）；首次调用时读取并校验目录文件，失败抛出 INVALID_CATALOG
+ * @returns {{ version: string|null, types: Array<Object>, styleDefinitions: Object }}
+ */
+function getCatalog() {
+  if (!active) _activate(_build(overrides, '目录'), overrides);
+  return active;
+}
+
+/**
+ * 完整目录（含停用条目，enabled 已补全），供管理接口使用
+ */
+function getCatalogEntries() {
+  getCatalog();
+  return {
+    version: merged.version,
+    types: merged.types.map(type => ({ ...type, enabled: type.enabled !== false })),
+    styleDefinitions: Object.fromEntries(
+      Object.entries(merged.styleDefinitions).map(([key, style]) => [key, { ...style, enabled: style.enabled !== false }])
+    ),
+    updatedAt: overrides?.updatedAt || null,
+    updatedBy: overrides?.updatedBy || null
+  };
+}
+
+/**
+ * 当前在线修改文档的副本，没有时返回空文档
+ */
+function getCatalogOverrides() {
+  return structuredClone(overrides || { types: [], styleDefinitions: {} });
+}
+
+/**
+ * 重新拉取在线修改；未到刷新间隔时直接返回。
+ * 读取或校验失败只记录日志并继续使用当前目录，不影响请求
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force=false] - 忽略刷新间隔（管理操作前使用，避免覆盖其他实例的修改）
+ */
+async function refreshCatalog({ force = false } = {}) {
+  if (!force && Date.now() - refreshedAt < config.CATALOG_REFRESH_MS) return;
+  refreshedAt = Date.now();
+
+  try {
+    const doc = await getCatalogStore().load();
+    if (active && JSON.stringify(doc) === JSON.stringify(overrides)) return;
+    _activate(_build(doc, '在线修改'), doc);
+  } catch (e) {
+    console.error('[Catalog] 目录刷新失败，继续使用当前目录:', e.message);
+  }
+}
+
+/**
+ * 校验并保存在线修改，成功后立即生效
+ * @param {Object} doc - 覆盖文档 { types, styleDefinitions }
+ * @param {Object} [meta]
+ * @param {string} [meta.updatedBy]
+ * @returns {Promise<Object>} 保存的文档
+ * @throws {Error} code 为 INVALID_CATALOG，details 为校验错误
+ */
+async function saveCatalogOverrides(doc, { updatedBy = null } = {}) {
+  const now = new Date().toISOString();
+  const record = { ...doc, version: now, updatedAt: now, updatedBy };
+  const next = _build(record, '目录修改');
+
+  await getCatalogStore().save(record);
+  _activate(next, record);
+  refreshedAt = Date.now();
+  return record;
+}
+
+module.exports = {
+  validateCatalog,
+  mergeCatalogs,
+  getCatalog,
+  getCatalogEntries,
+  getCatalogOverrides,
+  refreshCatalog,
+  saveCatalogOverrides
+};
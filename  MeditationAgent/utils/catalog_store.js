@@ -0,0 +1,124 @@
+/**
+ * utils/catalog_store.js
+ * ---------------------------------------------
+ * 主题目录在线修改（catalog 请求）的存储：整份覆盖文档 { version, types, styleDefinitions, updatedAt, updatedBy }
+ *
+ * 存储可替换：
+ * - memory：实例内存，冷启动后清空，适合本地开发
+ * - file  ：本地文件 config.CATALOG_DIR/overrides.json（云函数各实例的 /tmp 互不共享）
+ * - cos   ：COS 对象存储，跨实例共享，线上使用
+ * - 自定义：setCatalogStore({ load, save })
+ *
+ * Usage:
+ *   const { getCatalogStore } = require('../utils/catalog_store');
+ *   const doc = await getCatalogStore().load();   // → 覆盖文档 | null
+ *   await getCatalogStore().save(doc);
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cosEnabled, cosGet, cosPut } = require('./cos');
+const config = require('../config');
+
+// ---------- memory ----------
+function createMemoryStore() {
+  let doc = null;
+
+  return {
+    name: 'memory',
+    async load() {
+      return doc ? structuredClone(doc) : null;
+    },
+    async save(next) {
+      doc = structuredClone(next);
+      return true;
+    }
+  };
+}
+
+// ---------- file ----------
+function createFileStore({ dir = config.CATALOG_DIR } = {}) {
+  const file = path.join(dir, 'overrides.json');
+
+  return {
+    name: 'file',
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async save(doc) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(doc, null, 2));
+      await fs.promises.rename(tmp, file);
+      return true;
+    }
+  };
+}
+
+// ---------- cos ----------
+function createCosStore({ key = 'meditation/catalog/overrides.json' } = {}) {
+  return {
+    name: 'cos',
+    async load() {
+      if (!cosEnabled()) return null;
+      const body = await cosGet(key);
+      return body ? JSON.parse(body.toString('utf-8')) : null;
+    },
+    async save(doc) {
+      if (!cosEnabled()) throw new Error('[CatalogStore] COS 未配置，无法保存目录修改');
+      const saved = await cosPut(key, Buffer.from(JSON.stringify(doc)), 'application/json', { acl: 'private' });
+      if (!saved) throw new Error('[CatalogStore] 目录修改上传 COS 失败');
+      return true;
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  cos: createCosStore
+};
+
+/**
+ * 按名称创建存储实例
+ * @param {string} name - memory | file | cos
+ * @param {Object} [opts] - { dir } / { key }
+ */
+function createCatalogStore(name, opts) {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`[CatalogStore] 不支持的存储: ${name}，可选：${Object.keys(STORES).join(', ')}`);
+  }
+  return factory(opts);
+}
+
+let store = null;
+
+function getCatalogStore() {
+  if (!store) store = createCatalogStore(config.CATALOG_STORE);
+  return store;
+}
+
+/**
+ * 替换目录修改存储
+ * @param {Object} catalogStore - 需实现 load / save
+ */
+function setCatalogStore(catalogStore) {
+  const missing = ['load', 'save'].filter(m => typeof catalogStore?.[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`[CatalogStore] 存储缺少方法: ${missing.join(', ')}`);
+  }
+  store = catalogStore;
+}
+
+module.exports = {
+  createCatalogStore,
+  getCatalogStore,
+  setCatalogStore
+};
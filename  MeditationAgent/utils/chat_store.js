@@ -0,0 +1,42 @@
+/**
+ * utils/chat_store.js
+ * ---------------------------------------------
+ * 对话教练的会话状态存储（见 utils/state_store.js）：{ id, userId, language, phase, messages, suggestion, practiced, createdAt, updatedAt }
+ * 同一会话的后续消息可能落到其他实例，线上需用 cos 共享；超过 config.CHAT_TTL_MS 无新消息的会话视为过期
+ *
+ * Usage:
+ *   const { getChatStore } = require('../utils/chat_store');
+ *   await getChatStore().save(chatId, state);
+ *   const state = await getChatStore().get(chatId);
+ * ---------------------------------------------
+ */
+
+const { createStateStore, assertStateStore } = require('./state_store');
+const config = require('../config');
+
+let store = null;
+
+function getChatStore() {
+  if (!store) {
+    store = createStateStore(config.CHAT_STORE, {
+      ttlMs: config.CHAT_TTL_MS,
+      dir: config.CHAT_DIR,
+      prefix: 'meditation/chats'
+    });
+  }
+  return store;
+}
+
+/**
+ * 替换会话存储
+ * @param {Object} chatStore - 需实现 get / save / remove
+ */
+function setChatStore(chatStore) {
+  assertStateStore(chatStore, 'ChatStore');
+  store = chatStore;
+}
+
+module.exports = {
+  getChatStore,
+  setChatStore
+};
@@ -0,0 +1,123 @@
+/**
+ * utils/circuit_breaker.js
+ * ---------------------------------------------
+ * 进程内熔断器
+ * - closed   ：正常放行，连续失败达到阈值后转为 open
+ * - open     ：直接拒绝（快速失败），冷却期结束后转为 half_open
+ * - half_open：只放行一次试探请求，成功则恢复 closed，失败则重新 open
+ *
+ * 状态只保存在当前实例内存中，云函数冷启动后重置。
+ *
+ * Usage:
+ *   const breaker = createCircuitBreaker({ name: 'hunyuan', failureThreshold: 5, cooldownMs: 30000 });
+ *   if (!breaker.allow()) return fastFail();
+ *   try { await call(); breaker.onSuccess(); } catch (e) { breaker.onFailure(e); }
+ *   // 与供应商可用性无关的失败（如参数错误）调用 release()，归还试探名额
+ * ---------------------------------------------
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * 创建熔断器
+ * @param {Object} opts
+ * @param {string} opts.name - 名称，用于日志与状态输出
+ * @param {number} [opts.failureThreshold=5] - 连续失败多少次后熔断
+ * @param {number} [opts.cooldownMs=30000] - 熔断后多久允许试探
+ * @param {Function} [opts.now] - 时间函数，默认 Date.now
+ */
+function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 30000, now = Date.now }) {
+  let state = STATES.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+  let lastError = null;
+
+  const open = () => {
+    state = STATES.OPEN;
+    openedAt = now();
+    probing = false;
+    console.warn(`[CircuitBreaker] ${name} 已熔断，${cooldownMs}ms 后尝试恢复`);
+  };
+
+  return {
+    name,
+
+    /**
+     * 是否允许发起请求
+     */
+    allow() {
+      if (state === STATES.OPEN && now() - openedAt >= cooldownMs) {
+        state = STATES.HALF_OPEN;
+        probing = false;
+      }
+      if (state === STATES.CLOSED) return true;
+      if (state === STATES.HALF_OPEN && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+
+    onSuccess() {
+      if (state !== STATES.CLOSED) {
+        console.log(`[CircuitBreaker] ${name} 已恢复`);
+      }
+      state = STATES.CLOSED;
+      failures = 0;
+      openedAt = null;
+      probing = false;
+    },
+
+    onFailure(error) {
+      failures++;
+      lastError = error ? { code: error.code, message: error.message, at: new Date(now()).toISOString() } : null;
+      if (state === STATES.HALF_OPEN || failures >= failureThreshold) {
+        open();
+      }
+    },
+
+    /**
+     * 本次请求的结果不能说明供应商是否可用（如 4xx、空响应），既不恢复也不熔断；
+     * 半开状态下归还试探名额，否则熔断器会一直停在 half_open 拒绝后续请求
+     */
+    release() {
+      if (state === STATES.HALF_OPEN) probing = false;
+    },
+
+    /**
+     * 当前状态快照
+     */
+    getState() {
+      // 读取状态时同步推进 open → half_open，避免展示过期的 open
+      if (state === STATES.OPEN && now() - openedAt >= cooldownMs) {
+        state = STATES.HALF_OPEN;
+        probing = false;
+      }
+      return {
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === STATES.OPEN ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastError
+      };
+    },
+
+    reset() {
+      state = STATES.CLOSED;
+      failures = 0;
+      openedAt = null;
+      probing = false;
+      lastError = null;
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  STATES
+};
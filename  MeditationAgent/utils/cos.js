@@ -0,0 +1,217 @@
+/**
+ * utils/cos.js
+ * ---------------------------------------------
+ * 腾讯云 COS 对象存储的统一封装，供语音缓存与结果缓存共用。
+ *
+ * 未配置 COS_BUCKET 但配置了 COS_LOCAL_DIR 时，使用本地目录模拟的存储桶
+ * （接口与 cos-nodejs-sdk-v5 的 headObject / getObject / putObject / deleteObject / getBucket 一致），
+ * 便于本地开发与测试时不依赖线上 COS。
+ *
+ * Usage:
+ *   const { cosEnabled, cosGet, cosPut, buildUrl } = require('./cos');
+ *   if (cosEnabled() && await cosPut(key, buffer, 'audio/mpeg')) url = buildUrl(key);
+ *
+ * Environment variables:
+ *   COS_SECRET_ID / COS_SECRET_KEY / COS_BUCKET / COS_REGION / COS_CDN
+ *   COS_LOCAL_DIR       可选，本地模拟存储桶目录
+ *   COS_LOCAL_BASE_URL  可选，本地模拟存储桶对外访问地址（如本地静态服务器），缺省为 file://
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const COS = require('cos-nodejs-sdk-v5');
+
+const cfg = {
+  secretId: process.env.COS_SECRET_ID,
+  secretKey: process.env.COS_SECRET_KEY,
+  bucket: process.env.COS_BUCKET,
+  region: process.env.COS_REGION,
+  cdn: process.env.COS_CDN,
+  localDir: process.env.COS_LOCAL_DIR,
+  localBaseUrl: process.env.COS_LOCAL_BASE_URL,
+};
+
+const useRemote = () => !!(cfg.bucket && cfg.region);
+const useLocal = () => !useRemote() && !!cfg.localDir;
+
+// ---------- 本地模拟存储桶 ----------
+const notFound = (key) => Object.assign(new Error(`NoSuchKey: ${key}`), { code: 'NoSuchKey', statusCode: 404 });
+
+const localCos = {
+  _file(key) {
+    const file = path.resolve(cfg.localDir, key);
+    // 防止 ../ 越出模拟桶目录
+    if (!file.startsWith(path.resolve(cfg.localDir) + path.sep)) {
+      throw Object.assign(new Error(`Invalid key: ${key}`), { code: 'InvalidKey' });
+    }
+    return file;
+  },
+  async headObject({ Key }) {
+    try {
+      const stat = await fs.promises.stat(this._file(Key));
+      return { statusCode: 200, headers: { 'content-length': String(stat.size) } };
+    } catch (e) {
+      throw e.code === 'ENOENT' ? notFound(Key) : e;
+    }
+  },
+  async getObject({ Key }) {
+    try {
+      return { statusCode: 200, Body: await fs.promises.readFile(this._file(Key)) };
+    } catch (e) {
+      throw e.code === 'ENOENT' ? notFound(Key) : e;
+    }
+  },
+  async putObject({ Key, Body }) {
+    const file = this._file(Key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, Body);
+    await fs.promises.rename(tmp, file);
+    return { statusCode: 200 };
+  },
+  async deleteObject({ Key }) {
+    await fs.promises.rm(this._file(Key), { force: true });
+    return { statusCode: 204 };
+  },
+  // 一次返回全部匹配对象，不分页
+  async getBucket({ Prefix = '' }) {
+    const root = path.resolve(cfg.localDir);
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      const nested = await Promise.all(entries.map(e => {
+        const full = path.join(dir, e.name);
+        return e.isDirectory() ? walk(full) : [path.relative(root, full).split(path.sep).join('/')];
+      }));
+      return nested.flat();
+    };
+    const keys = await walk(root);
+    return {
+      Contents: keys.filter(k => k.startsWith(Prefix) && !k.endsWith('.tmp')).sort().map(Key => ({ Key })),
+      IsTruncated: 'false'
+    };
+  },
+};
+
+const remoteCos = new COS({ SecretId: cfg.secretId, SecretKey: cfg.secretKey });
+const client = () => (useRemote() ? remoteCos : localCos);
+const target = (key) => ({ Bucket: cfg.bucket, Region: cfg.region, Key: key });
+
+// ---------- Helpers ----------
+const cosEnabled = () => useRemote() || useLocal();
+
+const buildUrl = (k) => {
+  if (useLocal()) {
+    return cfg.localBaseUrl ? `${cfg.localBaseUrl}/${k}` : `file://${path.resolve(cfg.localDir, k)}`;
+  }
+  return cfg.cdn
+    ? `${cfg.cdn}/${k}`
+    : `https://${cfg.bucket}.cos.${cfg.region}.myqcloud.com/${k}`;
+};
+
+const isNotFound = (e) => ['NoSuchKey', 'NotFound', 404].includes(e.code || e.statusCode);
+
+async function cosExists(key) {
+  try {
+    await client().headObject(target(key));
+    return true;
+  } catch (e) {
+    // 处理各种 NoSuchKey 错误格式
+    if (!isNotFound(e)) {
+      console.error('[COS] headObject error', e);
+    }
+    return false;
+  }
+}
+
+async function cosGet(key) {
+  try {
+    const { Body } = await client().getObject(target(key));
+    return Buffer.isBuffer(Body) ? Body : Buffer.from(Body);
+  } catch (e) {
+    if (!isNotFound(e)) {
+      console.error('[COS] getObject error', e);
+    }
+    return null;
+  }
+}
+
+/**
+ * 上传（带重试），失败返回 false，不中断流程
+ * @param {string} key
+ * @param {Buffer} body
+ * @param {string} [contentType='audio/mpeg']
+ * @param {Object} [opts]
+ * @param {string} [opts.acl='public-read'] - 音频需公共读；缓存等内部数据应传 'private'
+ */
+async function cosPut(key, body, contentType = 'audio/mpeg', { acl = 'public-read' } = {}) {
+  for (let cosAttempt = 0; cosAttempt < 2; cosAttempt++) {
+    try {
+      await client().putObject({
+        ...target(key),
+        Body: body,
+        ContentType: contentType,
+        ACL: acl,
+      });
+      console.info('[COS] Uploaded', { key });
+      return true;
+    } catch (e) {
+      if (cosAttempt === 0) {
+        console.warn('[COS] upload retry', e.message);
+        continue;
+      }
+      console.error('[COS] putObject failed after retry', e);
+    }
+  }
+  return false;
+}
+
+async function cosDelete(key) {
+  try {
+    await client().deleteObject(target(key));
+    return true;
+  } catch (e) {
+    if (!isNotFound(e)) {
+      console.error('[COS] deleteObject error', e);
+    }
+    return false;
+  }
+}
+
+/**
+ * 列出前缀下的全部对象键（自动翻页），失败返回空数组
+ * @param {string} prefix
+ * @returns {Promise<string[]>}
+ */
+async function cosList(prefix) {
+  const keys = [];
+  let marker;
+  try {
+    for (;;) {
+      const { Contents = [], IsTruncated, NextMarker } = await client().getBucket({
+        Bucket: cfg.bucket,
+        Region: cfg.region,
+        Prefix: prefix,
+        Marker: marker,
+        MaxKeys: 1000,
+      });
+      keys.push(...Contents.map(c => c.Key));
+      if (String(IsTruncated) !== 'true' || !NextMarker) break;
+      marker = NextMarker;
+    }
+  } catch (e) {
+    console.error('[COS] getBucket error', e);
+  }
+  return keys;
+}
+
+module.exports = {
+  cosEnabled,
+  buildUrl,
+  cosExists,
+  cosGet,
+  cosPut,
+  cosDelete,
+  cosList,
+  isLocalStandIn: useLocal,
+};
@@ -0,0 +1,101 @@
+/**
+ * utils/intent_parser.js
+ * ---------------------------------------------
+ * 自然语言意图的规则解析，作为大模型解析失败时的兜底，也用于校正大模型结果
+ * - 时长：阿拉伯数字 / 中文数字 / 英文数字 + 分钟，半小时、一刻钟、一小时等
+ * - 语言：含汉字判定为 zh，否则 en
+ * - 风格：按关键词匹配 styleDefinitions 中的 key
+ *
+ * Usage:
+ *   const { extractDuration, detectLanguage, detectStyle } = require('../utils/intent_parser');
+ *   extractDuration('我只有五分钟');   // → 5
+ *   detectStyle('想要温柔一点的', ['gentle', 'zen']);   // → 'gentle'
+ * ---------------------------------------------
+ */
+
+const CN_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const EN_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  twelve: 12, fifteen: 15, twenty: 20, 'twenty-five': 25, thirty: 30, forty: 40, 'forty-five': 45, fifty: 50, sixty: 60
+};
+
+const STYLE_KEYWORDS = {
+  gentle: ['温柔', '轻柔', '温和', 'gentle', 'soft'],
+  healing: ['疗愈', '治愈', '安抚', 'healing', 'soothing'],
+  mindful: ['正念', '觉察', 'mindful', 'mindfulness'],
+  zen: ['禅', '禅意', 'zen'],
+  nature: ['自然', '森林', '海边', '雨声', 'nature', 'forest', 'ocean'],
+  modern: ['现代', '简洁', '干脆', 'modern', 'simple', 'straightforward']
+};
+
+/**
+ * 中文数字转整数（支持 0–99，如「五」「十五」「二十」「三十五」）
+ */
+function cnToNumber(text) {
+  if (!text) return null;
+  if (!text.includes('十')) {
+    return text.length === 1 && CN_DIGITS[text] !== undefined ? CN_DIGITS[text] : null;
+  }
+  const [tens, ones] = text.split('十');
+  const t = tens === '' ? 1 : CN_DIGITS[tens];
+  const o = ones === '' ? 0 : CN_DIGITS[ones];
+  return t === undefined || o === undefined ? null : t * 10 + o;
+}
+
+/**
+ * 提取时长（分钟），未提及时返回 null
+ * @param {string} text
+ * @returns {number|null}
+ */
+function extractDuration(text = '') {
+  const lower = text.toLowerCase();
+
+  if (/半\s*(个)?\s*小时|half an hour|half hour/.test(lower)) return 30;
+  if (/一刻钟|quarter of an hour|quarter hour/.test(lower)) return 15;
+
+  const hours = lower.match(/(\d+(?:\.\d+)?|[一两二三]|an?|one|two)\s*(个)?\s*(小时|钟头|hours?)/);
+  if (hours) {
+    const n = Number(hours[1]) || cnToNumber(hours[1]) || EN_NUMBERS[hours[1]] || 1;
+    return n * 60;
+  }
+
+  const digits = lower.match(/(\d+(?:\.\d+)?)\s*(分钟|分|mins?\b|minutes?)/);
+  if (digits) return Math.round(Number(digits[1]));
+
+  const chinese = lower.match(/([零一二两三四五六七八九十]+)\s*分钟/);
+  if (chinese) return cnToNumber(chinese[1]);
+
+  const english = lower.match(new RegExp(`\\b(${Object.keys(EN_NUMBERS).join('|')})\\s*(mins?\\b|minutes?)`));
+  if (english) return EN_NUMBERS[english[1]];
+
+  return null;
+}
+
+/**
+ * 按文字判断语言
+ * @returns {'zh'|'en'}
+ */
+function detectLanguage(text = '') {
+  return /[㐀-鿿]/.test(text) ? 'zh' : 'en';
+}
+
+/**
+ * 按关键词判断风格，只返回受支持的风格
+ * @param {string} text
+ * @param {string[]} supportedStyles
+ * @returns {string|null}
+ */
+function detectStyle(text = '', supportedStyles = []) {
+  const lower = text.toLowerCase();
+  const match = Object.entries(STYLE_KEYWORDS)
+    .find(([style, words]) => supportedStyles.includes(style) && words.some(w => lower.includes(w)));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  extractDuration,
+  detectLanguage,
+  detectStyle,
+  cnToNumber
+};
@@ -0,0 +1,348 @@
+/**
+ * 大模型供应商注册表
+ * - hunyuan：腾讯混元（OpenAI 兼容接口）
+ * - openai ：任意 OpenAI 兼容接口（OPENAI_BASE_URL 可指向自建网关、DeepSeek、Moonshot 等）
+ * - local  ：确定性本地桩，不发网络请求，相同输入始终返回相同内容，供开发与测试使用
+ *
+ * 每个供应商实现：
+ *   isConfigured()                      是否具备调用条件（如已配置密钥）
+ *   defaultModel()                      未指定模型时使用的模型名
+ *   chat(req)                  → { content, usage }
+ *   stream(req, { onDelta })   → { content, usage }
+ * 失败时抛出带 code（及 HTTP status）的 Error，由 call_llm.js 决定是否切换下一个供应商
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+
+// ---------- Helpers ----------
+function providerError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+// 兼容只配置了 /v1 基础地址或完整 /chat/completions 地址两种写法
+const chatUrl = (base) => (/\/chat\/completions\/?$/.test(base)
+  ? base
+  : `${base.replace(/\/+$/, '')}/chat/completions`);
+
+/**
+ * 解析 SSE 数据流：data: {...}\n\n ... data: [DONE]
+ */
+function readSSE(stream, { onDelta, idleTimeout }) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let finished = false;
+    let timer = null;
+
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (err) {
+        stream.destroy?.();
+        reject(err);
+      } else {
+        resolve({ content, usage });
+      }
+    };
+
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(
+        () => finish(providerError('STREAM_IDLE_TIMEOUT', `流式响应超过 ${idleTimeout}ms 无数据`)),
+        idleTimeout
+      );
+    };
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        finish();
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch (e) {
+        console.warn('⚠️ 无法解析的 SSE 数据:', payload.slice(0, 100));
+        return;
+      }
+
+      if (chunk.error) {
+        finish(providerError('HTTP_ERROR', chunk.error.message || 'SSE 返回错误'));
+        return;
+      }
+
+      const delta = chunk.choices?.[0]?.delta?.content || chunk.choices?.[0]?.message?.content || '';
+      if (chunk.usage) usage = chunk.usage;
+      if (delta) {
+        content += delta;
+        try {
+          onDelta?.(delta, content);
+        } catch (e) {
+          console.warn('⚠️ onDelta 回调异常:', e.message);
+        }
+      }
+    };
+
+    resetTimer();
+    stream.setEncoding?.('utf8');
+    stream.on('data', (data) => {
+      resetTimer();
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => !finished && handleLine(line));
+    });
+    stream.on('end', () => {
+      if (buffer) handleLine(buffer);
+      finish();
+    });
+    stream.on('error', finish);
+  });
+}
+
+// 统一 axios 错误（流式请求的错误响应体是未读取的流，不作为详情返回）
+function wrapHttpError(err, name) {
+  if (err.code && !err.isAxiosError) return err;
+  const data = typeof err.response?.data?.pipe === 'function' ? null : err.response?.data;
+  return providerError(
+    err.response?.status || 'HTTP_ERROR',
+    data?.error?.message || err.message,
+    {
+      status: err.response?.status,
+      retryAfter: err.response?.headers?.['retry-after'],
+      networkCode: err.code, // ECONNABORTED / ETIMEDOUT / ECONNRESET 等
+      detail: data || err.message,
+      provider: name
+    }
+  );
+}
+
+// ---------- OpenAI 兼容供应商 ----------
+function createOpenAICompatibleProvider({ name, label, apiKey, endpoint, defaultModel }) {
+  const headers = () => ({
+    Authorization: `Bearer ${apiKey()}`,
+    'Content-Type': 'application/json'
+  });
+
+  const ensureKey = () => {
+    if (!apiKey()) {
+      throw providerError('NO_API_KEY', `${label} API Key 未配置`);
+    }
+  };
+
+  return {
+    name,
+    label,
+    defaultModel,
+    isConfigured: () => !!apiKey(),
+
+    async chat({ messages, model, temperature, maxTokens, timeout = 10000 }) {
+      ensureKey();
+      try {
+        const response = await axios.post(
+          chatUrl(endpoint()),
+          { model, messages, temperature, max_tokens: maxTokens },
+          { headers: headers(), timeout }
+        );
+
+        // 兼容不同API响应格式
+        const content = response?.data?.choices?.[0]?.message?.content ||
+                        response?.data?.result?.content ||
+                        response?.data?.content;
+
+        if (!content) {
+          console.warn(`⚠️ ${label} 返回内容为空或结构不符:`, response.data);
+          throw providerError('EMPTY_RESPONSE', '大模型返回内容为空');
+        }
+
+        return { content, usage: response.data?.usage || {} };
+      } catch (err) {
+        throw wrapHttpError(err, name);
+      }
+    },
+
+    async stream({ messages, model, temperature, maxTokens, timeout = 10000 }, { onDelta, idleTimeout = 30000 } = {}) {
+      ensureKey();
+      try {
+        const response = await axios.post(
+          chatUrl(endpoint()),
+          { model, messages, temperature, max_tokens: maxTokens, stream: true },
+          {
+            headers: { ...headers(), Accept: 'text/event-stream' },
+            responseType: 'stream',
+            timeout // 仅约束首包，流式过程由 idleTimeout 控制
+          }
+        );
+
+        const { content, usage } = await readSSE(response.data, { onDelta, idleTimeout });
+        if (!content) {
+          throw providerError('EMPTY_RESPONSE', '大模型返回内容为空');
+        }
+        return { content, usage: usage || {} };
+      } catch (err) {
+        throw wrapHttpError(err, name);
+      }
+    }
+  };
+}
+
+// ---------- 本地确定性桩 ----------
+const LOCAL_SENTENCES = {
+  zh: [
+    '找一个舒适的姿势坐好或躺下，让身体被稳稳地支撑着。',
+    '轻轻闭上眼睛…把注意力带到呼吸上。',
+    '慢慢吸气，感受空气进入鼻腔……再缓缓呼气。',
+    '让肩膀自然下沉，放下这一刻不需要的紧绷。',
+    '留意身体与地面接触的地方…感受那份稳定。',
+    '如果思绪飘走了，没关系，温柔地把它带回呼吸。',
+    '每一次呼气，都让身体再放松一点点。',
+    '感受胸口随着呼吸轻轻起伏……',
+    '此刻你不需要做任何事，只是安静地在这里。',
+    '慢慢地，把注意力带回房间里的声音。'
+  ],
+  en: [
+    'Find a comfortable position, letting your body be fully supported.',
+    'Gently close your eyes… and bring your attention to the breath.',
+    'Breathe in slowly, feeling the air enter…… and breathe out gently.',
+    'Let your shoulders soften, releasing any tension you no longer need.',
+    'Notice where your body meets the ground… feel that steadiness.',
+    'If your mind wanders, that is okay. Kindly return to the breath.',
+    'With every exhale, let your body relax a little more.',
+    'Feel your chest rise and fall with each breath……',
+    'There is nothing you need to do right now. Simply be here.',
+    'Slowly bring your awareness back to the sounds around you.'
+  ]
+};
+
+function _localContent({ messages, maxTokens }) {
+  const prompt = messages.map(m => m.content).join('\n');
+  const language = /[一-龥]/.test(prompt) ? 'zh' : 'en';
+  const sentences = LOCAL_SENTENCES[language];
+  const seed = parseInt(crypto.createHash('md5').update(prompt).digest('hex').slice(0, 8), 16);
+
+  // 每段约 2 句、~100 token，按 maxTokens 控制段落数
+  const paragraphCount = Math.max(3, Math.min(60, Math.floor((maxTokens || 1000) / 100)));
+  const paragraphs = Array.from({ length: paragraphCount }, (_, i) => {
+    const a = sentences[(seed + i * 2) % sentences.length];
+    const b = sentences[(seed + i * 2 + 1) % sentences.length];
+    return `${a}${language === 'zh' ? '' : ' '}${b}`;
+  });
+
+  // 长时段大纲请求返回大纲 JSON（时长交由调用方按比例校正）
+  if (prompt.includes('"sections"')) {
+    const titles = language === 'zh' ? ['开场引导', '呼吸觉察', '身体放松', '结束回归'] : ['Opening', 'Breath awareness', 'Body relaxation', 'Closing'];
+    return JSON.stringify({
+      title: language === 'zh' ? '本地冥想' : 'Local meditation',
+      sections: titles.map((title, i) => ({
+        type: i === 0 ? 'opening' : (i === titles.length - 1 ? 'closing' : 'main'),
+        title,
+        minutes: i === 0 || i === titles.length - 1 ? 3 : 10,
+        focus: sentences[(seed + i) % sentences.length]
+      }))
+    });
+  }
+
+  // 结构化请求返回分段 JSON
+  if (prompt.includes('"segments"')) {
+    const openingEnd = Math.max(1, Math.round(paragraphCount * 0.15));
+    const closingStart = Math.max(openingEnd + 1, paragraphCount - Math.max(1, Math.round(paragraphCount * 0.1)));
+    return JSON.stringify({
+      title: language === 'zh' ? '本地冥想' : 'Local meditation',
+      segments: [
+        { type: 'opening', text: paragraphs.slice(0, openingEnd).join('\n\n') },
+        { type: 'main', text: paragraphs.slice(openingEnd, closingStart).join('\n\n') },
+        { type: 'closing', text: paragraphs.slice(closingStart).join('\n\n') }
+      ]
+    });
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+const localProvider = {
+  name: 'local',
+  label: '本地桩',
+  defaultModel: () => 'local-stub',
+  isConfigured: () => true,
+
+  async chat(req) {
+    const content = _localContent(req);
+    return { content, usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+  },
+
+  async stream(req, { onDelta } = {}) {
+    const content = _localContent(req);
+    let sent = '';
+    for (let i = 0; i < content.length; i += 16) {
+      const delta = content.slice(i, i + 16);
+      sent += delta;
+      onDelta?.(delta, sent);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return { content, usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+  }
+};
+
+// ---------- 注册表 ----------
+const providers = {
+  hunyuan: createOpenAICompatibleProvider({
+    name: 'hunyuan',
+    label: '腾讯混元',
+    apiKey: () => config.HUNYUAN_API_KEY,
+    endpoint: () => config.getEndpoint(),
+    defaultModel: () => config.DEFAULT_MODEL
+  }),
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'OpenAI 兼容接口',
+    apiKey: () => config.OPENAI_API_KEY,
+    endpoint: () => config.OPENAI_BASE_URL,
+    defaultModel: () => config.OPENAI_MODEL
+  }),
+  local: localProvider
+};
+
+/**
+ * 获取供应商
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getProvider(name) {
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+/**
+ * 获取已注册的供应商名称
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * 计算本次调用的供应商顺序：指定的供应商优先，其后按配置的回退链
+ * @param {string} [preferred] - 请求指定的供应商
+ * @returns {string[]}
+ */
+function resolveChain(preferred) {
+  const chain = preferred ? [preferred, ...config.LLM_FALLBACK_CHAIN] : [...config.LLM_FALLBACK_CHAIN];
+  return [...new Set(chain)].filter(name => Object.hasOwn(providers, name));
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  resolveChain,
+  readSSE
+};
@@ -0,0 +1,29 @@
+/**
+ * utils/logger.js
+ * ---------------------------------------------
+ * 路由共用的日志工具：按 config.LOG_LEVEL 过滤，输出带级别与模块名前缀
+ *
+ * Usage:
+ *   const log = createLogger('MeditationGuide');
+ *   log.info('生成完成:', { topic });   // → [INFO][MeditationGuide] 生成完成: { topic: ... }
+ * ---------------------------------------------
+ */
+
+const config = require('../config');
+
+/**
+ * @param {string} name - 模块名，作为日志前缀
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function createLogger(name) {
+  return {
+    debug: (...args) => config.LOG_LEVEL === 'debug' && console.log(`[DEBUG][${name}]`, ...args),
+    info: (...args) => ['debug', 'info'].includes(config.LOG_LEVEL) && console.log(`[INFO][${name}]`, ...args),
+    warn: (...args) => console.warn(`[WARN][${name}]`, ...args),
+    error: (...args) => console.error(`[ERROR][${name}]`, ...args)
+  };
+}
+
+module.exports = {
+  createLogger
+};
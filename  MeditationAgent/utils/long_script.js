@@ -0,0 +1,313 @@
+/**
+ * utils/long_script.js
+ * ---------------------------------------------
+ * 长时段冥想（30–60 分钟）分步生成
+ * 单次补全输出不了 60 分钟所需的上万 token，改为：
+ * 1. 先生成大纲，为每段分配分钟数（失败时按时长使用默认大纲）
+ * 2. 逐段扩写，每次附带完整大纲与前文概要，保证前后连贯
+ * 3. 某段估算时长明显不足预算时续写一次
+ * 4. 拼装为与 parseScript() 相同结构的脚本
+ *
+ * Usage:
+ *   const { generateLongScript } = require('../utils/long_script');
+ *   const resp = await generateLongScript({ topic, style, duration: 45, language: 'zh', pauses });
+ *   // → { success, data: { script, provider, model, usage, generation } }
+ * ---------------------------------------------
+ */
+
+const callLLM = require('./call_llm');
+const promptBuilder = require('./meditation_prompt');
+const { parseScript, parseJson, estimateSeconds, SEGMENT_TYPES } = require('./script_parser');
+const config = require('../config');
+
+const SYSTEM_PROMPT = '你是一个专业的冥想引导师，擅长创作温和、平静的冥想引导词。';
+
+const DEFAULT_TITLES = {
+  zh: { opening: '开场引导', main: '主体练习', closing: '结束回归' },
+  en: { opening: 'Opening', main: 'Main practice', closing: 'Closing' }
+};
+
+// ---------- 大纲 ----------
+/**
+ * 主体段数：约每 8 分钟一段，2–6 段
+ */
+const _mainSectionCount = (duration) => Math.max(2, Math.min(6, Math.round((duration - 5) / 8)));
+
+/**
+ * 按比例把分钟数缩放为整数且总和等于 duration（每段至少 1 分钟）
+ */
+function _scaleMinutes(sections, duration) {
+  const sum = sections.reduce((acc, s) => acc + s.minutes, 0) || 1;
+  const raw = sections.map(s => (s.minutes * duration) / sum);
+  const minutes = raw.map(m => Math.max(1, Math.floor(m)));
+
+  let diff = duration - minutes.reduce((a, b) => a + b, 0);
+  const byFraction = raw.map((m, i) => ({ i, frac: m - Math.floor(m) })).sort((a, b) => b.frac - a.frac);
+  for (let k = 0; diff > 0; k = (k + 1) % byFraction.length, diff--) {
+    minutes[byFraction[k].i]++;
+  }
+  while (diff < 0) {
+    const largest = minutes.indexOf(Math.max(...minutes));
+    minutes[largest]--;
+    diff++;
+  }
+
+  return sections.map((s, i) => ({ ...s, minutes: minutes[i] }));
+}
+
+/**
+ * 默认大纲：开场 3–4 分钟、结束 2–3 分钟，其余均分给主体
+ */
+function _defaultOutline(duration, language) {
+  const titles = DEFAULT_TITLES[language] || DEFAULT_TITLES.zh;
+  const mainCount = _mainSectionCount(duration);
+  const opening = duration >= 45 ? 4 : 3;
+  const closing = duration >= 45 ? 3 : 2;
+  const focus = language === 'zh'
+    ? { opening: '调整姿势，觉察呼吸，逐渐安顿身心', main: '围绕主题深入练习', closing: '整合练习体验，温和地回到当下' }
+    : { opening: 'Settle the posture, notice the breath, and arrive', main: 'Deepen the practice around the theme', closing: 'Integrate the experience and gently return' };
+
+  const sections = [
+    { type: 'opening', title: titles.opening, minutes: opening, focus: focus.opening },
+    ...Array.from({ length: mainCount }, (_, i) => ({
+      type: 'main',
+      title: language === 'zh' ? `${titles.main}（${i + 1}）` : `${titles.main} ${i + 1}`,
+      minutes: (duration - opening - closing) / mainCount,
+      focus: focus.main
+    })),
+    { type: 'closing', title: titles.closing, minutes: closing, focus: focus.closing }
+  ];
+
+  return { title: null, sections: _scaleMinutes(sections, duration) };
+}
+
+/**
+ * 校验并规范化大模型返回的大纲，不可用时返回 null
+ */
+function _normalizeOutline(data, duration, language) {
+  const list = Array.isArray(data) ? data : data?.sections || data?.segments || data?.outline;
+  if (!Array.isArray(list)) return null;
+
+  const titles = DEFAULT_TITLES[language] || DEFAULT_TITLES.zh;
+  let sections = list
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      const type = SEGMENT_TYPES.includes(item.type) ? item.type : 'main';
+      const minutes = Number(item.minutes ?? item.duration);
+      return {
+        type,
+        title: String(item.title || titles[type]).trim(),
+        minutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 1,
+        focus: String(item.focus || item.description || item.summary || '').trim()
+      };
+    });
+
+  const mains = sections.filter(s => s.type === 'main');
+  if (mains.length === 0) return null;
+
+  // 只保留第一个开场与最后一个结束，保证 opening → main → closing 顺序
+  const fallback = _defaultOutline(duration, language).sections;
+  const opening = sections.find(s => s.type === 'opening') || fallback[0];
+  const closing = [...sections].reverse().find(s => s.type === 'closing') || fallback[fallback.length - 1];
+  sections = [opening, ...mains.slice(0, 8), closing];
+  sections.forEach(s => {
+    if (!s.focus) s.focus = s.title;
+  });
+
+  return {
+    title: typeof data?.title === 'string' ? data.title.trim() : null,
+    sections: _scaleMinutes(sections, duration)
+  };
+}
+
+// ---------- 扩写 ----------
+/**
+ * 单段目标字数（英文为词数），扣除停顿留白
+ */
+const _targetLength = (minutes) => Math.round(minutes * config.WORDS_PER_MINUTE * config.LONG_FORM_SPEECH_RATIO);
+
+const _maxTokens = (length) => Math.floor(length * config.TOKENS_PER_WORD * config.TOKEN_BUFFER);
+
+// 去掉大模型偶尔附带的标题行与代码块
+function _cleanSection(text, section) {
+  return (text || '')
+    .replace(/```[a-z]*\n?/gi, '')
+    .split('\n')
+    .filter((line, i) => !(i < 2 && line.replace(/[#*【】\[\]\s：:]/g, '') === section.title.replace(/\s/g, '')))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * 前文概要：较早的段落只保留标题与要点，最近一段附上结尾，便于自然衔接
+ */
+function _summaryLines(outline, texts, language) {
+  return texts.map((text, i) => {
+    const section = outline.sections[i];
+    const line = language === 'zh' ? `- ${section.title}：${section.focus}` : `- ${section.title}: ${section.focus}`;
+    if (i !== texts.length - 1) return line;
+
+    const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim());
+    const tail = (paragraphs[paragraphs.length - 1] || '').replace(/\[pause:[^\]]*\]/gi, '').trim().slice(-120);
+    return language === 'zh' ? `${line}\n  本段结尾：「${tail}」` : `${line}\n  Ended with: "${tail}"`;
+  });
+}
+
+const _addUsage = (total, usage = {}) => {
+  ['prompt_tokens', 'completion_tokens', 'total_tokens'].forEach(key => {
+    total[key] = (total[key] || 0) + (Number(usage[key]) || 0);
+  });
+};
+
+/**
+ * 分步生成长时段冥想脚本
+ * @param {Object} params
+ * @param {string} params.topic
+ * @param {string} params.style
+ * @param {number} params.duration - 分钟
+ * @param {string} params.language
+ * @param {Object} [params.customization]
+ * @param {Object} [params.pauses] - 停顿秒数，用于估算每段时长
+ * @param {string[]} [params.safetyHints] - 安全审核未通过时追加的修改要求
+ * @param {Object} [params.llmOptions] - { provider, model, temperature }
+ * @param {Object} [params.promptTemplate] - 模板版本的内容，大纲与各段共用（见 utils/prompt_templates.js）
+ * @returns {Promise<Object>} { success, data: { script, provider, model, usage, generation }, error }
+ */
+async function generateLongScript({
+  topic,
+  style,
+  duration,
+  language = 'zh',
+  customization = {},
+  pauses = {},
+  safetyHints = [],
+  llmOptions = {},
+  promptTemplate
+}) {
+  const usage = {};
+  let calls = 0;
+  let llm = { provider: llmOptions.provider, model: llmOptions.model };
+  const systemPrompt = safetyHints.length
+    ? `${SYSTEM_PROMPT}\n\n【安全要求】\n${safetyHints.map(h => `- ${h}`).join('\n')}`
+    : SYSTEM_PROMPT;
+
+  const complete = async (prompt, maxTokens) => {
+    calls++;
+    const resp = await callLLM({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      provider: llm.provider,
+      model: llm.model,
+      temperature: llmOptions.temperature || 0.7,
+      maxTokens
+    });
+    if (resp?.success) {
+      _addUsage(usage, resp.data.usage);
+      // 后续各段沿用同一供应商与模型，保持文风一致
+      llm = { provider: resp.data.provider, model: resp.data.model };
+    }
+    return resp;
+  };
+
+  // 1. 大纲
+  const outlineResp = await complete(
+    promptBuilder.buildOutlinePrompt({
+      topic,
+      style,
+      duration,
+      language,
+      customization,
+      mainSections: _mainSectionCount(duration),
+      promptTemplate
+    }),
+    1200
+  );
+  if (!outlineResp?.success) {
+    return { success: false, error: outlineResp?.error };
+  }
+
+  let outline = _normalizeOutline(parseJson(outlineResp.data.text), duration, language);
+  const outlineSource = outline ? 'llm' : 'default';
+  if (!outline) {
+    console.warn('[LongScript] 大纲解析失败，使用默认大纲');
+    outline = _defaultOutline(duration, language);
+  }
+
+  // 2. 逐段扩写
+  const texts = [];
+  const report = [];
+  for (let index = 0; index < outline.sections.length; index++) {
+    const section = outline.sections[index];
+    const targetLength = _targetLength(section.minutes);
+    const base = {
+      topic,
+      style,
+      duration,
+      language,
+      outline,
+      index,
+      summary: _summaryLines(outline, texts, language),
+      promptTemplate
+    };
+
+    const resp = await complete(promptBuilder.buildSectionPrompt({ ...base, targetLength }), _maxTokens(targetLength));
+    if (!resp?.success) {
+      return { success: false, error: resp?.error };
+    }
+    let text = _cleanSection(resp.data.text, section);
+
+    // 3. 明显短于预算时续写一次
+    const budget = section.minutes * 60;
+    let estimated = estimateSeconds(text, { language, pauses });
+    const continued = estimated < budget * config.LONG_FORM_MIN_FILL;
+    if (continued) {
+      const remaining = Math.max(50, Math.round(targetLength * (1 - estimated / budget)));
+      const more = await complete(
+        promptBuilder.buildSectionPrompt({ ...base, targetLength: remaining, written: text }),
+        _maxTokens(remaining)
+      );
+      if (more?.success) {
+        text = `${text}\n\n${_cleanSection(more.data.text, section)}`;
+        estimated = estimateSeconds(text, { language, pauses });
+      }
+    }
+
+    console.log(`[LongScript] 第 ${index + 1}/${outline.sections.length} 段完成:`, {
+      title: section.title,
+      minutes: section.minutes,
+      estimatedSeconds: estimated,
+      continued
+    });
+    texts.push(text);
+    report.push({ type: section.type, title: section.title, minutes: section.minutes, estimatedSeconds: estimated, continued });
+  }
+
+  // 4. 拼装
+  const script = parseScript(JSON.stringify({
+    title: outline.title,
+    segments: outline.sections.map((section, i) => ({ type: section.type, title: section.title, text: texts[i] }))
+  }), { language, pauses });
+
+  return {
+    success: true,
+    data: {
+      script,
+      provider: llm.provider,
+      model: llm.model,
+      usage,
+      generation: {
+        strategy: 'outline',
+        outlineSource,
+        calls,
+        estimatedSeconds: report.reduce((sum, r) => sum + r.estimatedSeconds, 0),
+        sections: report
+      }
+    }
+  };
+}
+
+module.exports = {
+  generateLongScript
+};
@@ -3,50 +3,12 @@
  * 根据主题、风格、时长等参数构建适合的大模型提示词
  */
 
-const fs = require('fs');
-const path = require('path');
-
-// 加载冥想主题配置
-const meditationTypes = JSON.parse(
-  fs.readFileSync(
-    path.join(__dirname, '../prompts/meditation_types.json'),
-    'utf-8'
-  )
-);
+const { recommend } = require('./topic_recommender');
+const { getCatalog } = require('./catalog');
+const { getPromptTemplate } = require('./prompt_templates');
 
 class MeditationPromptBuilder {
   constructor() {
-    // 从配置文件加载主题和风格
-    this.meditationConfig = meditationTypes;
-    
-    // 基础模板配置
-    this.templates = {
-      zh: {
-        systemRole: '你是一位经验丰富的冥想引导师，擅长用温和、平静的语言引导练习者进入深度放松状态。',
-        constraints: {
-          tone: '语气温和、节奏缓慢、充满关怀',
-          structure: '包含开场引导、主体练习、结束回归三个部分',
-          language: '使用简单易懂的语言，避免专业术语',
-          timing: '适当留白，给练习者充分的感受时间'
-        }
-      },
-      en: {
-        systemRole: 'You are an experienced meditation guide, skilled in using gentle and calm language to guide practitioners into deep relaxation.',
-        constraints: {
-          tone: 'Gentle, slow-paced, caring',
-          structure: 'Include opening guidance, main practice, and closing return',
-          language: 'Use simple, accessible language, avoid jargon',
-          timing: 'Include appropriate pauses for practitioners to experience'
-        }
-      }
-    };
-
-    // 从配置文件获取风格映射
-    this.styleMap = {};
-    Object.entries(this.meditationConfig.styleDefinitions).forEach(([key, value]) => {
-      this.styleMap[key] = value.zh;
-    });
-
     // 时长描述映射
     this.durationMap = {
       5: '简短练习（约5分钟）',
@@ -56,6 +18,31 @@ class MeditationPromptBuilder {
     };
   }
 
+  /**
+   * 主题与风格目录（见 utils/catalog.js）：运营可在线修改，每次读取当前合并结果
+   */
+  get meditationConfig() {
+    return getCatalog();
+  }
+
+  /**
+   * 模板文案（systemRole / constraints / outputFormat，见 utils/prompt_templates.js）
+   * @param {string} language
+   * @param {Object} [promptTemplate] - resolvePrompt() 选定的 content，缺省为默认模板的 current 版本
+   */
+  _getTemplate(language, promptTemplate = getPromptTemplate()) {
+    return promptTemplate[language] || promptTemplate.zh;
+  }
+
+  /**
+   * 风格 key → 中文名
+   */
+  get styleMap() {
+    return Object.fromEntries(
+      Object.entries(this.meditationConfig.styleDefinitions).map(([key, value]) => [key, value.zh])
+    );
+  }
+
   /**
    * 构建冥想引导的 Prompt
    * @param {Object} params - 参数对象
@@ -64,6 +51,8 @@ class MeditationPromptBuilder {
    * @param {number} params.duration - 时长（分钟，默认10）
    * @param {string} params.language - 语言（zh/en，默认zh）
    * @param {Object} params.customization - 自定义参数（可选）
+   * @param {boolean} params.structured - 是否要求按开场/主体/结束分段输出 JSON（可选）
+   * @param {Object} params.promptTemplate - 模板版本的内容 { zh, en }（可选，见 utils/prompt_templates.js）
    * @returns {string} 构建好的 prompt 字符串
    */
   buildPrompt({ 
@@ -71,7 +60,9 @@ class MeditationPromptBuilder {
     style = 'gentle', 
     duration = 10, 
     language = 'zh',
-    customization = {}
+    customization = {},
+    structured = false,
+    promptTemplate
   }) {
     // 从配置中查找主题（支持ID、中文名、英文名查询）
     const topicConfig = this._findTopicConfig(topic);
@@ -82,7 +73,7 @@ class MeditationPromptBuilder {
       duration = duration || topicConfig.defaultDuration;
     }
     
-    const template = this.templates[language] || this.templates.zh;
+    const template = this._getTemplate(language, promptTemplate);
     const styleName = this.styleMap[style] || style;
     const durationDesc = this.durationMap[duration] || `约${duration}分钟`;
 
@@ -93,7 +84,7 @@ class MeditationPromptBuilder {
     const constraints = this._buildConstraints(template.constraints, customization, topicConfig);
     
     // 构建输出格式要求
-    const outputFormat = this._buildOutputFormat(duration, language);
+    const outputFormat = this._buildOutputFormat(template.outputFormat, language, structured);
 
     // 组装完整 prompt
     const prompt = `
@@ -116,6 +107,287 @@ ${this._buildSpecialRequirements(topic, customization, language, topicConfig)}
     return prompt;
   }
 
+  /**
+   * 构建长时段冥想的大纲 Prompt（先大纲、后逐段扩写）
+   * @param {Object} params - 同 buildPrompt
+   * @param {number} params.mainSections - 建议的主体段数
+   * @returns {string} 要求输出 { title, sections: [{ type, title, minutes, focus }] } 的 prompt
+   */
+  buildOutlinePrompt({
+    topic = '基础放松',
+    style = 'gentle',
+    duration = 30,
+    language = 'zh',
+    customization = {},
+    mainSections = 4,
+    promptTemplate
+  }) {
+    const topicConfig = this._findTopicConfig(topic);
+    if (topicConfig) {
+      style = style || topicConfig.recommendedStyles[0];
+    }
+
+    const template = this._getTemplate(language, promptTemplate);
+    const styleName = this.styleMap[style] || style;
+    const mainInstruction = this._buildMainInstruction(topic, styleName, `${duration}分钟`, language, topicConfig);
+    const example = JSON.stringify({
+      title: language === 'zh' ? '冥想标题' : 'Meditation title',
+      sections: [
+        { type: 'opening', title: language === 'zh' ? '开场引导' : 'Opening', minutes: 3, focus: '...' },
+        { type: 'main', title: '...', minutes: 8, focus: '...' },
+        { type: 'closing', title: language === 'zh' ? '结束回归' : 'Closing', minutes: 2, focus: '...' }
+      ]
+    });
+
+    const requirements = language === 'zh' ? [
+      `1. 由 1 个 opening、${mainSections}-${mainSections + 2} 个 main、1 个 closing 组成，按此顺序排列`,
+      '2. 每个 main 段聚焦一个练习要点，前后循序渐进、不重复',
+      `3. minutes 为整数分钟，所有段落相加等于 ${duration}`,
+      '4. focus 用一两句话说明该段具体引导什么',
+      '5. 只输出一个 JSON 对象，不要包含任何其他文字或代码块标记，格式如下：',
+      example
+    ] : [
+      `1. One opening, ${mainSections}-${mainSections + 2} main sections and one closing, in that order`,
+      '2. Each main section focuses on one practice point, progressing without repetition',
+      `3. minutes are whole numbers and must add up to ${duration}`,
+      '4. focus describes in one or two sentences what the section guides',
+      '5. Output a single JSON object only, with no other text or code fences, in this format:',
+      example
+    ];
+
+    return `
+${template.systemRole}
+
+【任务要求】
+${mainInstruction}
+${language === 'zh' ? '本次只需设计分段大纲，正文将按大纲逐段撰写。' : 'Only design the section outline now; each section will be written separately.'}
+
+【大纲要求】
+${requirements.join('\n')}
+
+【特殊要求】
+${this._buildSpecialRequirements(topic, customization, language, topicConfig)}`.trim();
+  }
+
+  /**
+   * 构建逐段扩写的 Prompt
+   * @param {Object} params
+   * @param {string} params.topic
+   * @param {string} params.style
+   * @param {number} params.duration - 整体时长（分钟）
+   * @param {string} params.language
+   * @param {Object} params.outline - { title, sections: [{ type, title, minutes, focus }] }
+   * @param {number} params.index - 当前段在大纲中的序号
+   * @param {number} params.targetLength - 本段目标字数（英文为词数）
+   * @param {string[]} params.summary - 前文概要，每段一行
+   * @param {string} params.written - 本段已写内容，非空时要求接着续写
+   * @param {Object} params.promptTemplate - 同 buildPrompt
+   * @returns {string} 要求直接输出本段正文的 prompt
+   */
+  buildSectionPrompt({
+    topic = '基础放松',
+    style = 'gentle',
+    duration = 30,
+    language = 'zh',
+    outline,
+    index,
+    targetLength,
+    summary = [],
+    written = '',
+    promptTemplate
+  }) {
+    const topicConfig = this._findTopicConfig(topic);
+    const template = this._getTemplate(language, promptTemplate);
+    const styleName = this.styleMap[style] || style;
+    const topicName = topicConfig ? topicConfig.name[language] : topic;
+    const section = outline.sections[index];
+    const total = outline.sections.length;
+    const isLast = index === total - 1;
+
+    const outlineText = outline.sections
+      .map((s, i) => (language === 'zh'
+        ? `${i + 1}. ${s.title}（${s.minutes}分钟）：${s.focus}`
+        : `${i + 1}. ${s.title} (${s.minutes} min): ${s.focus}`))
+      .join('\n');
+
+    if (language === 'zh') {
+      return `
+${template.systemRole}
+
+你正在撰写一段总时长${duration}分钟、${styleName}风格的「${topicName}」冥想引导${outline.title ? `《${outline.title}》` : ''}，按大纲逐段创作。
+
+【完整大纲】
+${outlineText}
+
+【前文概要】
+${summary.length ? summary.join('\n') : '（这是第一段）'}
+
+【本段任务】
+第 ${index + 1}/${total} 段「${section.title}」，时长约 ${section.minutes} 分钟，正文约 ${targetLength} 字：${section.focus}
+
+【写作要求】
+- 直接输出本段引导词正文，不要标题、编号、JSON 或任何说明文字
+- ${index === 0 ? '以温和的开场帮助练习者安顿下来' : '自然承接前文，不要重复问候或重新开场'}
+- ${isLast ? '最后温和地引导练习者回到当下' : '不要在本段结束练习，也不要引导睁眼'}
+- 使用"…"表示短停顿、"……"表示长停顿，需要更长的静默时写 [pause:10s]（秒数按需调整）
+- 每个段落 2-3 句话，段落之间空一行${written ? `
+
+【本段已写内容】
+${written}
+
+本段篇幅还不够，请紧接上面的内容继续写约 ${targetLength} 字，只输出新增部分，不要重复已写内容。` : ''}`.trim();
+    }
+
+    return `
+${template.systemRole}
+
+You are writing a ${duration}-minute, ${styleName} style meditation on "${topicName}"${outline.title ? ` titled "${outline.title}"` : ''}, one section at a time following the outline.
+
+[Full outline]
+${outlineText}
+
+[Story so far]
+${summary.length ? summary.join('\n') : '(This is the first section)'}
+
+[This section]
+Section ${index + 1}/${total} "${section.title}", about ${section.minutes} minutes and ${targetLength} words: ${section.focus}
+
+[Writing rules]
+- Output only the guidance text for this section: no headings, numbering, JSON or commentary
+- ${index === 0 ? 'Open gently and help the practitioner settle in' : 'Continue naturally from the previous section; do not greet or open again'}
+- ${isLast ? 'Finish by gently guiding the practitioner back to the present' : 'Do not end the practice or ask the practitioner to open their eyes'}
+- Use "…" for a short pause, "……" for a long pause, and [pause:10s] (adjust the seconds) for extended silence
+- Keep paragraphs to 2-3 sentences, separated by a blank line${written ? `
+
+[Already written for this section]
+${written}
+
+This section is still too short. Continue right after the text above with about ${targetLength} more words; output only the new part without repeating what is written.` : ''}`.trim();
+  }
+
+  /**
+   * 构建意图解析的 Prompt：从一句话中提取生成参数
+   * @param {Object} params
+   * @param {string} params.text - 用户的自然语言描述
+   * @param {string} params.language - 回复语言，决定 Prompt 语言与主题名称
+   * @returns {string}
+   */
+  buildIntentPrompt({ text, language = 'zh' }) {
+    const topics = this.getSupportedTopics(language);
+    const styles = this.getSupportedStyles().map(key => `${key}（${this.styleMap[key] || key}）`);
+    const example = JSON.stringify({
+      topic: topics[0] || '',
+      style: 'gentle',
+      duration: 10,
+      language,
+      customization: { specialRequirements: ['...'] }
+    });
+
+    if (language === 'zh') {
+      return `
+你是冥想应用的需求分析助手。请从用户的描述中提取生成冥想所需的参数。
+
+【用户描述】
+${text}
+
+【可选主题】
+${topics.join('、')}
+
+【可选风格】
+${styles.join('、')}
+
+【提取要求】
+1. topic 必须从可选主题中选择最贴合的一个
+2. style 必须是可选风格的英文 key，无法判断时选择最适合该主题的风格
+3. duration 为 1-60 的整数分钟，用户未提及时填 null
+4. language 为 zh 或 en，按用户描述所用语言判断
+5. customization.specialRequirements 用一两句话概括用户的具体情境与诉求（如即将面试、午休时间短），没有则为空数组
+6. 只输出一个 JSON 对象，不要包含任何其他文字或代码块标记，格式如下：
+${example}`.trim();
+    }
+
+    return `
+You are the request analyst of a meditation app. Extract the parameters needed to generate a meditation from the user's description.
+
+[User description]
+${text}
+
+[Available topics]
+${topics.join(', ')}
+
+[Available styles]
+${styles.join(', ')}
+
+[Rules]
+1. topic must be the closest match from the available topics
+2. style must be one of the style keys; if unclear, pick the style that best fits the topic
+3. duration is a whole number of minutes between 1 and 60, or null if not mentioned
+4. language is zh or en, based on the language of the description
+5. customization.specialRequirements summarizes the user's situation and needs in one or two sentences (e.g. a job interview tomorrow, a short lunch break), or an empty array
+6. Output a single JSON object only, with no other text or code fences, in this format:
+${example}`.trim();
+  }
+
+  /**
+   * 构建对话教练的系统 Prompt
+   * @param {Object} params
+   * @param {string} params.language
+   * @param {string} params.phase - checkin（了解感受并建议练习）| reflect（练习后引导反思）
+   * @param {Object} [params.suggestion] - 已给出的练习建议 { topic, style, duration }
+   * @param {Object} [params.practiced] - 刚完成的练习 { topic, title, duration }
+   * @returns {string}
+   */
+  buildCoachPrompt({ language = 'zh', phase = 'checkin', suggestion = null, practiced = null }) {
+    const topics = this.getSupportedTopics(language);
+    const styles = this.getSupportedStyles();
+    const example = JSON.stringify({
+      reply: '...',
+      suggestion: phase === 'checkin' ? { topic: topics[0] || '', style: 'gentle', duration: 10 } : null
+    });
+
+    if (language === 'zh') {
+      const task = phase === 'reflect'
+        ? `用户刚完成了「${practiced?.title || practiced?.topic || '冥想'}」（${practiced?.duration || ''}分钟）练习。请温和地询问练习中的感受与发现，每次只问一个开放式问题，帮助用户把体验与日常生活联系起来；不要再推荐新的练习，除非用户主动要求。suggestion 填 null。`
+        : `先倾听并共情，用一两个简短的问题了解用户此刻的身心状态与可用时间；信息足够后，从可选主题中建议一个最合适的练习，说明理由，并询问用户是否开始。${suggestion ? `当前已建议：${suggestion.topic}（${suggestion.style}，${suggestion.duration}分钟），用户若想调整请更新 suggestion。` : '尚未给出建议时 suggestion 填 null。'}`;
+      return `
+你是一位温暖、耐心的冥想教练，说话简短自然，像朋友一样，每次回复不超过 80 字。
+你不是医生，不做诊断、不承诺疗效；用户提到持续的严重困扰时，温和地建议寻求专业帮助。
+
+【当前任务】
+${task}
+
+【可选主题】
+${topics.join('、')}
+
+【可选风格】
+${styles.join('、')}
+
+【输出格式】
+只输出一个 JSON 对象，不要包含任何其他文字或代码块标记：
+${example}`.trim();
+    }
+
+    const task = phase === 'reflect'
+      ? `The user just finished "${practiced?.title || practiced?.topic || 'a meditation'}" (${practiced?.duration || ''} min). Gently ask about what they noticed, one open question at a time, and help them connect the experience to daily life. Do not suggest a new practice unless asked. Set suggestion to null.`
+      : `Listen and empathize first. Ask one or two short questions about how the user feels right now and how much time they have. Once you know enough, suggest the single best practice from the available topics, explain why, and ask whether to start. ${suggestion ? `Current suggestion: ${suggestion.topic} (${suggestion.style}, ${suggestion.duration} min); update suggestion if the user wants changes.` : 'Set suggestion to null until you make one.'}`;
+    return `
+You are a warm, patient meditation coach. Keep replies short and natural, like a friend, under 60 words.
+You are not a doctor: never diagnose or promise cures; if the user mentions persistent serious distress, gently suggest professional help.
+
+[Task]
+${task}
+
+[Available topics]
+${topics.join(', ')}
+
+[Available styles]
+${styles.join(', ')}
+
+[Output format]
+Output a single JSON object only, with no other text or code fences:
+${example}`.trim();
+  }
+
   /**
    * 查找主题配置
    */
@@ -179,25 +451,45 @@ ${this._buildSpecialRequirements(topic, customization, language, topicConfig)}
 
   /**
    * 构建输出格式要求
+   * @param {string[]} lines - 模板中的格式要求，按顺序编号
    */
-  _buildOutputFormat(duration, language) {
-    const formatRequirements = language === 'zh' ? [
-      '1. 开场引导（1-2分钟）：帮助练习者放松身心，进入冥想状态',
-      '2. 主体练习（根据主题展开）：核心引导内容',
-      '3. 结束回归（1分钟）：温和地引导练习者回到当下',
-      '4. 使用"..."表示停顿，给练习者留出感受的时间',
-      '5. 每个段落控制在2-3句话，保持节奏舒缓'
-    ] : [
-      '1. Opening guidance (1-2 minutes): Help practitioners relax and enter meditation',
-      '2. Main practice (based on theme): Core guidance content',
-      '3. Closing return (1 minute): Gently guide practitioners back to present',
-      '4. Use "..." to indicate pauses for practitioners to experience',
-      '5. Keep each paragraph to 2-3 sentences for gentle pacing'
-    ];
+  _buildOutputFormat(lines, language, structured = false) {
+    const formatRequirements = lines.map((line, i) => `${i + 1}. ${line}`);
+
+    if (structured) {
+      formatRequirements.push(...this._buildStructuredFormat(language, lines.length + 1));
+    }
 
     return formatRequirements.join('\n');
   }
 
+  /**
+   * 构建分段 JSON 输出要求（与上面三个部分一一对应）
+   * @param {number} start - 接续模板格式要求的编号
+   */
+  _buildStructuredFormat(language, start) {
+    const example = JSON.stringify({
+      title: language === 'zh' ? '冥想标题' : 'Meditation title',
+      segments: [
+        { type: 'opening', title: language === 'zh' ? '开场引导' : 'Opening', text: '...' },
+        { type: 'main', title: language === 'zh' ? '主体练习' : 'Main practice', text: '...' },
+        { type: 'closing', title: language === 'zh' ? '结束回归' : 'Closing', text: '...' }
+      ]
+    });
+
+    return language === 'zh' ? [
+      `${start}. 只输出一个 JSON 对象，不要包含任何其他文字或代码块标记，格式如下：`,
+      example,
+      `${start + 1}. type 只能是 opening / main / closing 并按此顺序出现；主体练习较长时可拆成多个 main 段，每段给出小标题`,
+      `${start + 2}. text 中照常使用停顿标记，段落之间用 \\n\\n 分隔`
+    ] : [
+      `${start}. Output a single JSON object only, with no other text or code fences, in this format:`,
+      example,
+      `${start + 1}. type must be opening / main / closing in that order; a long main practice may be split into several main segments, each with its own title`,
+      `${start + 2}. Keep using pause markers inside text, separate paragraphs with \\n\\n`
+    ];
+  }
+
   /**
    * 构建特殊要求
    */
@@ -301,6 +593,7 @@ ${this._buildSpecialRequirements(topic, customization, language, topicConfig)}
       description: topicConfig.description[language],
       recommendedStyles: topicConfig.recommendedStyles,
       defaultDuration: topicConfig.defaultDuration,
+      progression: topicConfig.progression || [],
       targetAudience: topicConfig.targetAudience[language],
       benefits: topicConfig.benefits[language],
       keywords: topicConfig.keywords
@@ -308,29 +601,13 @@ ${this._buildSpecialRequirements(topic, customization, language, topicConfig)}
   }
   
   /**
-   * 根据用户需求推荐主题
+   * 根据用户需求推荐主题（分词 + 同义词 + 模糊匹配，结合时段与练习历史，见 utils/topic_recommender.js）
+   * @param {string|string[]} needs - 关键词数组或一句话描述
+   * @param {string} language
+   * @param {Object} context - { hour, history }
    */
-  recommendTopics(needs, language = 'zh') {
-    const recommendations = [];
-    
-    // 根据关键词匹配主题
-    this.meditationConfig.types.forEach(type => {
-      const matchScore = needs.reduce((score, need) => {
-        return score + (type.keywords.includes(need) ? 1 : 0);
-      }, 0);
-      
-      if (matchScore > 0) {
-        recommendations.push({
-          topic: type.name[language],
-          id: type.id,
-          score: matchScore,
-          reason: type.benefits[language].slice(0, 2).join('、')
-        });
-      }
-    });
-    
-    // 按匹配度排序
-    return recommendations.sort((a, b) => b.score - a.score);
+  recommendTopics(needs, language = 'zh', context = {}) {
+    return recommend(this.meditationConfig.types, needs, { ...context, language });
   }
 }
 
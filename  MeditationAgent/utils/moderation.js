@@ -0,0 +1,203 @@
+/**
+ * utils/moderation.js
+ * ---------------------------------------------
+ * 内容安全审核（本地规则 + 关键词词库）
+ * - 输入侧：检查主题与 customization 中的自由文本，识别自伤 / 危机表达
+ * - 输出侧：检查大模型生成内容中的医疗承诺、不安全的呼吸指导、自伤描写与跑题
+ *
+ * 词库默认读取 prompts/safety_lexicon.json；
+ * 设置 SAFETY_LEXICON_PATH 可追加自定义词库，同 id 的规则整体覆盖，resources 按语言覆盖。
+ *
+ * Usage:
+ *   const { moderateInput, moderateOutput, buildCrisisResponse } = require('../utils/moderation');
+ *   const check = moderateInput({ topic, customization });
+ *   if (check.action === 'crisis') return buildCrisisResponse(language, check);
+ *   const review = moderateOutput(text, { language });   // → { allowed, flags, hints }
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const DEFAULT_LEXICON_PATH = path.join(__dirname, '../prompts/safety_lexicon.json');
+
+// ---------- 词库加载 ----------
+function _readLexicon(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    console.error(`[Moderation] 词库加载失败: ${file}`, e.message);
+    return null;
+  }
+}
+
+function _compileRule(rule) {
+  return {
+    ...rule,
+    type: rule.type || 'lexicon',
+    scope: rule.scope || ['input', 'output'],
+    keywords: (rule.keywords || []).map(k => k.toLowerCase()),
+    patterns: (rule.patterns || []).map(p => new RegExp(p, 'i'))
+  };
+}
+
+let lexicon = null;
+
+function _loadLexicon() {
+  if (lexicon) return lexicon;
+
+  const base = _readLexicon(DEFAULT_LEXICON_PATH) || { rules: [], resources: {} };
+  const extra = config.SAFETY_LEXICON_PATH ? _readLexicon(config.SAFETY_LEXICON_PATH) : null;
+
+  const rules = new Map(base.rules.map(rule => [rule.id, rule]));
+  (extra?.rules || []).forEach(rule => rules.set(rule.id, rule));
+
+  lexicon = {
+    version: extra?.version || base.version,
+    rules: [...rules.values()].filter(rule => rule.enabled !== false).map(_compileRule),
+    resources: { ...base.resources, ...(extra?.resources || {}) }
+  };
+  return lexicon;
+}
+
+// ---------- 匹配 ----------
+// 去掉空白与常见分隔符，避免「自 杀」「自-杀」之类的绕过
+const _compact = (text) => text.toLowerCase().replace(/[\s\-_.·•*~|/\\]+/g, '');
+const _spaced = (text) => text.toLowerCase().replace(/\s+/g, ' ');
+const _isLatin = (keyword) => /^[\x20-\x7e]+$/.test(keyword);
+
+function _matchLexicon(rule, text) {
+  const compact = _compact(text);
+  const spaced = _spaced(text);
+
+  const keyword = rule.keywords.find(k => (_isLatin(k) ? spaced.includes(k) : compact.includes(_compact(k))));
+  if (keyword) return keyword;
+
+  for (const re of rule.patterns) {
+    const m = spaced.match(re) || compact.match(re);
+    if (m) return m[0];
+  }
+  return null;
+}
+
+// 相关性：足够长的文本中冥想相关词出现次数过少视为跑题
+function _matchRelevance(rule, text) {
+  if (text.length < (rule.minLength || 0)) return null;
+  const spaced = _spaced(text);
+  const hits = rule.keywords.reduce((sum, k) => sum + (spaced.split(k).length - 1), 0);
+  return hits < (rule.minHits || 1) ? `relevance:${hits}` : null;
+}
+
+function _check(text, scope, { skipTypes = [] } = {}) {
+  if (!text) return [];
+  const flags = [];
+  _loadLexicon().rules
+    .filter(rule => rule.scope.includes(scope) && !skipTypes.includes(rule.type))
+    .forEach(rule => {
+      const match = rule.type === 'relevance' ? _matchRelevance(rule, text) : _matchLexicon(rule, text);
+      if (match) {
+        flags.push({ rule: rule.id, action: rule.action || 'block', match });
+      }
+    });
+  return flags;
+}
+
+// 收集 customization 等嵌套结构中的全部字符串
+function _collectText(value, out = []) {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(v => _collectText(v, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => _collectText(v, out));
+  return out;
+}
+
+// ---------- Public API ----------
+/**
+ * 审核用户输入
+ * @param {Object} input - 任意包含用户自由文本的字段，如 { topic, customization }
+ * @returns {{ allowed: boolean, action: 'allow'|'crisis'|'block', flags: Array<Object> }}
+ *   crisis 优先于 block
+ */
+function moderateInput(input = {}) {
+  if (!config.SAFETY_ENABLED) return { allowed: true, action: 'allow', flags: [] };
+
+  const flags = _check(_collectText(input).join('\n'), 'input');
+  const action = flags.some(f => f.action === 'crisis')
+    ? 'crisis'
+    : (flags.some(f => f.action === 'block') ? 'block' : 'allow');
+
+  if (flags.length > 0) {
+    console.warn('[Moderation] 输入命中安全规则:', flags.map(f => f.rule).join(', '));
+  }
+  return { allowed: action === 'allow', action, flags };
+}
+
+/**
+ * 审核大模型输出
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.language='zh'] - 决定返回的重写提示语言
+ * @param {boolean} [opts.relevance=true] - 是否检查跑题；逐段检查短文本时应关闭
+ * @returns {{ allowed: boolean, flags: Array<Object>, hints: string[] }}
+ *   hints 为追加给大模型的重写要求
+ */
+function moderateOutput(text, { language = 'zh', relevance = true } = {}) {
+  if (!config.SAFETY_ENABLED) return { allowed: true, flags: [], hints: [] };
+
+  const flags = _check(text, 'output', { skipTypes: relevance ? [] : ['relevance'] })
+    .filter(f => f.action === 'block');
+  const rules = _loadLexicon().rules;
+  const hints = flags
+    .map(f => rules.find(r => r.id === f.rule)?.hint)
+    .map(hint => hint?.[language] || hint?.zh)
+    .filter(Boolean);
+
+  if (flags.length > 0) {
+    console.warn('[Moderation] 输出命中安全规则:', flags.map(f => `${f.rule}(${f.match})`).join(', '));
+  }
+  return { allowed: flags.length === 0, flags, hints: [...new Set(hints)] };
+}
+
+/**
+ * 危机输入的安全响应：不生成冥想，返回关怀话术与求助热线
+ * @param {string} language
+ * @param {Object} check - moderateInput() 的结果
+ * @returns {Object} 统一成功格式，data.type = 'crisis_support'
+ */
+function buildCrisisResponse(language = 'zh', check = {}) {
+  const { resources } = _loadLexicon();
+  const resource = resources[language] || resources.zh || { message: '', hotlines: [] };
+
+  return {
+    success: true,
+    data: {
+      type: 'crisis_support',
+      text: resource.message,
+      resources: resource.hotlines,
+      audio: null,
+      metadata: {
+        language,
+        safety: {
+          action: 'crisis',
+          rules: [...new Set((check.flags || []).map(f => f.rule))],
+          lexiconVersion: _loadLexicon().version
+        },
+        generatedAt: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * 当前词库版本，便于在响应中追踪
+ */
+function getLexiconVersion() {
+  return _loadLexicon().version;
+}
+
+module.exports = {
+  moderateInput,
+  moderateOutput,
+  buildCrisisResponse,
+  getLexiconVersion
+};
@@ -0,0 +1,191 @@
+/**
+ * utils/pose_catalog.js
+ * ---------------------------------------------
+ * 体式目录：读取并校验根目录的 poses.json
+ * - key 为稳定的体式 id（如 tree_pose），在请求与返回中一律使用该 id
+ * - keywords 约定顺序：[英文名, 中文名, 日文名, 梵文名, 类别]
+ * - 字段缺失或难度不合法的条目跳过并告警，不影响其余体式
+ * - 搜索：按英 / 中 / 日 / 梵文名模糊匹配，可按难度与类别标签过滤并分页
+ *   类别标签为完整类别及其末尾单词，如 balance 同时匹配 balance 与 arm balance
+ *
+ * Usage:
+ *   const { getPoses, getPose, searchPoses } = require('../utils/pose_catalog');
+ *   getPose('tree_pose');   // → { id, zhName, enName, category, difficulty, description, ... }
+ *   resolvePose('树式');     // 也可按中文名 / 英文名查找
+ *   searchPoses({ query: 'vrksasana', tags: ['balance'], page: 1, pageSize: 20 });
+ * ---------------------------------------------
+ */
+
+const { levenshtein } = require('./topic_recommender');
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const ID_PATTERN = /^[a-z0-9_]+$/;
+const MAX_PAGE_SIZE = 50;
+
+let poses = null;
+
+function _normalize(id, raw) {
+  if (!ID_PATTERN.test(id) || !raw || typeof raw !== 'object') return null;
+  const { zhName, description, difficulty, keywords } = raw;
+  if (typeof zhName !== 'string' || !zhName.trim()) return null;
+  if (typeof description !== 'string' || !description.trim()) return null;
+  if (!DIFFICULTIES.includes(difficulty)) return null;
+  if (!Array.isArray(keywords) || keywords.length < 5 || !keywords.every(k => typeof k === 'string')) return null;
+
+  const [enName, , jaName, sanskrit, category] = keywords;
+  if (!category.trim()) return null;
+  return Object.freeze({
+    id,
+    zhName: zhName.trim(),
+    enName,
+    jaName,
+    sanskrit,
+    category,
+    tags: Object.freeze([...new Set([category, category.split(/\s+/).pop()])]),
+    difficulty,
+    description: description.trim(),
+    keywords: Object.freeze([...keywords])
+  });
+}
+
+function _load() {
+  const raw = require('../poses.json');
+  const list = [];
+  Object.entries(raw).forEach(([id, entry]) => {
+    const pose = _normalize(id, entry);
+    if (pose) list.push(pose);
+    else console.warn('[PoseCatalog] 跳过不合法的体式条目:', id);
+  });
+  return list;
+}
+
+/**
+ * 全部合法体式（按 poses.json 中的顺序）
+ * @returns {ReadonlyArray<Object>}
+ */
+function getPoses() {
+  if (!poses) poses = Object.freeze(_load());
+  return poses;
+}
+
+/**
+ * 按 id 获取体式，不存在时返回 null
+ */
+function getPose(id) {
+  return getPoses().find(p => p.id === id) || null;
+}
+
+/**
+ * 按 id、中文名或英文名（不区分大小写）精确查找体式，不存在时返回 null
+ */
+function resolvePose(name) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const key = name.trim().toLowerCase();
+  return getPose(key)
+    || getPoses().find(p => p.zhName === name.trim() || p.enName.toLowerCase() === key)
+    || null;
+}
+
+// ---------- 搜索 ----------
+// 统一大小写、全半角，去掉空格与连字符，平假名转片假名
+const _fold = (s) => String(s || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[\s\-_'’・]/g, '')
+  .replace(/[ぁ-ゖ]/g, c => String.fromCharCode(c.charCodeAt(0) + 0x60));
+
+const _isCjk = (s) => /[㐀-鿿぀-ヿ]/.test(s);
+
+// 允许的编辑距离：中日文名较短，只容许 1 字之差
+function _maxDistance(token) {
+  if (_isCjk(token)) return token.length >= 3 ? 1 : 0;
+  if (token.length >= 8) return 2;
+  return token.length >= 4 ? 1 : 0;
+}
+
+const NAME_FIELDS = ['id', 'enName', 'zhName', 'jaName', 'sanskrit'];
+
+/**
+ * 单个名称的匹配分：完全一致 100，前缀 80，包含 60，
+ * 与整个名称或其中一个单词在编辑距离内 40 起按距离递减（如 warior → warrior）
+ */
+function _nameScore(query, raw) {
+  const name = _fold(raw);
+  if (!name) return 0;
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80;
+  if (name.includes(query)) return 60;
+  const maxDistance = _maxDistance(query);
+  if (maxDistance === 0) return 0;
+  const distance = Math.min(...[name, ...String(raw).split(/[\s\-_]+/).map(_fold)]
+    .filter(w => Math.abs(w.length - query.length) <= maxDistance)
+    .map(w => levenshtein(query, w)));
+  return distance <= maxDistance ? 40 - distance * 10 : 0;
+}
+
+function _match(pose, query) {
+  let best = null;
+  NAME_FIELDS.forEach(field => {
+    const score = _nameScore(query, pose[field]);
+    if (score > 0 && (!best || score > best.score)) best = { field, score };
+  });
+  if (best) return best;
+  if (pose.tags.includes(query)) return { field: 'category', score: 30 };
+  if (query.length >= 2 && _isCjk(query) && pose.description.includes(query)) return { field: 'description', score: 20 };
+  return null;
+}
+
+/**
+ * 全部类别标签（去重、排序）
+ * @returns {string[]}
+ */
+function getPoseTags() {
+  return [...new Set(getPoses().flatMap(p => p.tags))].sort();
+}
+
+/**
+ * 模糊搜索体式
+ * @param {Object} params
+ * @param {string} [params.query] - 任意语言的名称片段；缺省时按目录顺序列出
+ * @param {string[]} [params.difficulties] - 难度过滤，取值见 DIFFICULTIES
+ * @param {string[]} [params.tags] - 类别标签过滤（满足其一即可），取值见 getPoseTags()
+ * @param {number} [params.page=1]
+ * @param {number} [params.pageSize=20] - 最大 MAX_PAGE_SIZE
+ * @returns {{ items: Array<Object>, total: number, page: number, pageSize: number, hasMore: boolean }}
+ *   items[].match 为 { field, score }，无 query 时为 null
+ */
+function searchPoses({ query = '', difficulties = [], tags = [], page = 1, pageSize = 20 } = {}) {
+  const folded = _fold(query);
+  const matched = [];
+
+  getPoses().forEach((pose, order) => {
+    if (difficulties.length > 0 && !difficulties.includes(pose.difficulty)) return;
+    if (tags.length > 0 && !tags.some(t => pose.tags.includes(t))) return;
+    const match = folded ? _match(pose, folded) : null;
+    if (folded && !match) return;
+    matched.push({ pose, match, order });
+  });
+
+  // 同分按目录顺序，翻页结果稳定
+  if (folded) matched.sort((a, b) => b.match.score - a.match.score || a.order - b.order);
+
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, pageSize));
+  const start = (Math.max(1, page) - 1) * size;
+  return {
+    items: matched.slice(start, start + size).map(({ pose, match }) => ({ ...pose, match })),
+    total: matched.length,
+    page: Math.max(1, page),
+    pageSize: size,
+    hasMore: start + size < matched.length
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  MAX_PAGE_SIZE,
+  getPoses,
+  getPose,
+  resolvePose,
+  getPoseTags,
+  searchPoses
+};
@@ -0,0 +1,101 @@
+/**
+ * utils/pose_feedback.js
+ * ---------------------------------------------
+ * 体式评分反馈文案：按分数分档给出鼓励，再针对每个错误点给出纠正提示
+ * - 错误点为评分端给出的中文短语，如「左膝角度不足」「骨盆歪斜」
+ * - 纠正提示 = 按问题类型套用的调整建议 + 该体式描述中涉及同一身体部位的要领
+ * - 无法识别问题类型时，直接提醒留意该错误点
+ *
+ * Usage:
+ *   const { buildFeedback } = require('../utils/pose_feedback');
+ *   buildFeedback({ pose: getPose('tree_pose'), score: 78, errorPoints: ['左膝角度不足'] });
+ *   // → { tier: 'good', text: '...', encouragement: '...', corrections: [{ error, advice, cue }] }
+ * ---------------------------------------------
+ */
+
+const MAX_ERROR_POINTS = 5;
+
+// 分数分档（从高到低匹配）
+const TIERS = [
+  { name: 'excellent', min: 90, say: (n) => `太棒了！你的「${n}」完成得非常标准，保持这份稳定和专注。` },
+  { name: 'good', min: 75, say: (n) => `做得很好！「${n}」已经很到位了，再调整几个细节会更完美。` },
+  { name: 'fair', min: 60, say: (n) => `不错的尝试，「${n}」的基本姿势已经有了，我们一起来改进几处细节。` },
+  { name: 'practice', min: 0, say: (n) => `没关系，「${n}」需要时间慢慢练习，先照顾好身体，跟着提示一点点调整。` }
+];
+
+const CLOSINGS = {
+  excellent: '继续保持均匀的呼吸。',
+  good: '调整后保持几次深长的呼吸。',
+  fair: '动作放慢，配合呼吸去感受变化。',
+  practice: '不必勉强，量力而行，每一次练习都是进步。'
+};
+
+// 身体部位：用于从体式描述中找出相关要领（长词在前，避免「手臂」被「手」截断）
+const BODY_PARTS = [
+  '骨盆', '髋部', '髋', '脊柱', '核心', '胸腔', '胸', '肩部', '肩', '背部', '背', '腰', '臀部', '臀',
+  '手臂', '手肘', '手', '膝盖', '膝', '腿部', '腿', '脚踝', '脚', '颈部', '颈', '头部', '头'
+];
+
+// 问题类型 → 调整建议
+const ISSUE_RULES = [
+  { pattern: /太高|过高|抬得太/, advice: (part) => `${part}稍微放低一些，和身体保持在一条线上` },
+  { pattern: /太低|过低/, advice: (part) => `${part}再抬高一些，保持身体的延展` },
+  { pattern: /角度不足|不够|过小|太小|不到位/, advice: (part) => `试着把${part}再多打开一点，慢慢加深到位` },
+  { pattern: /过大|过度|太大|超伸/, advice: (part) => `${part}稍微收回一些，不要过度用力` },
+  { pattern: /弯曲|弯了|屈/, advice: (part) => `${part}尽量伸直，但不要锁死关节` },
+  { pattern: /歪|偏|不正|倾斜|不对称/, advice: (part) => `把${part}摆正，左右两侧保持均衡` },
+  { pattern: /塌|下沉|下垂|掉/, advice: (part) => `${part}向上提起，收紧核心支撑` },
+  { pattern: /不稳|晃|摇/, advice: (part) => `${part}稳住，目光找一个固定点，收紧核心` },
+  { pattern: /耸|紧张|僵/, advice: (part) => `放松${part}，让它远离耳朵，呼气时再松一点` },
+  { pattern: /拱|驼|弓背|含胸/, advice: (part) => `${part}延展拉长，胸腔向前打开` }
+];
+
+const _partOf = (text) => BODY_PARTS.find(p => text.includes(p)) || null;
+
+// 侧别前缀（左 / 右）保留在建议中
+const _sideOf = (text) => (text.match(/^[左右]/) || [''])[0];
+
+function _correction(error, pose) {
+  const part = _partOf(error);
+  const rule = ISSUE_RULES.find(r => r.pattern.test(error));
+  const subject = part ? `${_sideOf(error)}${part}` : '姿势';
+  const advice = rule ? rule.advice(subject) : `留意「${error}」，慢慢调整`;
+
+  // 体式描述中提到同一部位（取部位首字匹配，如「膝」对应「膝盖」）的要领
+  const cues = pose.description.split(/[，。；]/).map(s => s.trim()).filter(Boolean);
+  const cue = part ? cues.find(c => c.includes(part)) || cues.find(c => c.includes(part[0])) || null : null;
+
+  return { error, advice, cue };
+}
+
+/**
+ * 生成体式反馈
+ * @param {Object} params
+ * @param {Object} params.pose - pose_catalog 中的体式
+ * @param {number} params.score - 0–100
+ * @param {string[]} [params.errorPoints] - 错误点，最多取前 MAX_ERROR_POINTS 条
+ * @returns {{ tier: string, text: string, encouragement: string,
+ *             corrections: Array<{error: string, advice: string, cue: string|null}> }}
+ */
+function buildFeedback({ pose, score, errorPoints = [] }) {
+  const tier = TIERS.find(t => score >= t.min);
+  const encouragement = tier.say(pose.zhName);
+  const corrections = errorPoints.slice(0, MAX_ERROR_POINTS).map(e => _correction(e, pose));
+
+  const lines = [encouragement];
+  const spoken = new Set();   // 同一条要领只念一次
+  corrections.forEach(({ advice, cue }, i) => {
+    const lead = corrections.length > 1 ? `第${i + 1}点，` : '';
+    const tip = cue && !spoken.has(cue) ? `记住要领：${cue}。` : '';
+    if (cue) spoken.add(cue);
+    lines.push(`${lead}${advice}。${tip}`);
+  });
+  lines.push(CLOSINGS[tier.name]);
+
+  return { tier: tier.name, text: lines.join(''), encouragement, corrections };
+}
+
+module.exports = {
+  MAX_ERROR_POINTS,
+  buildFeedback
+};
@@ -0,0 +1,115 @@
+/**
+ * utils/program_planner.js
+ * ---------------------------------------------
+ * 多日课程编排：按主题的 progression / defaultDuration / recommendedStyles 规划每一天
+ * - 重点：把 progression 的步骤按天数均分，逐步推进；最后一天回顾整个进程
+ * - 难度：前 1/3 为入门、中间为进阶、后 1/3 为深化，引导语言逐渐减少、静默逐渐延长
+ * - 时长：从 defaultDuration 的 60% 线性增加到 150%，限制在 MIN_DURATION–MAX_DURATION，逐日不减
+ * - 风格：按难度阶段依次取 recommendedStyles
+ *
+ * Usage:
+ *   const { buildProgramPlan, buildDayRequirements } = require('../utils/program_planner');
+ *   const plan = buildProgramPlan(promptBuilder.getTopicDetails('助眠'), { days: 7 });
+ *   // → [{ day: 1, focus, level, duration, style }, ...]
+ * ---------------------------------------------
+ */
+
+const config = require('../config');
+
+const LEVELS = [
+  {
+    name: 'foundation',
+    label: { zh: '入门', en: 'Foundation' },
+    guidance: {
+      zh: '以清晰的步骤和基础讲解为主，多给提示，静默留白短一些。',
+      en: 'Focus on clear steps and basic explanations with frequent prompts and shorter silences.'
+    }
+  },
+  {
+    name: 'building',
+    label: { zh: '进阶', en: 'Building' },
+    guidance: {
+      zh: '减少基础讲解，延长每个环节的停留与静默。',
+      en: 'Reduce basic explanations and lengthen the pauses and silences in each part.'
+    }
+  },
+  {
+    name: 'deepening',
+    label: { zh: '深化', en: 'Deepening' },
+    guidance: {
+      zh: '用较少的语言提示，留出更长的静默，让练习者独立保持觉察。',
+      en: 'Use fewer verbal prompts and longer silences so the practitioner sustains awareness independently.'
+    }
+  }
+];
+
+const START_RATIO = 0.6;
+const END_RATIO = 1.5;
+
+const _clampDuration = (minutes) => Math.max(config.MIN_DURATION, Math.min(config.MAX_DURATION, Math.round(minutes)));
+
+/**
+ * 规划课程每一天
+ * @param {Object} topicDetails - promptBuilder.getTopicDetails() 的结果
+ * @param {Object} opts
+ * @param {number} opts.days
+ * @returns {Array<{day: number, focus: string, stage: number, level: string, duration: number, style: string}>}
+ */
+function buildProgramPlan(topicDetails, { days }) {
+  const steps = topicDetails.progression?.length ? topicDetails.progression : [topicDetails.name];
+  const styles = topicDetails.recommendedStyles?.length ? topicDetails.recommendedStyles : ['gentle'];
+  const base = topicDetails.defaultDuration || config.DEFAULT_DURATION;
+  const start = _clampDuration(base * START_RATIO);
+  const end = Math.max(start, _clampDuration(base * END_RATIO));
+
+  return Array.from({ length: days }, (_, i) => {
+    const levelIndex = Math.min(LEVELS.length - 1, Math.floor((i * LEVELS.length) / days));
+    const stage = Math.floor((i * steps.length) / days);
+    return {
+      day: i + 1,
+      focus: steps[stage],
+      stage,
+      level: LEVELS[levelIndex].name,
+      duration: days > 1 ? Math.round(start + ((end - start) * i) / (days - 1)) : start,
+      style: styles[Math.min(levelIndex, styles.length - 1)]
+    };
+  });
+}
+
+/**
+ * 当天的个性化要求，作为 customization.specialRequirements 传给生成
+ * @param {Object} program - 课程记录 { title, days, plan, progression }
+ * @param {Object} entry - plan 中的一天
+ * @param {string} language
+ * @returns {string[]}
+ */
+function buildDayRequirements(program, entry, language = 'zh') {
+  const level = LEVELS.find(l => l.name === entry.level) || LEVELS[0];
+  const practiced = [...new Set(program.plan.slice(0, entry.day - 1).map(d => d.focus))]
+    .filter(f => f !== entry.focus);
+  const isLast = entry.day === program.days;
+
+  if (language === 'en') {
+    return [
+      `This is day ${entry.day} of ${program.days} in "${program.title}" (${level.label.en} stage).`,
+      `Today's focus: ${entry.focus}.`,
+      ...(practiced.length ? [`Earlier days covered: ${practiced.join(', ')}; build on them briefly without repeating the basics.`] : []),
+      level.guidance.en,
+      ...(isLast ? [`Final day: review the whole journey (${program.progression.join(' → ')}) and close the program.`] : [])
+    ];
+  }
+
+  return [
+    `这是「${program.title}」第 ${entry.day}/${program.days} 天，阶段：${level.label.zh}。`,
+    `本次重点：${entry.focus}。`,
+    ...(practiced.length ? [`之前几天已练习：${practiced.join('、')}，可简要衔接，不必重复基础内容。`] : []),
+    level.guidance.zh,
+    ...(isLast ? [`最后一天：回顾整个课程（${program.progression.join(' → ')}），为课程收尾。`] : [])
+  ];
+}
+
+module.exports = {
+  LEVELS,
+  buildProgramPlan,
+  buildDayRequirements
+};
@@ -0,0 +1,44 @@
+/**
+ * utils/program_store.js
+ * ---------------------------------------------
+ * 多日课程进度存储：与练习记录共用存储实现（见 utils/session_store.js），
+ * 目录为 config.PROGRAM_DIR（cos 存储为 meditation/programs/），每个用户最多保留 config.PROGRAM_MAX_PER_USER 个课程
+ *
+ * Usage:
+ *   const { getProgramStore } = require('../utils/program_store');
+ *   await getProgramStore().save(program);   // 同 id 覆盖，用于更新进度
+ * ---------------------------------------------
+ */
+
+const { createStore } = require('./session_store');
+const config = require('../config');
+
+let store = null;
+
+function getProgramStore() {
+  if (!store) {
+    store = createStore(config.PROGRAM_STORE, {
+      dir: config.PROGRAM_DIR,
+      prefix: 'meditation/programs',
+      maxPerUser: config.PROGRAM_MAX_PER_USER
+    });
+  }
+  return store;
+}
+
+/**
+ * 替换课程存储
+ * @param {Object} programStore - 需实现 save / list / get / remove
+ */
+function setProgramStore(programStore) {
+  const missing = ['save', 'list', 'get', 'remove'].filter(m => typeof programStore?.[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`[ProgramStore] 存储缺少方法: ${missing.join(', ')}`);
+  }
+  store = programStore;
+}
+
+module.exports = {
+  getProgramStore,
+  setProgramStore
+};
@@ -0,0 +1,181 @@
+/**
+ * utils/prompt_templates.js
+ * ---------------------------------------------
+ * 版本化的 Prompt 模板与 A/B 实验
+ *
+ * 模板库 prompts/prompt_templates.json：
+ * - templates.<名称>.versions.<版本>：{ zh, en }，各含 systemRole / constraints / outputFormat
+ * - templates.<名称>.current：未参与实验时使用的版本，回滚只需改回旧版本
+ * - experiments[]：{ id, template, enabled, variants: [{ name, version, weight }] }
+ *
+ * 分组按 hash(实验 id + userId) 稳定分桶，同一用户始终落在同一变体；
+ * 匿名用户没有稳定身份，不参与实验，使用 current。
+ * 设置 PROMPT_TEMPLATES_PATH 可替换默认模板库（校验失败时仍使用默认模板库）。
+ *
+ * Usage:
+ *   const { resolvePrompt } = require('../utils/prompt_templates');
+ *   const prompt = resolvePrompt({ userId });
+ *   // → { template, version, experiment, variant, content: { zh, en } }
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const DEFAULT_LIBRARY_PATH = path.join(__dirname, '../prompts/prompt_templates.json');
+
+const ANONYMOUS = 'anonymous';
+const LANGUAGES = ['zh', 'en'];
+const CONSTRAINT_KEYS = ['tone', 'structure', 'language', 'timing'];
+
+const _isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const _isText = (v) => typeof v === 'string' && v.trim().length > 0;
+
+// 版本号与模板名来自请求或配置文件，只认自身属性，避免 constructor 等原型属性被当成版本
+const _own = (obj, key) => (_isObject(obj) && typeof key === 'string' && Object.hasOwn(obj, key) ? obj[key] : null);
+
+// ---------- 模板库加载 ----------
+function _validate(data) {
+  const errors = [];
+  if (!_isObject(data?.templates)) return ['templates: 应为对象'];
+
+  Object.entries(data.templates).forEach(([name, template]) => {
+    const versions = template?.versions;
+    if (!_isObject(versions) || Object.keys(versions).length === 0) {
+      errors.push(`templates.${name}.versions: 至少包含一个版本`);
+      return;
+    }
+    if (!_own(versions, template.current)) {
+      errors.push(`templates.${name}.current: 版本不存在: ${template.current}`);
+    }
+    Object.entries(versions).forEach(([version, content]) => {
+      LANGUAGES.forEach(lang => {
+        const at = `templates.${name}.versions.${version}.${lang}`;
+        const t = content?.[lang];
+        if (!_isText(t?.systemRole)) errors.push(`${at}.systemRole: 应为非空字符串`);
+        CONSTRAINT_KEYS.forEach(key => {
+          if (!_isText(t?.constraints?.[key])) errors.push(`${at}.constraints.${key}: 应为非空字符串`);
+        });
+        if (!Array.isArray(t?.outputFormat) || t.outputFormat.length === 0 || !t.outputFormat.every(_isText)) {
+          errors.push(`${at}.outputFormat: 应为非空字符串数组`);
+        }
+      });
+    });
+  });
+
+  if (!_own(data.templates, data.defaultTemplate)) {
+    errors.push(`defaultTemplate: 模板不存在: ${data.defaultTemplate}`);
+  }
+
+  const ids = new Set();
+  (Array.isArray(data.experiments) ? data.experiments : []).forEach((exp, i) => {
+    const at = `experiments[${i}]`;
+    if (!_isText(exp?.id)) errors.push(`${at}.id: 应为非空字符串`);
+    else if (ids.has(exp.id)) errors.push(`${at}.id: 重复: ${exp.id}`);
+    ids.add(exp?.id);
+
+    const template = _own(data.templates, exp?.template);
+    if (!template) errors.push(`${at}.template: 模板不存在: ${exp?.template}`);
+    if (!Array.isArray(exp?.variants) || exp.variants.length < 2) {
+      errors.push(`${at}.variants: 至少包含两个变体`);
+      return;
+    }
+    const names = new Set();
+    exp.variants.forEach((variant, j) => {
+      const vat = `${at}.variants[${j}]`;
+      if (!_isText(variant?.name) || names.has(variant.name)) errors.push(`${vat}.name: 应为不重复的非空字符串`);
+      names.add(variant?.name);
+      if (template && !_own(template.versions, variant?.version)) errors.push(`${vat}.version: 版本不存在: ${variant?.version}`);
+      if (!Number.isInteger(variant?.weight) || variant.weight <= 0) errors.push(`${vat}.weight: 应为正整数`);
+    });
+  });
+
+  return errors;
+}
+
+function _readLibrary(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = _validate(data);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return { ...data, experiments: data.experiments || [] };
+  } catch (e) {
+    console.error(`[PromptTemplates] 模板库加载失败: ${file}`, e.message);
+    return null;
+  }
+}
+
+let library = null;
+
+function _loadLibrary() {
+  if (!library) {
+    library = (config.PROMPT_TEMPLATES_PATH && _readLibrary(config.PROMPT_TEMPLATES_PATH))
+      || _readLibrary(DEFAULT_LIBRARY_PATH);
+    if (!library) throw new Error('[PromptTemplates] 默认模板库不可用');
+  }
+  return library;
+}
+
+// ---------- 实验分组 ----------
+/**
+ * 按 hash(实验 id:userId) 在权重区间内稳定分桶
+ */
+function _assignVariant(experiment, userId) {
+  const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+  let bucket = hash.readUInt32BE(0) % total;
+  return experiment.variants.find(v => (bucket -= v.weight) < 0);
+}
+
+/**
+ * 模板在指定版本（缺省为 current）下的内容
+ * @param {string} [name] - 模板名称，缺省为 defaultTemplate
+ * @param {string} [version]
+ * @returns {Object|null} { zh, en }
+ */
+function getPromptTemplate(name, version) {
+  const lib = _loadLibrary();
+  const template = _own(lib.templates, name || lib.defaultTemplate);
+  if (!template) return null;
+  return _own(template.versions, version || template.current);
+}
+
+/**
+ * 为一次请求选定模板版本
+ * 优先级：指定版本（排查 / 回放用）> 用户所在实验的变体 > current
+ * @param {Object} params
+ * @param {string} [params.template] - 模板名称，缺省为 defaultTemplate
+ * @param {string} [params.userId] - 用于实验分组，匿名用户不参与实验
+ * @param {string} [params.version] - 指定版本
+ * @returns {Object|null} { template, version, experiment, variant, content }；模板或指定版本不存在时为 null
+ */
+function resolvePrompt({ template: name, userId, version } = {}) {
+  const lib = _loadLibrary();
+  const templateName = name || lib.defaultTemplate;
+  const template = _own(lib.templates, templateName);
+  if (!template) return null;
+
+  const pick = (v, experiment = null, variant = null) => {
+    const content = _own(template.versions, v);
+    return content ? { template: templateName, version: v, experiment, variant, content } : null;
+  };
+
+  if (version) return pick(version);
+
+  const experiment = config.PROMPT_EXPERIMENTS_ENABLED && userId && userId !== ANONYMOUS
+    ? lib.experiments.find(e => e.enabled && e.template === templateName)
+    : null;
+  if (experiment) {
+    const variant = _assignVariant(experiment, userId);
+    return pick(variant.version, experiment.id, variant.name);
+  }
+
+  return pick(template.current);
+}
+
+module.exports = {
+  getPromptTemplate,
+  resolvePrompt
+};
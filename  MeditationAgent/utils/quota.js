@@ -0,0 +1,277 @@
+/**
+ * utils/quota.js
+ * ---------------------------------------------
+ * 每日调用配额：按用户与按函数（全局）分别计数
+ * - 纯文本请求与含语音请求按不同权重计费（config.QUOTA_WEIGHTS）
+ * - 全局额度为 config.MAX_DAILY_CALLS，单用户额度为 config.QUOTA_USER_DAILY
+ * - 匿名调用没有可区分的身份，只计入全局额度
+ * - 每日零点（config.QUOTA_UTC_OFFSET 时区）重置
+ *
+ * 扣减采用"先累加、再比较、超限回滚"，incrBy 为原子操作时并发请求不会超额。
+ * 计数存储可替换：
+ * - memory：实例内存，仅对单实例有效，冷启动后清零；多实例部署时各实例分别计数，无法限制全局额度
+ * - file  ：本地文件，同一实例多次冷启动间保留，同样不跨实例
+ * - 自定义：setCounterStore({ get(key), incrBy(key, amount, expiresAt) })，incrBy 需原子执行，如 Redis INCRBY
+ *
+ * Usage:
+ *   const { getRequestCost, consumeQuota, refundQuota } = require('./utils/quota');
+ *   const cost = getRequestCost(event);
+ *   const quota = await consumeQuota({ userId, cost });
+ *   if (!quota.allowed) return errorResponse(..., { resetAt: quota.resetAt });
+ *   // 请求失败时退回：await refundQuota(quota);
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// ---------- 计费 ----------
+const _weightOf = (req = {}) => (req.voice ? config.QUOTA_WEIGHTS.voice : config.QUOTA_WEIGHTS.text);
+
+/**
+ * 计算一次请求消耗的额度
+ * @param {Object} event - 云函数事件对象
+ * @returns {number} 0 表示不计费（如 ping / recommend / 流式轮询）
+ */
+function getRequestCost(event = {}) {
+  switch (event.type) {
+    case 'generate':
+      return _weightOf(event);
+    case 'preview':
+      return config.QUOTA_WEIGHTS.text;
+    case 'program':
+      // 只有按天生成调用大模型
+      return event.action === 'day' ? _weightOf(event) : 0;
+    case 'yoga':
+      // 不调用大模型，仅语音合成计费
+      return event.voice ? config.QUOTA_WEIGHTS.voice : 0;
+    case 'feedback':
+    case 'breathing':
+      // 同上，但默认合成语音
+      return event.voice !== false ? config.QUOTA_WEIGHTS.voice : 0;
+    case 'intent':
+      // 解析本身计一次文本调用，直接生成时另按生成计费
+      return config.QUOTA_WEIGHTS.text + (event.execute ? _weightOf(event) : 0);
+    case 'chat': {
+      // 开始 / 结束对话不调用大模型；确认练习时按生成计费
+      const action = event.action || (event.chatId ? 'message' : 'start');
+      if (action === 'generate') return _weightOf(event);
+      return action === 'message' || (action === 'start' && event.message) ? config.QUOTA_WEIGHTS.text : 0;
+    }
+    case 'stream':
+      // 轮询已有任务不计费（判定同 router/meditationStream.js 的 isStreamPoll）；流式默认生成语音
+      if (event.streamId !== undefined || event.action === 'poll') return 0;
+      return _weightOf({ voice: event.voice !== false });
+    case 'batch': {
+      const { topics = [], baseOptions = {} } = event;
+      if (!Array.isArray(topics)) return 0;
+      return topics.reduce((sum, item) => (
+        sum + _weightOf(typeof item === 'string' ? baseOptions : { ...baseOptions, ...item })
+      ), 0);
+    }
+    default:
+      return 0;
+  }
+}
+
+// ---------- 周期 ----------
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * 当前计费日与下次重置时间
+ * @returns {{ day: string, resetAt: number }} day 形如 2025-08-01，resetAt 为毫秒时间戳
+ */
+function getQuotaPeriod(now = Date.now()) {
+  const offset = config.QUOTA_UTC_OFFSET * HOUR_MS;
+  const localDayStart = Math.floor((now + offset) / DAY_MS) * DAY_MS;
+  return {
+    day: new Date(localDayStart).toISOString().slice(0, 10),
+    resetAt: localDayStart + DAY_MS - offset
+  };
+}
+
+// ---------- 计数存储 ----------
+function createMemoryStore() {
+  const counters = new Map();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return live(key)?.value || 0;
+    },
+    async incrBy(key, amount, expiresAt) {
+      const entry = live(key) || { value: 0, expiresAt };
+      entry.value = Math.max(0, entry.value + amount);
+      counters.set(key, entry);
+      return entry.value;
+    }
+  };
+}
+
+// 同一进程内按键串行读改写；不同实例之间不加锁，多实例部署请接入共享存储
+function createFileStore({ dir = config.QUOTA_DIR } = {}) {
+  const fileOf = (key) => path.join(dir, `${crypto.createHash('md5').update(key).digest('hex')}.json`);
+  const pending = new Map();
+
+  const read = async (key) => {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(fileOf(key), 'utf-8'));
+      return entry.expiresAt > Date.now() ? entry : null;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[Quota] 读取计数文件失败:', e.message);
+      return null;
+    }
+  };
+
+  return {
+    name: 'file',
+    async get(key) {
+      return (await read(key))?.value || 0;
+    },
+    incrBy(key, amount, expiresAt) {
+      const run = async () => {
+        const entry = (await read(key)) || { key, value: 0, expiresAt };
+        entry.value = Math.max(0, entry.value + amount);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(entry));
+        await fs.promises.rename(tmp, fileOf(key));
+        return entry.value;
+      };
+      const task = (pending.get(key) || Promise.resolve()).then(run, run);
+      pending.set(key, task);
+      task.finally(() => {
+        if (pending.get(key) === task) pending.delete(key);
+      }).catch(() => {});
+      return task;
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+let store = null;
+
+function getCounterStore() {
+  if (!store) {
+    const factory = STORES[config.QUOTA_STORE];
+    if (!factory) {
+      throw new Error(`[Quota] 不支持的计数存储: ${config.QUOTA_STORE}，可选：${Object.keys(STORES).join(', ')}`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+/**
+ * 替换计数存储
+ * @param {Object} counterStore - 需实现 get(key) 与 incrBy(key, amount, expiresAt)，返回 Promise<number>；
+ *   incrBy 需原子执行并返回累加后的值，否则并发请求可能超额
+ */
+function setCounterStore(counterStore) {
+  if (typeof counterStore?.get !== 'function' || typeof counterStore?.incrBy !== 'function') {
+    throw new Error('[Quota] 计数存储需实现 get(key) 与 incrBy(key, amount, expiresAt)');
+  }
+  store = counterStore;
+}
+
+// ---------- Public API ----------
+const FUNCTION_NAME = process.env.SCF_FUNCTIONNAME || process.env.FUNCTION_NAME || 'meditation-agent';
+
+const ANONYMOUS = 'anonymous';
+
+// 匿名调用共用同一身份，按用户计数会让所有匿名用户互相挤占，只计全局
+const _keys = (day, userId) => ({
+  global: `quota:${day}:fn:${FUNCTION_NAME}`,
+  user: userId && userId !== ANONYMOUS ? `quota:${day}:user:${userId}` : null
+});
+
+/**
+ * 先累加再比较，超出上限时回滚本次累加
+ * @returns {Promise<{ allowed: boolean, used: number }>} used 为累加后（超限时为累加前）的用量
+ */
+async function _incrWithin(counters, key, cost, limit, expiresAt) {
+  const used = await counters.incrBy(key, cost, expiresAt);
+  if (used <= limit) return { allowed: true, used };
+  await counters.incrBy(key, -cost, expiresAt);
+  return { allowed: false, used: used - cost };
+}
+
+/**
+ * 检查并扣减额度；任一额度不足时不扣减
+ * @param {Object} params
+ * @param {string} params.userId - 匿名调用只计全局额度
+ * @param {number} params.cost - getRequestCost() 的结果
+ * @returns {Promise<Object>} { allowed, scope?, limit?, used?, cost, remaining, resetAt, keys }
+ *   scope 为超限的额度：'user' | 'global'；resetAt 为 ISO 时间；匿名调用的 remaining.user 为 null
+ */
+async function consumeQuota({ userId = ANONYMOUS, cost }) {
+  const { day, resetAt } = getQuotaPeriod();
+  const keys = _keys(day, userId);
+  const limits = { user: config.QUOTA_USER_DAILY, global: config.MAX_DAILY_CALLS };
+  const base = { cost, resetAt: new Date(resetAt).toISOString(), keys };
+
+  if (!config.QUOTA_ENABLED || !cost) {
+    return { ...base, allowed: true, cost: 0, remaining: null };
+  }
+
+  const counters = getCounterStore();
+  let user = null;
+  if (keys.user) {
+    user = await _incrWithin(counters, keys.user, cost, limits.user, resetAt);
+    if (!user.allowed) {
+      return { ...base, allowed: false, scope: 'user', limit: limits.user, used: user.used };
+    }
+  }
+
+  const global = await _incrWithin(counters, keys.global, cost, limits.global, resetAt);
+  if (!global.allowed) {
+    if (keys.user) await counters.incrBy(keys.user, -cost, resetAt);
+    return { ...base, allowed: false, scope: 'global', limit: limits.global, used: global.used };
+  }
+
+  return {
+    ...base,
+    allowed: true,
+    remaining: {
+      user: user ? Math.max(0, limits.user - user.used) : null,
+      global: Math.max(0, limits.global - global.used)
+    }
+  };
+}
+
+/**
+ * 退回已扣减的额度（请求失败时调用）
+ * @param {Object} quota - consumeQuota() 的返回值
+ */
+async function refundQuota(quota) {
+  if (!quota?.allowed || !quota.cost) return;
+  const counters = getCounterStore();
+  const resetAt = Date.parse(quota.resetAt);
+  if (quota.keys.user) await counters.incrBy(quota.keys.user, -quota.cost, resetAt);
+  await counters.incrBy(quota.keys.global, -quota.cost, resetAt);
+}
+
+module.exports = {
+  getRequestCost,
+  getQuotaPeriod,
+  consumeQuota,
+  refundQuota,
+  getCounterStore,
+  setCounterStore
+};
@@ -0,0 +1,24 @@
+/**
+ * utils/response.js
+ * ---------------------------------------------
+ * 路由共用的失败结果：{ success: false, error: { code, message, details? } }
+ *
+ * Usage:
+ *   const { failure } = require('../utils/response');
+ *   return failure(config.ERROR_CODES.INVALID_POSE_QUERY, 'page 应为正整数');
+ * ---------------------------------------------
+ */
+
+/**
+ * @param {string} code - config.ERROR_CODES 中的错误码
+ * @param {string} message
+ * @param {Array|Object} [details] - 逐条的字段错误等补充信息
+ * @returns {{ success: false, error: Object }}
+ */
+function failure(code, message, details) {
+  return { success: false, error: { code, message, ...(details ? { details } : {}) } };
+}
+
+module.exports = {
+  failure
+};
@@ -0,0 +1,334 @@
+/**
+ * utils/script_parser.js
+ * ---------------------------------------------
+ * 冥想脚本结构化解析
+ * - 解析大模型返回的分段 JSON（opening / main / closing）
+ * - JSON 不合法时尝试修复：去代码块、去尾逗号、转义裸换行、补齐被截断的括号
+ * - 仍无法解析时按小标题 / 段落启发式切分
+ * - 为每段估算时长并标出停顿标记
+ *
+ * Usage:
+ *   const { parseScript } = require('../utils/script_parser');
+ *   const script = parseScript(llmText, { language: 'zh', pauses: { short: 2, long: 5, paragraph: 3 } });
+ *   // → { title, segments: [{ index, type, title, text, estimatedSeconds, pauseMarkers }], text, format, issues }
+ * ---------------------------------------------
+ */
+
+const { findPauseMarkers } = require('./text_splitter');
+
+const SEGMENT_TYPES = ['opening', 'main', 'closing'];
+
+// 类型别名 → 标准类型
+const TYPE_ALIASES = {
+  opening: ['opening', 'open', 'intro', 'introduction', 'start', '开场', '开场引导', '开始', '引入'],
+  main: ['main', 'body', 'practice', 'main_practice', 'core', '主体', '主体练习', '练习', '正式练习'],
+  closing: ['closing', 'close', 'outro', 'ending', 'end', 'conclusion', '结束', '结束回归', '收尾', '回归']
+};
+
+const DEFAULT_TITLES = {
+  zh: { opening: '开场引导', main: '主体练习', closing: '结束回归' },
+  en: { opening: 'Opening', main: 'Main practice', closing: 'Closing' }
+};
+
+// 纯文本中的小标题，如「【开场引导】」「1. 主体练习（约6分钟）：」「## Closing」
+const HEADING_RE = /^\s*(?:#+\s*|\d+[.、)]\s*)?[【[]?\s*(开场引导|开场|主体练习|主体|结束回归|结束|opening|main practice|closing)\s*[】\]]?\s*(?:[（(][^）)]*[）)])?\s*[:：]?\s*$/i;
+
+// 语速：中文每分钟 180 字，英文每分钟 150 词（与 estimateReadTime 一致）
+const WORDS_PER_MINUTE = { zh: 180, en: 150 };
+
+// ---------- Type helpers ----------
+function _normalizeType(raw) {
+  const value = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const found = Object.entries(TYPE_ALIASES).find(([, aliases]) => aliases.includes(value));
+  return found ? found[0] : null;
+}
+
+// ---------- JSON 提取与修复 ----------
+function _stripFences(raw) {
+  return raw.replace(/```(?:json)?/gi, '').trim();
+}
+
+function _extractJson(raw) {
+  const text = _stripFences(raw);
+  const start = text.search(/[{[]/);
+  if (start < 0) return null;
+  return text.slice(start);
+}
+
+/**
+ * 修复常见的 JSON 问题
+ * - 字符串内的裸换行 / 制表符
+ * - 对象 / 数组末尾多余的逗号
+ * - 输出被 max_tokens 截断导致的未闭合字符串与括号
+ */
+function _repairJson(json) {
+  let out = '';
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of json) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      } else if (ch === '\n') {
+        out += '\\n';
+        continue;
+      } else if (ch === '\r') {
+        continue;
+      } else if (ch === '\t') {
+        out += '\\t';
+        continue;
+      }
+      out += ch;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      stack.pop();
+      out += ch;
+      // 闭合后剩余内容（如解释文字）直接丢弃
+      if (stack.length === 0) break;
+      continue;
+    }
+    out += ch;
+  }
+
+  if (escaped) out = out.slice(0, -1);
+  if (inString) out += '"';
+  out = out.replace(/,\s*$/, '');
+  while (stack.length) out += stack.pop();
+
+  return out.replace(/,\s*([}\]])/g, '$1');
+}
+
+function _parseJson(raw) {
+  const json = _extractJson(raw);
+  if (!json) return { data: null, repaired: false };
+
+  try {
+    return { data: JSON.parse(json), repaired: false };
+  } catch (e) {
+    // 继续尝试修复
+  }
+
+  try {
+    return { data: JSON.parse(_repairJson(json)), repaired: true };
+  } catch (e) {
+    return { data: null, repaired: false };
+  }
+}
+
+// ---------- 分段规范化 ----------
+function _segmentsFromJson(data) {
+  const list = Array.isArray(data)
+    ? data
+    : data?.segments || data?.sections || data?.script || data?.parts;
+  if (!Array.isArray(list)) return [];
+
+  return list.map(item => {
+    if (typeof item === 'string') return { type: null, title: '', text: item };
+    const text = item?.text ?? item?.content ?? item?.script ?? '';
+    return {
+      type: _normalizeType(item?.type ?? item?.section ?? item?.name),
+      title: typeof item?.title === 'string' ? item.title.trim() : '',
+      text: Array.isArray(text) ? text.join('\n\n') : String(text)
+    };
+  });
+}
+
+// 纯文本按小标题切分；没有小标题时整体视为主体
+function _segmentsFromText(raw) {
+  const segments = [];
+  let current = { type: 'main', title: '', lines: [] };
+
+  _stripFences(raw).split('\n').forEach(line => {
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      if (current.lines.join('').trim()) segments.push(current);
+      current = { type: _normalizeType(heading[1]) || 'main', title: heading[1].trim(), lines: [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+  if (current.lines.join('').trim()) segments.push(current);
+
+  return segments.map(({ type, title, lines }) => ({ type, title, text: lines.join('\n') }));
+}
+
+const _paragraphs = (text) => text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+/**
+ * 校验并修复段落结构：
+ * - 去掉空段，未知类型归为 main
+ * - 按 opening → main → closing 排序（同类型保持原顺序）
+ * - 缺少开场 / 结束时，从首个 / 末个主体段拆出一段
+ */
+function _ensureSections(segments, issues) {
+  let list = segments
+    .map(seg => ({ ...seg, text: seg.text.replace(/\r/g, '').trim() }))
+    .filter(seg => seg.text);
+
+  list.forEach(seg => {
+    if (!seg.type) {
+      issues.push('unknown_segment_type');
+      seg.type = 'main';
+    }
+  });
+
+  const ranked = list.map((seg, i) => ({ seg, i }));
+  ranked.sort((a, b) => (SEGMENT_TYPES.indexOf(a.seg.type) - SEGMENT_TYPES.indexOf(b.seg.type)) || (a.i - b.i));
+  if (ranked.some((r, i) => r.i !== i)) issues.push('segment_order_fixed');
+  list = ranked.map(r => r.seg);
+
+  if (!list.some(seg => seg.type === 'opening')) {
+    issues.push('missing_opening');
+    const first = list.find(seg => seg.type === 'main');
+    const paragraphs = first ? _paragraphs(first.text) : [];
+    if (paragraphs.length >= 3) {
+      first.text = paragraphs.slice(1).join('\n\n');
+      list.unshift({ type: 'opening', title: '', text: paragraphs[0] });
+    }
+  }
+
+  if (!list.some(seg => seg.type === 'closing')) {
+    issues.push('missing_closing');
+    const last = [...list].reverse().find(seg => seg.type === 'main');
+    const paragraphs = last ? _paragraphs(last.text) : [];
+    if (paragraphs.length >= 3) {
+      last.text = paragraphs.slice(0, -1).join('\n\n');
+      list.push({ type: 'closing', title: '', text: paragraphs[paragraphs.length - 1] });
+    }
+  }
+
+  if (!list.some(seg => seg.type === 'main')) issues.push('missing_main');
+
+  return list;
+}
+
+// ---------- 时长估算 ----------
+function _speechSeconds(text, language) {
+  const clean = text.replace(/\[pause:[^\]]*\]/gi, '');
+  const count = language === 'zh'
+    ? clean.replace(/[^一-龥]/g, '').length
+    : clean.split(/\s+/).filter(w => /[a-z0-9]/i.test(w)).length;
+  return (count / (WORDS_PER_MINUTE[language] || WORDS_PER_MINUTE.zh)) * 60;
+}
+
+/**
+ * 估算一段文本的朗读 + 停顿时长（秒）
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.language='zh']
+ * @param {Object} [opts.pauses] - 各类停顿秒数 { short, long, paragraph }
+ */
+function estimateSeconds(text, { language = 'zh', pauses = {} } = {}) {
+  const markers = findPauseMarkers(text);
+  const pauseSeconds = markers.reduce((sum, m) => sum + (m.kind === 'explicit' ? m.seconds : pauses[m.kind] || 0), 0);
+  const paragraphSeconds = (_paragraphs(text).length - 1) * (pauses.paragraph || 0);
+  return Math.round(_speechSeconds(text, language) + pauseSeconds + Math.max(0, paragraphSeconds));
+}
+
+// ---------- Public API ----------
+/**
+ * 解析大模型输出为分段脚本
+ * @param {string} raw - 大模型原始输出
+ * @param {Object} [opts]
+ * @param {string} [opts.language='zh']
+ * @param {Object} [opts.pauses] - 停顿秒数，用于估算时长
+ * @returns {{ title: string|null, segments: Array<Object>, text: string,
+ *             format: 'structured'|'repaired'|'text', issues: string[] }}
+ *   format：structured 为合法 JSON；repaired 为修复后的 JSON 或结构有调整；text 为纯文本启发式切分
+ */
+function parseScript(raw, { language = 'zh', pauses = {} } = {}) {
+  const issues = [];
+  const { data, repaired } = _parseJson(raw || '');
+  let segments = data ? _segmentsFromJson(data) : [];
+  let format = repaired ? 'repaired' : 'structured';
+
+  if (repaired) issues.push('json_repaired');
+  if (segments.length === 0 || segments.every(seg => !seg.text.trim())) {
+    if (data) issues.push('json_without_segments');
+    segments = _segmentsFromText(raw || '');
+    format = 'text';
+  }
+
+  segments = _ensureSections(segments, issues);
+  if (format === 'structured' && issues.length > 0) format = 'repaired';
+
+  const titles = DEFAULT_TITLES[language] || DEFAULT_TITLES.zh;
+  const result = segments.map((seg, index) => ({
+    index,
+    type: seg.type,
+    title: seg.title || titles[seg.type],
+    text: seg.text,
+    estimatedSeconds: estimateSeconds(seg.text, { language, pauses }),
+    pauseMarkers: findPauseMarkers(seg.text).map(({ kind, seconds, index: offset }) => (
+      kind === 'explicit' ? { kind, seconds, offset } : { kind, offset }
+    ))
+  }));
+
+  return {
+    title: typeof data?.title === 'string' ? data.title.trim() : null,
+    segments: result,
+    text: result.map(seg => seg.text).join('\n\n'),
+    format,
+    issues: [...new Set(issues)]
+  };
+}
+
+/**
+ * 宽松解析大模型输出的 JSON（去代码块、修复截断），失败返回 null
+ * @param {string} raw
+ * @returns {Object|Array|null}
+ */
+function parseJson(raw) {
+  return _parseJson(raw || '').data;
+}
+
+/**
+ * 将分段对齐到合成音频的分片上，补充每段在音轨中的起止时间
+ * @param {Array<Object>} segments - parseScript().segments
+ * @param {Array<{text:string, offset:number, duration:number}>} chunks - synthesizeLongSpeech().chunks
+ * @returns {Array<Object>} 带 audioOffset / audioDuration 的新分段
+ */
+function alignSegmentsToAudio(segments, chunks = []) {
+  const norm = (s) => s.replace(/\s+/g, '');
+  const ranges = segments.map(() => null);
+  let segIndex = 0;
+  let cursor = 0;
+
+  chunks.forEach(chunk => {
+    const needle = norm(chunk.text || '');
+    while (segIndex < segments.length) {
+      const pos = norm(segments[segIndex].text).indexOf(needle, cursor);
+      if (pos >= 0) {
+        cursor = pos + needle.length;
+        const end = chunk.offset + chunk.duration;
+        const range = ranges[segIndex];
+        ranges[segIndex] = range ? { start: range.start, end } : { start: chunk.offset, end };
+        return;
+      }
+      segIndex++;
+      cursor = 0;
+    }
+  });
+
+  return segments.map((seg, i) => (ranges[i]
+    ? { ...seg, audioOffset: ranges[i].start, audioDuration: Math.round((ranges[i].end - ranges[i].start) * 1000) / 1000 }
+    : { ...seg }));
+}
+
+module.exports = {
+  parseScript,
+  parseJson,
+  alignSegmentsToAudio,
+  estimateSeconds,
+  SEGMENT_TYPES
+};
@@ -0,0 +1,224 @@
+/**
+ * utils/session_store.js
+ * ---------------------------------------------
+ * 用户练习记录存储：每次成功生成的练习（generate / preview / intent / program / chat）保存为一条 session
+ *
+ * 存储可替换：
+ * - memory：实例内存，冷启动后清空，适合本地开发
+ * - file  ：本地文件，每个用户一个目录、每条记录一个 JSON 文件（云函数各实例的 /tmp 互不共享）
+ * - cos   ：COS 对象存储 <prefix>/<md5(userId)>/<md5(id)>.json，跨实例共享，线上使用
+ * - 自定义：setSessionStore({ save, list, get, remove })，如接入云数据库
+ *
+ * 每个用户最多保留 config.SESSION_MAX_PER_USER 条，超出时删除最早的记录。
+ * 其他按用户保存的记录（如多日课程进度）可用 createStore() 另建实例，目录与条数上限独立。
+ *
+ * Usage:
+ *   const { getSessionStore } = require('../utils/session_store');
+ *   const store = getSessionStore();
+ *   await store.save(record);                              // record 需含 id / userId / createdAt
+ *   const { items, nextCursor } = await store.list(userId, { limit: 20 });
+ *   const record = await store.get(userId, sessionId);     // → record | null
+ *   await store.remove(userId, sessionId);                 // → boolean
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cosEnabled, cosGet, cosPut, cosDelete, cosList } = require('./cos');
+const config = require('../config');
+
+const md5 = (s) => crypto.createHash('md5').update(String(s)).digest('hex');
+
+// 按创建时间倒序分页，同一时刻的记录按 id 倒序；cursor 为上一页最后一条的「createdAt|id」，
+// 同一时刻的记录跨页时不会被跳过（仅含 createdAt 的旧游标按该时刻之前继续）
+const _byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+
+function _page(records, { limit = 20, cursor } = {}) {
+  const [createdAt, id = ''] = String(cursor || '').split('|');
+  const sorted = [...records]
+    .sort(_byNewest)
+    .filter(r => !cursor || _byNewest({ createdAt, id }, r) < 0);
+  const items = sorted.slice(0, limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: sorted.length > limit ? `${last.createdAt}|${last.id}` : null
+  };
+}
+
+// ---------- memory ----------
+function createMemoryStore({ maxPerUser = config.SESSION_MAX_PER_USER } = {}) {
+  const users = new Map();
+
+  return {
+    name: 'memory',
+    async save(record) {
+      const list = (users.get(record.userId) || []).filter(r => r.id !== record.id);
+      list.push(structuredClone(record));
+      list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      users.set(record.userId, list.slice(-maxPerUser));
+      return true;
+    },
+    async list(userId, opts) {
+      return _page(users.get(userId) || [], opts);
+    },
+    async get(userId, id) {
+      const record = (users.get(userId) || []).find(r => r.id === id);
+      return record ? structuredClone(record) : null;
+    },
+    async remove(userId, id) {
+      const list = users.get(userId) || [];
+      const next = list.filter(r => r.id !== id);
+      users.set(userId, next);
+      return next.length !== list.length;
+    }
+  };
+}
+
+// ---------- file ----------
+function createFileStore({ dir = config.SESSION_DIR, maxPerUser = config.SESSION_MAX_PER_USER } = {}) {
+  const userDir = (userId) => path.join(dir, md5(userId));
+  const fileOf = (userId, id) => path.join(userDir(userId), `${md5(id)}.json`);
+
+  const readAll = async (userId) => {
+    const files = await fs.promises.readdir(userDir(userId)).catch(() => []);
+    const records = await Promise.all(files
+      .filter(f => f.endsWith('.json'))
+      .map(f => fs.promises.readFile(path.join(userDir(userId), f), 'utf-8')
+        .then(JSON.parse)
+        .catch(() => null)));
+    return records.filter(r => r && r.userId === userId);
+  };
+
+  return {
+    name: 'file',
+    async save(record) {
+      await fs.promises.mkdir(userDir(record.userId), { recursive: true });
+      const file = fileOf(record.userId, record.id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(record));
+      await fs.promises.rename(tmp, file);
+
+      const records = await readAll(record.userId);
+      const overflow = records
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, Math.max(0, records.length - maxPerUser));
+      await Promise.all(overflow.map(r => fs.promises.rm(fileOf(r.userId, r.id), { force: true })));
+      return true;
+    },
+    async list(userId, opts) {
+      return _page(await readAll(userId), opts);
+    },
+    async get(userId, id) {
+      try {
+        const record = JSON.parse(await fs.promises.readFile(fileOf(userId, id), 'utf-8'));
+        return record.userId === userId && record.id === id ? record : null;
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('[SessionStore] 读取记录失败:', e.message);
+        return null;
+      }
+    },
+    async remove(userId, id) {
+      if (!(await this.get(userId, id))) return false;
+      await fs.promises.rm(fileOf(userId, id), { force: true });
+      return true;
+    }
+  };
+}
+
+// ---------- cos ----------
+function createCosStore({ prefix = 'meditation/sessions', maxPerUser = config.SESSION_MAX_PER_USER } = {}) {
+  const userPrefix = (userId) => `${prefix}/${md5(userId)}/`;
+  const keyOf = (userId, id) => `${userPrefix(userId)}${md5(id)}.json`;
+
+  const read = async (key) => {
+    const body = await cosGet(key);
+    if (!body) return null;
+    try {
+      return JSON.parse(body.toString('utf-8'));
+    } catch (e) {
+      console.warn('[SessionStore] 解析记录失败:', key, e.message);
+      return null;
+    }
+  };
+
+  const readAll = async (userId) => {
+    if (!cosEnabled()) return [];
+    const keys = (await cosList(userPrefix(userId))).filter(k => k.endsWith('.json'));
+    const records = await Promise.all(keys.map(read));
+    return records.filter(r => r && r.userId === userId);
+  };
+
+  return {
+    name: 'cos',
+    async save(record) {
+      if (!cosEnabled()) throw new Error('[SessionStore] COS 未配置，无法保存记录');
+      const saved = await cosPut(keyOf(record.userId, record.id), Buffer.from(JSON.stringify(record)), 'application/json', { acl: 'private' });
+      if (!saved) throw new Error('[SessionStore] 记录上传 COS 失败');
+
+      const records = await readAll(record.userId);
+      const overflow = records
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, Math.max(0, records.length - maxPerUser));
+      await Promise.all(overflow.map(r => cosDelete(keyOf(r.userId, r.id))));
+      return true;
+    },
+    async list(userId, opts) {
+      return _page(await readAll(userId), opts);
+    },
+    async get(userId, id) {
+      if (!cosEnabled()) return null;
+      const record = await read(keyOf(userId, id));
+      return record && record.userId === userId && record.id === id ? record : null;
+    },
+    async remove(userId, id) {
+      if (!(await this.get(userId, id))) return false;
+      return cosDelete(keyOf(userId, id));
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  cos: createCosStore
+};
+
+/**
+ * 按名称创建独立的存储实例
+ * @param {string} name - memory | file | cos
+ * @param {Object} [opts] - { dir, prefix, maxPerUser }；dir 用于 file，prefix 用于 cos
+ */
+function createStore(name, opts) {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`[SessionStore] 不支持的存储: ${name}，可选：${Object.keys(STORES).join(', ')}`);
+  }
+  return factory(opts);
+}
+
+let store = null;
+
+function getSessionStore() {
+  if (!store) store = createStore(config.SESSION_STORE);
+  return store;
+}
+
+/**
+ * 替换记录存储
+ * @param {Object} sessionStore - 需实现 save / list / get / remove
+ */
+function setSessionStore(sessionStore) {
+  const missing = ['save', 'list', 'get', 'remove'].filter(m => typeof sessionStore?.[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`[SessionStore] 存储缺少方法: ${missing.join(', ')}`);
+  }
+  store = sessionStore;
+}
+
+module.exports = {
+  createStore,
+  getSessionStore,
+  setSessionStore
+};
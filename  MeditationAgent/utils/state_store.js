@@ -0,0 +1,157 @@
+/**
+ * utils/state_store.js
+ * ---------------------------------------------
+ * 短期状态存储：按 id 保存整份 JSON 文档（如流式任务进度），超过 ttlMs 未更新即视为过期
+ *
+ * 存储可替换：
+ * - memory：实例内存，冷启动后清空，只有同一实例能读到，适合本地开发
+ * - file  ：本地文件 <dir>/<md5(id)>.json（云函数各实例的 /tmp 互不共享）
+ * - cos   ：COS 对象存储 <prefix>/<md5(id)>.json，跨实例共享，线上使用
+ *
+ * 文档需含 updatedAt（毫秒时间戳），用于判断过期。
+ * 各功能用 createStateStore() 建立独立实例（见 utils/stream_store.js）。
+ *
+ * Usage:
+ *   const store = createStateStore('cos', { prefix: 'meditation/streams', ttlMs: 30 * 60 * 1000 });
+ *   await store.save(id, { ...state, updatedAt: Date.now() });
+ *   const state = await store.get(id);   // → 文档 | null（不存在或已过期）
+ *   await store.remove(id);
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cosEnabled, cosGet, cosPut, cosDelete } = require('./cos');
+
+const md5 = (s) => crypto.createHash('md5').update(String(s)).digest('hex');
+
+const _expired = (doc, ttlMs) => !doc || Date.now() - (doc.updatedAt || 0) > ttlMs;
+
+// ---------- memory ----------
+function createMemoryStore({ ttlMs }) {
+  const docs = new Map();
+
+  const prune = () => {
+    docs.forEach((doc, id) => {
+      if (_expired(doc, ttlMs)) docs.delete(id);
+    });
+  };
+
+  return {
+    name: 'memory',
+    async get(id) {
+      prune();
+      return docs.has(id) ? structuredClone(docs.get(id)) : null;
+    },
+    async save(id, doc) {
+      prune();
+      docs.set(id, structuredClone(doc));
+      return true;
+    },
+    async remove(id) {
+      return docs.delete(id);
+    }
+  };
+}
+
+// ---------- file ----------
+function createFileStore({ dir, ttlMs }) {
+  const fileOf = (id) => path.join(dir, `${md5(id)}.json`);
+
+  return {
+    name: 'file',
+    async get(id) {
+      try {
+        const doc = JSON.parse(await fs.promises.readFile(fileOf(id), 'utf-8'));
+        if (!_expired(doc, ttlMs)) return doc;
+        await fs.promises.rm(fileOf(id), { force: true });
+        return null;
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async save(id, doc) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileOf(id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(doc));
+      await fs.promises.rename(tmp, file);
+      return true;
+    },
+    async remove(id) {
+      try {
+        await fs.promises.rm(fileOf(id));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    }
+  };
+}
+
+// ---------- cos ----------
+// 过期对象不主动清理，建议在存储桶上为该前缀配置生命周期规则
+function createCosStore({ prefix, ttlMs }) {
+  const keyOf = (id) => `${prefix}/${md5(id)}.json`;
+
+  return {
+    name: 'cos',
+    async get(id) {
+      if (!cosEnabled()) return null;
+      const body = await cosGet(keyOf(id));
+      const doc = body ? JSON.parse(body.toString('utf-8')) : null;
+      return _expired(doc, ttlMs) ? null : doc;
+    },
+    async save(id, doc) {
+      if (!cosEnabled()) throw new Error('[StateStore] COS 未配置，无法保存状态');
+      const saved = await cosPut(keyOf(id), Buffer.from(JSON.stringify(doc)), 'application/json', { acl: 'private' });
+      if (!saved) throw new Error('[StateStore] 状态上传 COS 失败');
+      return true;
+    },
+    async remove(id) {
+      return cosEnabled() ? cosDelete(keyOf(id)) : false;
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  cos: createCosStore
+};
+
+/**
+ * 按名称创建存储实例
+ * @param {string} name - memory | file | cos
+ * @param {Object} opts
+ * @param {number} opts.ttlMs - 文档超过该时长未更新即过期
+ * @param {string} [opts.dir] - file 存储目录
+ * @param {string} [opts.prefix] - cos 对象键前缀
+ */
+function createStateStore(name, opts) {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`[StateStore] 不支持的存储: ${name}，可选：${Object.keys(STORES).join(', ')}`);
+  }
+  return factory(opts);
+}
+
+/**
+ * 校验自定义存储是否实现了全部方法
+ * @param {Object} store
+ * @param {string} label - 日志前缀，如 StreamStore
+ */
+function assertStateStore(store, label) {
+  const missing = ['get', 'save', 'remove'].filter(m => typeof store?.[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`[${label}] 存储缺少方法: ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  assertStateStore
+};
@@ -0,0 +1,42 @@
+/**
+ * utils/stream_store.js
+ * ---------------------------------------------
+ * 流式任务进度存储（见 utils/state_store.js）：{ id, status, segments, error, result, createdAt, updatedAt }
+ * 轮询请求可能落到其他实例，线上需用 cos 共享；超过 config.STREAM_TTL_MS 未更新的任务视为过期
+ *
+ * Usage:
+ *   const { getStreamStore } = require('../utils/stream_store');
+ *   await getStreamStore().save(streamId, state);
+ *   const state = await getStreamStore().get(streamId);
+ * ---------------------------------------------
+ */
+
+const { createStateStore, assertStateStore } = require('./state_store');
+const config = require('../config');
+
+let store = null;
+
+function getStreamStore() {
+  if (!store) {
+    store = createStateStore(config.STREAM_STORE, {
+      ttlMs: config.STREAM_TTL_MS,
+      dir: config.STREAM_DIR,
+      prefix: 'meditation/streams'
+    });
+  }
+  return store;
+}
+
+/**
+ * 替换流式任务存储
+ * @param {Object} streamStore - 需实现 get / save / remove
+ */
+function setStreamStore(streamStore) {
+  assertStateStore(streamStore, 'StreamStore');
+  store = streamStore;
+}
+
+module.exports = {
+  getStreamStore,
+  setStreamStore
+};
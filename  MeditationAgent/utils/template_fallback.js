@@ -0,0 +1,201 @@
+/**
+ * utils/template_fallback.js
+ * ---------------------------------------------
+ * 离线模板兜底：大模型不可用时，用本地模板库（prompts/meditation_templates.json）拼装引导词
+ * - 开场 / 结束按风格取，主体按主题取；主题依次按 id、名称、别名匹配，都不命中时用 defaultTopic
+ * - 槽位：{duration} 时长（分钟）、{name} 用户称呼、{intention} 练习意图
+ *   行可写成 { text, requires, unless }：缺少 requires 指定的槽位、或存在 unless 指定的槽位时跳过该行
+ * - 主体步骤之间按请求时长补齐 [pause:Ns] 静默；单个停顿不超过 60 秒，更长的留白穿插 reminders 中的提醒语
+ * - 返回结构与 parseScript 一致，format 为 'template'
+ *
+ * 设置 TEMPLATE_LIBRARY_PATH 可替换默认模板库（读取失败时仍使用默认模板库）。
+ *
+ * Usage:
+ *   const { shouldUseTemplate, buildTemplateScript } = require('../utils/template_fallback');
+ *   if (shouldUseTemplate(llmResp.error)) {
+ *     const script = buildTemplateScript({ topic, style, duration, language, customization, pauses });
+ *     // → { title, segments, text, format: 'template', issues, template: { id, style, version } }
+ *   }
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseScript, estimateSeconds } = require('./script_parser');
+const config = require('../config');
+
+const DEFAULT_LIBRARY_PATH = path.join(__dirname, '../prompts/meditation_templates.json');
+
+// 请求本身有误（如指定了不存在的供应商）时换成模板也无济于事，直接返回错误
+const NON_FALLBACK_CODES = ['INVALID_PROVIDER'];
+
+const MAX_PAUSE_SECONDS = 60;   // 与 TTS 单个停顿上限一致
+const MIN_FILL_SECONDS = 5;     // 不足该秒数的差额交给 TTS 的停顿伸缩
+const FULL_STEPS_DURATION = 5;  // 低于该时长（分钟）时只取部分主体步骤
+
+const SLOT_LIMITS = { name: 20, intention: 40 };
+
+// ---------- 模板库加载 ----------
+function _readLibrary(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!data?.styles || !Array.isArray(data.topics) || !data.topics.some(t => t.id === data.defaultTopic)) {
+      throw new Error('缺少 styles / topics，或 defaultTopic 不在 topics 中');
+    }
+    return data;
+  } catch (e) {
+    console.error(`[TemplateFallback] 模板库加载失败: ${file}`, e.message);
+    return null;
+  }
+}
+
+let library = null;
+
+function _loadLibrary() {
+  if (!library) {
+    library = (config.TEMPLATE_LIBRARY_PATH && _readLibrary(config.TEMPLATE_LIBRARY_PATH))
+      || _readLibrary(DEFAULT_LIBRARY_PATH);
+  }
+  return library;
+}
+
+// ---------- 匹配 ----------
+const _norm = (value) => String(value || '').trim().toLowerCase();
+
+function _findTopic(lib, { topic, topicDetails }) {
+  const candidates = [topicDetails?.id, topicDetails?.name, topic].map(_norm).filter(Boolean);
+  const names = (t) => [t.id, ...(t.match || [])].map(_norm);
+
+  for (const c of candidates) {
+    const found = lib.topics.find(t => names(t).includes(c));
+    if (found) return { template: found, exact: true };
+  }
+  // 「改善睡眠」「考前焦虑」之类的说法按包含的别名匹配，标题保留用户的说法
+  for (const c of candidates) {
+    const found = lib.topics.find(t => names(t).some(n => n.length >= 2 && c.includes(n)));
+    if (found) return { template: found, exact: false };
+  }
+  return { template: lib.topics.find(t => t.id === lib.defaultTopic), exact: false };
+}
+
+function _resolveStyle(lib, style, topicDetails) {
+  return [style, topicDetails?.recommendedStyles?.[0], lib.defaultStyle].find(s => s && lib.styles[s]);
+}
+
+// ---------- 槽位 ----------
+function _slotValue(value, max) {
+  if (typeof value !== 'string') return '';
+  return value
+    .replace(/[{}[\]\r\n]/g, ' ')
+    .trim()
+    .replace(/[。.!！?？,，;；、\s]+$/, '')
+    .slice(0, max);
+}
+
+function _renderLines(lines = [], slots, language) {
+  return lines
+    .filter(line => typeof line === 'string'
+      || ((!line.requires || slots[line.requires]) && (!line.unless || !slots[line.unless])))
+    .map(line => (typeof line === 'string' ? line : line.text)
+      .replace(/\{(\w+)\}/g, (m, key) => (key in slots ? String(slots[key]) : m)))
+    .join(language === 'zh' ? '' : ' ');
+}
+
+// ---------- 时长补齐 ----------
+/**
+ * 在每个主体步骤后追加静默（必要时穿插提醒语），使整篇估算时长接近目标
+ */
+function _fillSteps(steps, { gap, reminders, language, pauses }) {
+  const perStep = gap / steps.length;
+  let reminderIndex = 0;
+
+  return steps.map(step => {
+    const parts = [step];
+    let remain = perStep;
+    while (remain >= MIN_FILL_SECONDS) {
+      const seconds = Math.round(Math.min(MAX_PAUSE_SECONDS, remain));
+      parts.push(`[pause:${seconds}s]`);
+      remain -= seconds;
+
+      // 停顿之间插入提醒语，避免相邻的显式停顿合并成超长静音
+      if (remain >= MIN_FILL_SECONDS && reminders.length > 0) {
+        const reminder = reminders[reminderIndex++ % reminders.length];
+        parts.push(reminder);
+        remain -= estimateSeconds(reminder, { language, pauses });
+      }
+    }
+    return parts.join(language === 'zh' ? '' : ' ');
+  });
+}
+
+// ---------- Public API ----------
+/**
+ * 大模型的失败是否应改用模板兜底
+ * @param {Object} [error] - callLLM / generateLongScript 返回的 error
+ * @returns {boolean}
+ */
+function shouldUseTemplate(error) {
+  return config.TEMPLATE_FALLBACK_ENABLED && !NON_FALLBACK_CODES.includes(error?.code) && !!_loadLibrary();
+}
+
+/**
+ * 用模板库拼装一篇引导词
+ * @param {Object} params
+ * @param {string} params.topic - 请求中的主题
+ * @param {Object} [params.topicDetails] - promptBuilder.getTopicDetails() 的结果
+ * @param {string} [params.style] - 缺省时取主题推荐风格，再缺省取 defaultStyle
+ * @param {number} params.duration - 分钟
+ * @param {string} [params.language='zh']
+ * @param {Object} [params.customization] - 读取 userName（称呼）与 intention（练习意图）
+ * @param {Object} [params.pauses] - 各类停顿秒数，用于估算时长
+ * @returns {Object|null} 与 parseScript 结构一致，另含 template: { id, style, version }；模板库不可用时返回 null
+ */
+function buildTemplateScript({ topic, topicDetails, style, duration, language = 'zh', customization = {}, pauses = {} }) {
+  const lib = _loadLibrary();
+  if (!lib) return null;
+
+  const { template, exact } = _findTopic(lib, { topic, topicDetails });
+  const styleName = _resolveStyle(lib, style, topicDetails);
+  const styleLines = lib.styles[styleName][language] || {};
+  const slots = {
+    duration,
+    name: _slotValue(customization?.userName, SLOT_LIMITS.name),
+    intention: _slotValue(customization?.intention, SLOT_LIMITS.intention)
+  };
+
+  const allSteps = template.steps[language] || [];
+  const stepCount = duration >= FULL_STEPS_DURATION
+    ? allSteps.length
+    : Math.min(allSteps.length, Math.max(2, Math.round((allSteps.length * duration) / FULL_STEPS_DURATION)));
+  let steps = allSteps.slice(0, stepCount);
+
+  const opening = _renderLines(styleLines.opening, slots, language);
+  const closing = _renderLines(styleLines.closing, slots, language);
+  const estimate = [opening, ...steps, closing]
+    .reduce((sum, text) => sum + estimateSeconds(text, { language, pauses }), 0);
+  const gap = duration * 60 - estimate;
+  if (gap >= MIN_FILL_SECONDS && steps.length > 0) {
+    steps = _fillSteps(steps, { gap, reminders: lib.reminders?.[language] || [], language, pauses });
+  }
+
+  const title = exact ? template.title[language] : (topicDetails?.name || topic || template.title[language]);
+  const script = parseScript(JSON.stringify({
+    title,
+    segments: [
+      { type: 'opening', text: opening },
+      { type: 'main', text: steps.join('\n\n') },
+      { type: 'closing', text: closing }
+    ]
+  }), { language, pauses });
+
+  return {
+    ...script,
+    format: 'template',
+    template: { id: template.id, style: styleName, version: lib.version }
+  };
+}
+
+module.exports = {
+  shouldUseTemplate,
+  buildTemplateScript
+};
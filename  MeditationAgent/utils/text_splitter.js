@@ -0,0 +1,218 @@
+/**
+ * utils/text_splitter.js
+ * ---------------------------------------------
+ * 长文本切分工具：把整段冥想引导词切成 TTS 可接受的小段。
+ * 同时识别停顿标记，交给音频拼接环节渲染为真实静音，而不是把点号读出来。
+ *
+ * 停顿标记：
+ *   …  / ...        短停顿（short）
+ *   …… / ......     长停顿（long）
+ *   [pause:10s]     指定秒数（explicit）
+ *   空行            段落停顿（paragraph）
+ *
+ * 切分优先级：段落 → 停顿标记（... / ……）→ 句末标点 → 逗号 → 硬切。
+ * 每段按 UTF-8 字节数控制在 maxBytes 以内，并尽量把相邻短句合并，
+ * 减少 TTS 调用次数。
+ *
+ * Usage:
+ *   const { splitForTTS } = require('../utils/text_splitter');
+ *   const chunks = splitForTTS(longText, { maxBytes: 2000 });
+ *   const items  = splitWithPauses(longText);
+ *   // → [{ type: 'speech', text }, { type: 'pause', kind: 'long' }, { type: 'pause', kind: 'explicit', seconds: 10 }, ...]
+ * ---------------------------------------------
+ */
+
+const DEFAULT_MAX_BYTES = 2000;
+
+// 句子边界：句末标点 / 停顿标记之后断开
+const SENTENCE_RE = /[^。！？!?；;\n]*?(?:\.{3,}|…+|[。！？!?；;]+|\n+|$)/g;
+// 次级边界：逗号、顿号、冒号
+const CLAUSE_RE = /[^，,、：:]*?(?:[，,、：:]+|$)/g;
+
+// 停顿标记：显式秒数 | 长停顿 | 短停顿 | 空行
+const PAUSE_RE = /\[pause:\s*(\d+(?:\.\d+)?)\s*s?\]|(…{2,}|\.{6,})|(…|\.{3,5})|(\n\s*\n)/gi;
+// 相邻停顿合并时保留更强的一个
+const PAUSE_STRENGTH = { short: 1, paragraph: 2, long: 3, explicit: 4 };
+// 至少包含一个字母 / 数字 / 汉字才值得送去合成
+const SPEAKABLE_RE = /[\p{L}\p{N}]/u;
+
+const byteLen = (s) => Buffer.byteLength(s, 'utf8');
+
+/**
+ * 按正则切出带分隔符的片段（过滤空串）
+ */
+function _splitBy(text, re) {
+  return (text.match(re) || []).filter(piece => piece.trim().length > 0);
+}
+
+/**
+ * 超长片段按字符硬切，保证每段 ≤ maxBytes
+ */
+function _hardCut(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+  for (const ch of text) {
+    if (byteLen(current + ch) > maxBytes) {
+      pieces.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * 把单个句子拆到 maxBytes 以内
+ */
+function _splitSentence(sentence, maxBytes) {
+  if (byteLen(sentence) <= maxBytes) return [sentence];
+
+  const result = [];
+  _splitBy(sentence, CLAUSE_RE).forEach(clause => {
+    if (byteLen(clause) <= maxBytes) {
+      result.push(clause);
+    } else {
+      result.push(..._hardCut(clause, maxBytes));
+    }
+  });
+  return result;
+}
+
+/**
+ * 切分长文本供 TTS 使用
+ * @param {string} text - 原始文本
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes=2000] - 单段最大字节数
+ * @returns {string[]} 切分后的文本段（已去除首尾空白）
+ */
+function splitForTTS(text, opts = {}) {
+  const maxBytes = opts.maxBytes || DEFAULT_MAX_BYTES;
+  if (!text || typeof text !== 'string') return [];
+
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    const trimmed = current.trim();
+    if (trimmed) chunks.push(trimmed);
+    current = '';
+  };
+
+  // 段落之间优先断开，段落内再按句合并
+  text.split(/\n\s*\n/).forEach(paragraph => {
+    _splitBy(paragraph, SENTENCE_RE).forEach(sentence => {
+      _splitSentence(sentence.replace(/\s+/g, ' '), maxBytes).forEach(piece => {
+        if (byteLen(current + piece) > maxBytes) flush();
+        current += piece;
+      });
+    });
+
+    // 段落过短时允许与下一段合并，否则在段落末尾断开
+    if (byteLen(current) > maxBytes / 2) flush();
+    else if (current) current += '\n';
+  });
+  flush();
+
+  return chunks;
+}
+
+/**
+ * 识别停顿标记，拆成文本 / 停顿交替的 token 序列
+ * @param {string} text
+ * @returns {Array<{type:'text',text:string}|{type:'pause',kind:string,seconds?:number}>}
+ */
+function parsePauses(text) {
+  const tokens = [];
+  let last = 0;
+  let match;
+
+  const pushPause = (pause) => {
+    const prev = tokens[tokens.length - 1];
+    if (prev && prev.type === 'pause') {
+      // 「……」后紧跟空行之类的情况只保留一个停顿
+      if (pause.kind === 'explicit' && prev.kind === 'explicit') {
+        prev.seconds += pause.seconds;
+      } else if (PAUSE_STRENGTH[pause.kind] > PAUSE_STRENGTH[prev.kind]) {
+        tokens[tokens.length - 1] = pause;
+      }
+      return;
+    }
+    tokens.push(pause);
+  };
+
+  PAUSE_RE.lastIndex = 0;
+  while ((match = PAUSE_RE.exec(text)) !== null) {
+    const before = text.slice(last, match.index);
+    if (SPEAKABLE_RE.test(before)) {
+      tokens.push({ type: 'text', text: before });
+    }
+
+    if (match[1]) pushPause({ type: 'pause', kind: 'explicit', seconds: Number(match[1]) });
+    else if (match[2]) pushPause({ type: 'pause', kind: 'long' });
+    else if (match[3]) pushPause({ type: 'pause', kind: 'short' });
+    else pushPause({ type: 'pause', kind: 'paragraph' });
+
+    last = match.index + match[0].length;
+  }
+
+  const rest = text.slice(last);
+  if (SPEAKABLE_RE.test(rest)) {
+    tokens.push({ type: 'text', text: rest });
+  }
+
+  // 开头的停顿没有意义
+  while (tokens.length && tokens[0].type === 'pause') tokens.shift();
+  return tokens;
+}
+
+/**
+ * 列出文本中的停顿标记及其位置（不含空行）
+ * @param {string} text
+ * @returns {Array<{kind:string, seconds?:number, index:number, marker:string}>}
+ */
+function findPauseMarkers(text) {
+  const markers = [];
+  if (!text || typeof text !== 'string') return markers;
+
+  let match;
+  PAUSE_RE.lastIndex = 0;
+  while ((match = PAUSE_RE.exec(text)) !== null) {
+    if (match[4]) continue;
+    const marker = { kind: match[1] ? 'explicit' : match[2] ? 'long' : 'short', index: match.index, marker: match[0] };
+    if (match[1]) marker.seconds = Number(match[1]);
+    markers.push(marker);
+  }
+  return markers;
+}
+
+/**
+ * 切分长文本，并把停顿标记转换为停顿项
+ * @param {string} text - 原始文本
+ * @param {Object} [opts] - 同 splitForTTS
+ * @returns {Array<{type:'speech',text:string}|{type:'pause',kind:string,seconds?:number}>}
+ */
+function splitWithPauses(text, opts = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const items = [];
+  parsePauses(text).forEach(token => {
+    if (token.type === 'pause') {
+      items.push(token);
+      return;
+    }
+    splitForTTS(token.text, opts)
+      .filter(chunk => SPEAKABLE_RE.test(chunk))
+      .forEach(chunk => items.push({ type: 'speech', text: chunk }));
+  });
+  return items;
+}
+
+module.exports = {
+  splitForTTS,
+  splitWithPauses,
+  parsePauses,
+  findPauseMarkers,
+  byteLen,
+  DEFAULT_MAX_BYTES
+};
@@ -0,0 +1,337 @@
+/**
+ * utils/topic_recommender.js
+ * ---------------------------------------------
+ * 冥想主题推荐引擎
+ * 1. 分词：中文按词典正向最大匹配，英文按单词与词组切分，去掉停用词
+ * 2. 匹配：对每个主题的 keywords / 名称 / id 依次尝试精确、同义词（prompts/topic_synonyms.json）、
+ *    编辑距离模糊匹配（错别字、繁简、拼写错误）
+ * 3. 情境：当前时段命中主题 bestTime 时加分；用户近期练习过的主题按次数加分
+ * 4. 每条推荐附带可读的解释
+ *
+ * Usage:
+ *   const { recommend } = require('./topic_recommender');
+ *   const list = recommend(types, ['睡不着'], { language: 'zh', hour: 23, history });
+ *   // → [{ topic, id, score, reason, explanation: [...], matched: [...], signals }]
+ * ---------------------------------------------
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const lexicon = JSON.parse(fs.readFileSync(path.join(__dirname, '../prompts/topic_synonyms.json'), 'utf-8'));
+
+// 各信号权重
+const WEIGHTS = {
+  exact: 1,
+  synonym: 0.8,
+  fuzzy: 0.6,
+  time: 0.3,
+  anytime: 0.1,
+  historyPerSession: 0.15,
+  historyMax: 0.45
+};
+
+const HISTORY_WINDOW_DAYS = 30;
+
+const _norm = (s) => String(s || '').trim().toLowerCase();
+const _isCjk = (s) => /[㐀-鿿]/.test(s);
+
+// term → 所在同义词组（一个词可属于多个组）
+const synonymGroups = new Map();
+lexicon.groups.forEach((group, index) => {
+  group.map(_norm).forEach(term => {
+    synonymGroups.set(term, [...(synonymGroups.get(term) || []), index]);
+  });
+});
+const _synonymsOf = (term) => new Set((synonymGroups.get(term) || []).flatMap(i => lexicon.groups[i].map(_norm)));
+
+const stopwords = new Set(lexicon.stopwords.map(_norm));
+
+// ---------- 分词 ----------
+// 与词典中某个等长词只差一个字（错别字、繁体字）
+const _nearWord = (candidate, dictionary) => [...dictionary].some(term => (
+  term.length === candidate.length && [...term].filter((ch, k) => ch !== candidate[k]).length === 1
+));
+
+/**
+ * 正向最大匹配；三字及以上的窗口与词典词只差一个字时也切出，交给模糊匹配；
+ * 词典外的连续汉字合并为一个词
+ */
+function _segmentCjk(run, dictionary, maxLen) {
+  const tokens = [];
+  let unknown = '';
+  for (let i = 0; i < run.length;) {
+    let word = null;
+    for (let len = Math.min(maxLen, run.length - i); len >= 1; len--) {
+      const candidate = run.slice(i, i + len);
+      if (dictionary.has(candidate)) {
+        word = candidate;
+        break;
+      }
+    }
+    for (let len = Math.min(maxLen, run.length - i); !word && len >= 3; len--) {
+      const candidate = run.slice(i, i + len);
+      if (_nearWord(candidate, dictionary)) word = candidate;
+    }
+    if (word) {
+      if (unknown) tokens.push(unknown);
+      unknown = '';
+      tokens.push(word);
+      i += word.length;
+    } else {
+      unknown += run[i];
+      i++;
+    }
+  }
+  if (unknown) tokens.push(unknown);
+  return tokens;
+}
+
+/**
+ * 把用户输入切分为检索词
+ * @param {string|string[]} needs - 关键词数组或一句话
+ * @param {Set<string>} dictionary - 已知词（同义词库 + 主题关键词）
+ * @returns {string[]} 去重后的检索词
+ */
+function segment(needs, knownWords) {
+  const texts = (Array.isArray(needs) ? needs : [needs]).map(_norm).filter(Boolean);
+  // 停用词也参与切分，避免「我最近」之类并入未知词
+  const dictionary = new Set([...knownWords, ...stopwords]);
+  const maxLen = Math.max(1, ...[...dictionary].filter(_isCjk).map(w => w.length));
+  const phrases = [...dictionary].filter(w => !_isCjk(w) && /[\s-]/.test(w));
+  const tokens = [];
+
+  texts.forEach(text => {
+    // 英文词组优先整体匹配，如 "body scan"、"can't sleep"
+    let rest = text;
+    phrases.forEach(phrase => {
+      if (rest.includes(phrase)) {
+        tokens.push(phrase);
+        rest = rest.split(phrase).join(' ');
+      }
+    });
+
+    (rest.match(/[㐀-鿿]+|[a-z][a-z'-]*/g) || []).forEach(part => {
+      if (_isCjk(part)) {
+        tokens.push(..._segmentCjk(part, dictionary, maxLen));
+      } else {
+        tokens.push(part);
+      }
+    });
+  });
+
+  return [...new Set(tokens)].filter(t => !stopwords.has(t) && (t.length > 1 || knownWords.has(t)));
+}
+
+// ---------- 模糊匹配 ----------
+/**
+ * 编辑距离（含相邻字符交换，如 anxeity → anxiety 计 1）
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// 允许的编辑距离：两字中文词不做模糊，避免「焦急」误配「焦虑」
+function _maxDistance(token) {
+  if (_isCjk(token)) return token.length >= 3 ? 1 : 0;
+  if (token.length >= 8) return 2;
+  return token.length >= 4 ? 1 : 0;
+}
+
+/**
+ * 在词典中查找最接近的词
+ * @returns {{ term: string, similarity: number }|null}
+ */
+function _closest(token, dictionary) {
+  const maxDistance = _maxDistance(token);
+  if (maxDistance === 0) return null;
+
+  let best = null;
+  dictionary.forEach(term => {
+    if (_isCjk(term) !== _isCjk(token) || Math.abs(term.length - token.length) > maxDistance) return;
+    const distance = levenshtein(token, term);
+    if (distance > 0 && distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { term, distance };
+    }
+  });
+  return best && { term: best.term, similarity: 1 - best.distance / Math.max(token.length, best.term.length) };
+}
+
+// ---------- 情境 ----------
+const TIME_SLOTS = [
+  { slot: 'night', from: 21, to: 29 },  // 21:00–05:00
+  { slot: 'morning', from: 5, to: 11 },
+  { slot: 'noon', from: 11, to: 14 },
+  { slot: 'afternoon', from: 14, to: 18 },
+  { slot: 'evening', from: 18, to: 21 }
+];
+
+const SLOT_LABELS = {
+  zh: { morning: '早晨', noon: '午间', afternoon: '下午', evening: '傍晚', night: '睡前' },
+  en: { morning: 'morning', noon: 'midday', afternoon: 'afternoon', evening: 'evening', night: 'bedtime' }
+};
+
+function getTimeSlot(hour) {
+  const h = ((Number(hour) % 24) + 24) % 24;
+  return TIME_SLOTS.find(({ from, to }) => (h >= from && h < to) || (h + 24 >= from && h + 24 < to)).slot;
+}
+
+/**
+ * 把主题的 bestTime（如「睡前」「早晨」）映射为时段
+ */
+function _slotsOf(bestTime = []) {
+  const slots = new Set();
+  bestTime.map(_norm).forEach(value => {
+    Object.entries(lexicon.timeOfDay).forEach(([slot, words]) => {
+      if (words.some(w => value.includes(_norm(w)))) slots.add(slot);
+    });
+  });
+  return slots;
+}
+
+function _historyCounts(history = [], now) {
+  const since = now - HISTORY_WINDOW_DAYS * 24 * 3600 * 1000;
+  const counts = new Map();
+  history
+    .filter(h => !h.createdAt || Date.parse(h.createdAt) >= since)
+    .forEach(h => {
+      [h.topicId, h.topic].filter(Boolean).map(_norm).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+  return counts;
+}
+
+// ---------- 解释 ----------
+const VIA_LABELS = {
+  zh: { exact: '直接匹配', synonym: '同义词', fuzzy: '近似匹配' },
+  en: { exact: 'direct match', synonym: 'synonym', fuzzy: 'close match' }
+};
+
+function _explain({ matched, slot, slotMatched, historyCount, benefits }, language) {
+  const zh = language === 'zh';
+  const via = VIA_LABELS[zh ? 'zh' : 'en'];
+  const lines = matched.map(m => (m.need === m.term
+    ? (zh ? `与「${m.need}」${via.exact}` : `${via.exact} for "${m.need}"`)
+    : (zh ? `「${m.need}」→「${m.term}」（${via[m.via]}）` : `"${m.need}" → "${m.term}" (${via[m.via]})`)));
+
+  if (slotMatched) {
+    const label = SLOT_LABELS[zh ? 'zh' : 'en'][slot];
+    lines.push(zh ? `适合现在的时段（${label}）` : `Suited to this time of day (${label})`);
+  }
+  if (historyCount > 0) {
+    lines.push(zh ? `你最近练习过 ${historyCount} 次` : `You practiced this ${historyCount} time(s) recently`);
+  }
+  if (benefits.length > 0) {
+    lines.push(zh ? `有助于：${benefits.join('、')}` : `Helps with: ${benefits.join(', ')}`);
+  }
+  return lines;
+}
+
+// ---------- Public API ----------
+/**
+ * 推荐主题
+ * @param {Array<Object>} types - meditation_types.json 中的 types
+ * @param {string|string[]} needs - 关键词或一句话描述
+ * @param {Object} [context]
+ * @param {string} [context.language='zh']
+ * @param {number} [context.hour] - 用户本地小时（0–23），缺省不计时段
+ * @param {Array<Object>} [context.history] - 近期练习 [{ topic, topicId, createdAt }]
+ * @param {number} [context.now=Date.now()]
+ * @returns {Array<Object>} 按得分倒序；无关键词命中时按时段与历史给出情境推荐
+ */
+function recommend(types, needs, { language = 'zh', hour, history = [], now = Date.now() } = {}) {
+  const topics = types.map(type => ({
+    type,
+    terms: new Set([
+      type.id,
+      ...Object.values(type.name || {}),
+      ...(type.keywords || [])
+    ].map(_norm).filter(Boolean))
+  }));
+
+  const dictionary = new Set([...synonymGroups.keys(), ...topics.flatMap(t => [...t.terms])]);
+  const tokens = segment(needs, dictionary);
+  const slot = hour === undefined || hour === null ? null : getTimeSlot(hour);
+  const historyCounts = _historyCounts(history, now);
+
+  const scored = topics.map(({ type, terms }) => {
+    const matched = [];
+    tokens.forEach(token => {
+      const candidates = [{ term: token, factor: 1, fuzzy: false }];
+      const near = dictionary.has(token) ? null : _closest(token, dictionary);
+      if (near) candidates.push({ term: near.term, factor: near.similarity, fuzzy: true });
+
+      let best = null;
+      candidates.forEach(({ term, factor, fuzzy }) => {
+        let hit = null;
+        if (terms.has(term)) {
+          hit = { term, via: fuzzy ? 'fuzzy' : 'exact', weight: (fuzzy ? WEIGHTS.fuzzy : WEIGHTS.exact) * factor };
+        } else {
+          // 优先展示与输入同一语言的词
+          const synonym = [..._synonymsOf(term)]
+            .filter(s => terms.has(s))
+            .sort((x, y) => (_isCjk(x) === _isCjk(term) ? 0 : 1) - (_isCjk(y) === _isCjk(term) ? 0 : 1))[0];
+          if (synonym) {
+            hit = { term: synonym, via: fuzzy ? 'fuzzy' : 'synonym', weight: (fuzzy ? WEIGHTS.fuzzy : WEIGHTS.synonym) * factor };
+          }
+        }
+        if (hit && (!best || hit.weight > best.weight)) best = hit;
+      });
+      if (best) matched.push({ need: token, ...best });
+    });
+
+    const keywordScore = matched.reduce((sum, m) => sum + m.weight, 0);
+    const slots = _slotsOf(type.bestTime);
+    const slotMatched = !!slot && slots.has(slot);
+    const timeScore = slotMatched ? WEIGHTS.time : (slots.has('anytime') ? WEIGHTS.anytime : 0);
+    const historyCount = Math.max(
+      historyCounts.get(_norm(type.id)) || 0,
+      ...Object.values(type.name || {}).map(n => historyCounts.get(_norm(n)) || 0)
+    );
+    const historyScore = Math.min(WEIGHTS.historyMax, historyCount * WEIGHTS.historyPerSession);
+
+    return { type, matched, keywordScore, timeScore, historyScore, slotMatched, historyCount };
+  });
+
+  // 有关键词命中时只推荐命中的主题；否则退化为情境推荐
+  const keywordHits = scored.filter(s => s.keywordScore > 0);
+  const pool = keywordHits.length > 0 ? keywordHits : scored.filter(s => s.timeScore > 0 || s.historyScore > 0);
+
+  return pool
+    .map(s => {
+      const benefits = (s.type.benefits?.[language] || []).slice(0, 2);
+      const explanation = _explain({ ...s, slot, benefits }, language);
+      return {
+        topic: s.type.name?.[language] || s.type.id,
+        id: s.type.id,
+        score: Math.round((s.keywordScore + s.timeScore + s.historyScore) * 100) / 100,
+        reason: explanation.join(language === 'zh' ? '；' : '; '),
+        explanation,
+        matched: s.matched.map(({ need, term, via }) => ({ need, term, via })),
+        signals: {
+          keyword: Math.round(s.keywordScore * 100) / 100,
+          time: s.timeScore,
+          history: Math.round(s.historyScore * 100) / 100
+        }
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  recommend,
+  segment,
+  levenshtein,
+  getTimeSlot
+};
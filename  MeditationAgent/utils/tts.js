@@ -7,12 +7,19 @@
  *   const { synthesizeSpeech } = require("../utils/tts");
  *   const result = await synthesizeSpeech("你好，欢迎来到冥想时间。");
  *   // → { url: "https://cdn.example.com/meditation/audio/<hash>.mp3", base64: "data:audio/mpeg;base64,..." }
+ *
+ *   // 超过单次合成上限的长文本：
+ *   const { synthesizeLongSpeech } = require("../utils/tts");
+ *   const track = await synthesizeLongSpeech(longText, { speed: 0 });
+ *   // → { url, duration, format, chunks: [{ index, text, url, offset, duration }] }
  * 
  * Environment variables (CloudBase → 环境变量):
  *   # --- TTS ---
  *   TTS_SECRET_ID       腾讯云语音合成 SecretId
  *   TTS_SECRET_KEY      腾讯云语音合成 SecretKey
  *   TTS_REGION          默认 ap-shanghai
+ *   TTS_CHUNK_BYTES     长文本单段字节上限，默认 2000
+ *   TTS_CONCURRENCY     长文本分段并发数，默认 2
  *   
  *   # --- COS ---
  *   COS_SECRET_ID       腾讯云 COS SecretId
@@ -20,12 +27,20 @@
  *   COS_BUCKET          形如 mybucket-125xxxxxxx
  *   COS_REGION          ap-shanghai / ap-guangzhou ...
  *   COS_CDN             可选，配置自定义加速域名则返回该域名
+ *   COS_LOCAL_DIR       可选，未配置存储桶时用本地目录模拟（见 utils/cos.js）
  * ---------------------------------------------
  */
 
 const tencentcloud = require('tencentcloud-sdk-nodejs-tts');
-const COS = require('cos-nodejs-sdk-v5');
 const crypto = require('crypto');
+const { cosEnabled, buildUrl, cosExists, cosGet, cosPut } = require('./cos');
+const { splitWithPauses } = require('./text_splitter');
+const {
+  parseMp3, concatMp3, createSilence,
+  getPcmDuration, createPcmSilence, concatPcm, pcmToSamples, encodeMp3,
+} = require('./audio');
+const { resolveAmbience, mixAmbience } = require('./ambience');
+const { CAPTION_FORMATS, buildCues, formatCaptions, normalizeCaptionFormat } = require('./captions');
 
 // ---------- Configuration ----------
 const cfg = {
@@ -34,13 +49,15 @@ const cfg = {
     secretKey: process.env.TTS_SECRET_KEY,
     region: process.env.TTS_REGION || 'ap-shanghai',
     defaultLang: process.env.TTS_DEFAULT_LANG || 'zh',
+    chunkBytes: +process.env.TTS_CHUNK_BYTES || 2000,   // 长文本单段字节上限
+    concurrency: +process.env.TTS_CONCURRENCY || 2,     // 分段并发合成数
   },
-  cos: {
-    secretId: process.env.COS_SECRET_ID,
-    secretKey: process.env.COS_SECRET_KEY,
-    bucket: process.env.COS_BUCKET,
-    region: process.env.COS_REGION,
-    cdn: process.env.COS_CDN,
+  // 停顿静音（秒），调用方可按风格覆盖
+  pause: {
+    defaults: { short: 2, long: 5, paragraph: 3 },
+    minStretch: 0.5,
+    maxStretch: 4,
+    maxSeconds: 60,
   },
 };
 
@@ -56,15 +73,12 @@ const ttsClient = new tencentcloud.tts.v20190823.Client({
   profile: { httpProfile: { endpoint: 'tts.tencentcloudapi.com' } },
 });
 
-const cos = new COS({ SecretId: cfg.cos.secretId, SecretKey: cfg.cos.secretKey });
-
 // ---------- Helpers ----------
 const md5 = (s) => crypto.createHash('md5').update(s).digest('hex');
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-const buildUrl = (k) =>
-  cfg.cos.cdn
-    ? `${cfg.cos.cdn}/${k}`
-    : `https://${cfg.cos.bucket}.cos.${cfg.cos.region}.myqcloud.com/${k}`;
+
+// 单次 TextToVoice 文本上限
+const MAX_TEXT_BYTES = 2000;
 
 // 语言映射
 const langMap = { zh: 1, en: 2, ja: 3 };
@@ -77,99 +91,43 @@ const timeout = (ms) => new Promise((_, reject) =>
   setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms)
 );
 
-// ---------- Internal synthesis ----------
-async function _innerSynthesize(text, opts = {}) {
-  // 参数提取与安全处理
-  const voiceType = +opts.voiceType || 1001;
-  const speed = clamp(+opts.speed ?? 0, -2, 2);
-  const volume = clamp(+opts.volume ?? 5, 0, 10);
-  const sampleRate = +opts.sampleRate || 16000;
-  const primaryLanguage = langMap[opts.lang] ?? langMap[cfg.tts.defaultLang] ?? 1;
-
-  // 缓存键包含所有参数
-  const cacheKey = `meditation/audio/${md5(
-    `${voiceType}_${speed}_${volume}_${sampleRate}_${primaryLanguage}_${text}`,
-  )}.mp3`;
+// ---------- COS cache keys ----------
+// 缓存键包含所有参数；混音流程使用的 PCM 分段与 MP3 分开缓存
+const audioKey = (text, opts, codec = 'mp3') => `meditation/audio/${md5(
+  `${opts.voiceType}_${opts.speed}_${opts.volume}_${opts.sampleRate}_${opts.primaryLanguage}_${text}`,
+)}.${codec}`;
 
-  // ---- 1. 检查 COS 缓存 ----
-  if (cfg.cos.bucket && cfg.cos.region) {
-    try {
-      await cos.headObject({ Bucket: cfg.cos.bucket, Region: cfg.cos.region, Key: cacheKey });
-      const url = buildUrl(cacheKey);
-      console.info('[TTS] Cache hit', { key: cacheKey });
-      return { url };
-    } catch (e) {
-      // 处理各种 NoSuchKey 错误格式
-      if (!['NoSuchKey', 'NotFound', 404].includes(e.code || e.statusCode)) {
-        console.error('[TTS] headObject error', e);
-      }
-      // 继续合成，不中断流程
-    }
-  }
+const CONTENT_TYPES = { mp3: 'audio/mpeg', pcm: 'application/octet-stream' };
 
-  // ---- 2. TTS 合成（带重试） ----
-  console.info('[TTS] Synthesizing', { 
-    textLen: text.length, 
-    voiceType, 
-    speed, 
-    volume,
-    lang: primaryLanguage 
+// ---------- Internal synthesis ----------
+// 调用 TTS 合成单段文本（带重试），返回 MP3 / PCM Buffer
+async function _ttsToBuffer(text, opts, codec = 'mp3') {
+  console.info('[TTS] Synthesizing', {
+    textLen: text.length,
+    voiceType: opts.voiceType,
+    speed: opts.speed,
+    volume: opts.volume,
+    lang: opts.primaryLanguage
   });
-  
+
   let lastError;
   for (let attempt = 0; attempt < 2; attempt++) {
     try {
       const ttsPromise = ttsClient.TextToVoice({
         Text: text,
-        VoiceType: voiceType,
-        Codec: 'mp3',
+        VoiceType: opts.voiceType,
+        Codec: codec,
         ModelType: 1,
-        PrimaryLanguage: primaryLanguage,
-        SampleRate: sampleRate,
-        Speed: speed,
-        Volume: volume,
+        PrimaryLanguage: opts.primaryLanguage,
+        SampleRate: opts.sampleRate,
+        Speed: opts.speed,
+        Volume: opts.volume,
         SessionId: md5(text).slice(0, 32), // 安全的 SessionId
       });
-      
+
       // 15秒超时保护
       const { Audio } = await Promise.race([ttsPromise, timeout(15000)]);
-      
-      const buffer = Buffer.from(Audio, 'base64');
-      const base64 = `data:audio/mpeg;base64,${buffer.toString('base64')}`;
-
-      // ---- 3. 尝试上传 COS（带重试） ----
-      if (cfg.cos.bucket && cfg.cos.region) {
-        for (let cosAttempt = 0; cosAttempt < 2; cosAttempt++) {
-          try {
-            await cos.putObject({
-              Bucket: cfg.cos.bucket,
-              Region: cfg.cos.region,
-              Key: cacheKey,
-              Body: buffer,
-              ContentType: 'audio/mpeg',
-              ACL: 'public-read',
-            });
-            console.info('[TTS] Uploaded to COS', { key: cacheKey });
-            return {
-              url: buildUrl(cacheKey),
-              base64,
-            };
-          } catch (e) {
-            lastError = e;
-            if (cosAttempt === 0) {
-              console.warn('[TTS] COS upload retry', e.message);
-              continue;
-            }
-            console.error('[TTS] putObject failed after retry', e);
-            // COS 失败也不中断，返回 base64
-          }
-        }
-      }
-
-      // 无 COS 或上传失败时，仅返回 base64
-      console.info('[TTS] Returning base64 only (no COS)');
-      return { base64 };
-      
+      return Buffer.from(Audio, 'base64');
     } catch (e) {
       lastError = e;
       if (attempt === 0) {
@@ -178,11 +136,217 @@ async function _innerSynthesize(text, opts = {}) {
       }
     }
   }
-  
+
   console.error('[TTS] Synthesis failed after retry', lastError);
   throw new Error(`[TTS] 合成失败: ${lastError.message}`);
 }
 
+// 参数提取与安全处理
+function _resolveOpts(opts = {}) {
+  return {
+    voiceType: +opts.voiceType || 1001,
+    speed: clamp(+opts.speed ?? 0, -2, 2),
+    volume: clamp(+opts.volume ?? 5, 0, 10),
+    sampleRate: +opts.sampleRate || 16000,
+    primaryLanguage: langMap[opts.lang] ?? langMap[cfg.tts.defaultLang] ?? 1,
+  };
+}
+
+async function _innerSynthesize(text, opts = {}) {
+  const resolved = _resolveOpts(opts);
+  const cacheKey = audioKey(text, resolved);
+
+  // ---- 1. 检查 COS 缓存 ----
+  if (cosEnabled() && await cosExists(cacheKey)) {
+    console.info('[TTS] Cache hit', { key: cacheKey });
+    return { url: buildUrl(cacheKey) };
+  }
+
+  // ---- 2. TTS 合成（带重试） ----
+  const buffer = await _ttsToBuffer(text, resolved);
+  const base64 = `data:audio/mpeg;base64,${buffer.toString('base64')}`;
+
+  // ---- 3. 尝试上传 COS（带重试） ----
+  if (cosEnabled() && await cosPut(cacheKey, buffer)) {
+    return {
+      url: buildUrl(cacheKey),
+      base64,
+    };
+  }
+
+  // 无 COS 或上传失败时，仅返回 base64
+  console.info('[TTS] Returning base64 only (no COS)');
+  return { base64 };
+}
+
+// 分段合成：命中 COS 缓存时直接取回音频字节用于拼接
+async function _synthesizeChunk(text, opts, codec = 'mp3') {
+  const resolved = _resolveOpts(opts);
+  const key = audioKey(text, resolved, codec);
+
+  if (cosEnabled()) {
+    const cached = await cosGet(key);
+    if (cached) {
+      console.info('[TTS] Chunk cache hit', { key });
+      return { key, url: buildUrl(key), buffer: cached };
+    }
+  }
+
+  const buffer = await _ttsToBuffer(text, resolved, codec);
+  const uploaded = cosEnabled() && await cosPut(key, buffer, CONTENT_TYPES[codec]);
+  return { key, url: uploaded ? buildUrl(key) : undefined, buffer };
+}
+
+// 简单并发池，避免触发 TTS QPS 限制
+async function _mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// 计算每个停顿的静音时长：先取基础时长，再按目标总时长统一伸缩（显式秒数不参与伸缩）
+function _planPauses(pauseItems, speechDuration, pacing) {
+  const base = pauseItems.map(p => (p.kind === 'explicit'
+    ? Math.min(p.seconds, pacing.maxPause)
+    : pacing.pauses[p.kind] || 0));
+
+  if (!pacing.targetDuration) return base;
+
+  const flexible = base.reduce((sum, sec, i) => sum + (pauseItems[i].kind === 'explicit' ? 0 : sec), 0);
+  const fixed = speechDuration + base.reduce((sum, sec, i) => sum + (pauseItems[i].kind === 'explicit' ? sec : 0), 0);
+  if (flexible <= 0) return base;
+
+  const factor = clamp((pacing.targetDuration - fixed) / flexible, pacing.minStretch, pacing.maxStretch);
+  return base.map((sec, i) => (pauseItems[i].kind === 'explicit' ? sec : Math.min(sec * factor, pacing.maxPause)));
+}
+
+async function _innerSynthesizeLong(items, opts, pacing, ambience) {
+  const resolved = _resolveOpts(opts);
+  const sampleRate = resolved.sampleRate;
+  // 需要混音时分段取 PCM，混音后统一编码为 MP3
+  const codec = ambience ? 'pcm' : 'mp3';
+  const speechItems = items.filter(item => item.type === 'speech');
+  const pauseItems = items.filter(item => item.type === 'pause');
+
+  // 音轨键由分段键 + 停顿序列 + 节奏参数 + 音景参数共同决定
+  const layout = items.map(item => (item.type === 'speech'
+    ? audioKey(item.text, resolved, codec)
+    : `${item.kind}:${item.seconds || ''}`));
+  const trackBase = `meditation/audio/${ambience ? 'mix' : 'track'}/${md5(
+    `${layout.join('|')}_${JSON.stringify(pacing)}_${JSON.stringify(ambience || null)}`,
+  )}`;
+  const trackKey = `${trackBase}.mp3`;
+  const manifestKey = `${trackBase}.json`;
+
+  // ---- 1. 整条音轨缓存：清单存在即直接返回 ----
+  if (cosEnabled()) {
+    const manifest = await cosGet(manifestKey);
+    if (manifest) {
+      try {
+        console.info('[TTS] Track cache hit', { key: trackKey });
+        // 早期写入的清单没有 key 字段（生成字幕时需要），按当前键补齐
+        return { ...JSON.parse(manifest.toString('utf8')), key: trackKey };
+      } catch (e) {
+        console.warn('[TTS] Broken track manifest, rebuilding', e.message);
+      }
+    }
+  }
+
+  // ---- 2. 逐段合成（每段独立缓存） ----
+  const parts = await _mapLimit(speechItems, cfg.tts.concurrency, item => _synthesizeChunk(item.text, opts, codec));
+  const speechInfo = codec === 'mp3' ? parts.map(p => parseMp3(p.buffer)) : [];
+  const speechDuration = codec === 'mp3'
+    ? speechInfo.reduce((sum, info) => sum + info.duration, 0)
+    : parts.reduce((sum, p) => sum + getPcmDuration(p.buffer, sampleRate), 0);
+
+  // ---- 3. 停顿渲染为静音，与语音按原顺序拼接 ----
+  const pauseSeconds = _planPauses(pauseItems, speechDuration, pacing);
+  const header = speechInfo.find(info => info.header)?.header;
+  const silence = (sec) => (codec === 'mp3' ? createSilence(sec, header) : createPcmSilence(sec, sampleRate));
+  let speechIndex = 0;
+  let pauseIndex = 0;
+  const buffers = items.map(item => (item.type === 'speech'
+    ? parts[speechIndex++].buffer
+    : silence(pauseSeconds[pauseIndex++])));
+
+  const joined = codec === 'mp3' ? concatMp3(buffers) : concatPcm(buffers, sampleRate);
+  const { segments } = joined;
+  let { buffer, duration } = joined;
+
+  // ---- 3.1 混入背景音景（人声处自动压低） ----
+  if (ambience) {
+    const speechSegments = segments.filter((_, i) => items[i].type === 'speech');
+    const mixed = mixAmbience(pcmToSamples(buffer), sampleRate, speechSegments, ambience);
+    buffer = encodeMp3(mixed, sampleRate);
+    duration = mixed.length / sampleRate;
+  }
+
+  const chunks = [];
+  const pauses = [];
+  items.forEach((item, i) => {
+    if (item.type === 'speech') {
+      const index = chunks.length;
+      chunks.push({
+        index,
+        text: item.text,
+        url: parts[index].url,
+        offset: round3(segments[i].offset),
+        duration: round3(segments[i].duration),
+      });
+    } else {
+      pauses.push({
+        kind: item.kind,
+        offset: round3(segments[i].offset),
+        duration: round3(segments[i].duration),
+      });
+    }
+  });
+
+  const result = {
+    key: trackKey,
+    format: 'mp3',
+    duration: round3(duration),
+    speechDuration: round3(speechDuration),
+    silenceDuration: round3(duration - speechDuration),
+    chunks,
+    pauses,
+  };
+  if (ambience) result.ambience = ambience;
+
+  // ---- 4. 上传音轨与清单 ----
+  if (cosEnabled() && await cosPut(trackKey, buffer)) {
+    result.url = buildUrl(trackKey);
+    await cosPut(manifestKey, Buffer.from(JSON.stringify(result)), 'application/json');
+    return result;
+  }
+
+  console.info('[TTS] Returning base64 only (no COS)');
+  result.base64 = `data:audio/mpeg;base64,${buffer.toString('base64')}`;
+  return result;
+}
+
+// 生成字幕并存放在音轨旁（同一哈希键，扩展名不同）
+async function _attachCaptions(track, format) {
+  const cues = buildCues(track.chunks);
+  const content = formatCaptions(cues, format, { duration: track.duration });
+  const { ext, contentType } = CAPTION_FORMATS[format];
+  const key = track.key.replace(/\.mp3$/, `.${ext}`);
+
+  if (cosEnabled() && (await cosExists(key) || await cosPut(key, Buffer.from(content, 'utf8'), contentType))) {
+    return { format, url: buildUrl(key), cues };
+  }
+  return { format, content, cues };
+}
+
 // ---------- Main Export ----------
 /**
  * @param {string} text  文本，≤ 1000 汉字/4000 英文字符
@@ -197,8 +361,8 @@ async function synthesizeSpeech(text, opts = {}) {
   
   // 严谨的字节长度检查
   const byteLength = Buffer.byteLength(text, 'utf8');
-  if (byteLength > 2000) {
-    throw new Error(`[TTS] text 超长（${byteLength} 字节，限制 2000 字节）`);
+  if (byteLength > MAX_TEXT_BYTES) {
+    throw new Error(`[TTS] text 超长（${byteLength} 字节，限制 ${MAX_TEXT_BYTES} 字节，长文本请使用 synthesizeLongSpeech）`);
   }
 
   // 字符合法性警告（宽松匹配）
@@ -206,36 +370,100 @@ async function synthesizeSpeech(text, opts = {}) {
     console.warn('[TTS] 文本可能包含特殊字符或 emoji');
   }
 
+  const fullOpts = _fullOpts(opts);
+  return _dedupe(_pendingKey(text, fullOpts), () => _innerSynthesize(text, fullOpts));
+}
+
+/**
+ * 长文本合成：按句子 / 停顿切分 → 逐段合成并缓存 → 停顿渲染为静音 → 拼接为一条音轨
+ * @param {string} text  任意长度文本，可包含停顿标记（… / …… / [pause:10s] / 空行）
+ * @param {object} opts  同 synthesizeSpeech，另支持：
+ *   - pauses          各类停顿基础秒数 { short, long, paragraph }
+ *   - targetDuration  目标总时长（秒），按此伸缩停顿，使成品接近请求时长
+ *   - minStretch / maxStretch  停顿伸缩倍数范围
+ *   - ambience        背景音景，音景名或 { name, levelDb, duckDb, fadeIn, fadeOut }（见 utils/ambience.js）
+ *   - captionFormat   同时导出句级字幕：vtt / srt / lrc（见 utils/captions.js）
+ * @returns {Promise<{url?: string, base64?: string, format: string, duration: number,
+ *   speechDuration: number, silenceDuration: number,
+ *   chunks: Array<{index: number, text: string, url?: string, offset: number, duration: number}>,
+ *   pauses: Array<{kind: string, offset: number, duration: number}>, ambience?: object,
+ *   captions?: {format: string, url?: string, content?: string, cues: Array<{index: number, start: number, end: number, text: string}>}}>}
+ *   duration / offset 单位为秒
+ */
+async function synthesizeLongSpeech(text, opts = {}) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('[TTS] text 不能为空');
+  }
+
+  const items = splitWithPauses(text, { maxBytes: cfg.tts.chunkBytes });
+  if (!items.some(item => item.type === 'speech')) {
+    throw new Error('[TTS] text 不能为空');
+  }
+
+  const captionFormat = opts.captionFormat ? normalizeCaptionFormat(opts.captionFormat) : null;
+  if (opts.captionFormat && !captionFormat) {
+    throw new Error(`[TTS] 不支持的字幕格式: ${opts.captionFormat}`);
+  }
+
+  const fullOpts = _fullOpts(opts);
+  const ambience = resolveAmbience(opts.ambience);
+  const pacing = {
+    pauses: { ...cfg.pause.defaults, ...opts.pauses },
+    targetDuration: +opts.targetDuration || 0,
+    minStretch: opts.minStretch ?? cfg.pause.minStretch,
+    maxStretch: opts.maxStretch ?? cfg.pause.maxStretch,
+    maxPause: cfg.pause.maxSeconds,
+  };
+  console.info('[TTS] Long synthesis', {
+    textLen: text.length,
+    chunkCount: items.filter(item => item.type === 'speech').length,
+    pauseCount: items.filter(item => item.type === 'pause').length,
+    targetDuration: pacing.targetDuration,
+    ambience: ambience?.name
+  });
+
+  const track = await _dedupe(
+    `long_${md5(`${_pendingKey(text, fullOpts)}_${JSON.stringify(pacing)}_${JSON.stringify(ambience)}`)}`,
+    () => _innerSynthesizeLong(items, fullOpts, pacing, ambience)
+  );
+
+  if (!captionFormat) return track;
+  return { ...track, captions: await _attachCaptions(track, captionFormat) };
+}
+
+// 构建完整参数用于去重
+function _fullOpts(opts) {
   // HQ 模式自动选择采样率
   if (opts.hq && !opts.sampleRate) {
     opts.sampleRate = 16000;
   }
 
-  // 构建完整缓存键用于去重
-  const fullOpts = {
+  return {
     voiceType: +opts.voiceType || 1001,
     speed: clamp(+opts.speed ?? 0, -2, 2),
     volume: clamp(+opts.volume ?? 5, 0, 10),
     sampleRate: +opts.sampleRate || 16000,
     lang: opts.lang || 'zh',
   };
-  
-  const cacheKey = md5(
-    `${fullOpts.voiceType}_${fullOpts.speed}_${fullOpts.volume}_${fullOpts.sampleRate}_${fullOpts.lang}_${text}`
-  );
+}
+
+const _pendingKey = (text, o) => md5(
+  `${o.voiceType}_${o.speed}_${o.volume}_${o.sampleRate}_${o.lang}_${text}`
+);
 
-  // 并发去重
+// 并发去重
+function _dedupe(cacheKey, run) {
   if (pending.has(cacheKey)) {
     console.info('[TTS] Reusing pending request', { cacheKey });
     return pending.get(cacheKey);
   }
 
-  const task = _innerSynthesize(text, fullOpts).finally(() => {
+  const task = run().finally(() => {
     pending.delete(cacheKey);
   });
-  
+
   pending.set(cacheKey, task);
   return task;
 }
 
-module.exports = { synthesizeSpeech };
\ No newline at end of file
+module.exports = { synthesizeSpeech, synthesizeLongSpeech };
\ No newline at end of file
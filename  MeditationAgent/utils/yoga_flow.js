@@ -0,0 +1,241 @@
+/**
+ * utils/yoga_flow.js
+ * ---------------------------------------------
+ * 瑜伽序列编排：按目标时长、水平与侧重从体式目录中挑选体式并排序
+ * 编排顺序固定，保证先热身、后高峰、最后放松：
+ *   起始（婴儿式）→ 热身 → 站立 → 高峰（手臂平衡 / 后弯 / 倒立）→ 地面 → 放松 → 摊尸式
+ * - 水平决定可选难度：beginner 仅初级，intermediate 含初中级，advanced 全部
+ * - 下犬式以外的倒立只出现在高峰阶段，且位于后弯之后
+ * - 侧重（focus）为匹配类别的体式加分，restorative 只选地面体式、跳过站立与高峰阶段并延长停留
+ * - 单侧体式（按描述判断）左右各做一次
+ * - 口令与对位提示全部取自体式的 description，停留以 [pause:Ns] 标记
+ *
+ * Usage:
+ *   const { buildYogaFlow } = require('../utils/yoga_flow');
+ *   const flow = buildYogaFlow({ duration: 20, level: 'beginner', focus: 'stretch' });
+ *   // → { level, focus, duration, plannedSeconds, poses: [...], text }
+ * ---------------------------------------------
+ */
+
+const crypto = require('crypto');
+const { DIFFICULTIES, getPoses, getPose } = require('./pose_catalog');
+const { estimateSeconds } = require('./script_parser');
+const config = require('../config');
+
+// 侧重 → 加分类别
+const FOCUS_CATEGORIES = {
+  general: [],
+  balance: ['balance', 'arm balance', 'core strength', 'standing'],
+  stretch: ['stretch', 'hamstring stretch', 'shoulder stretch', 'hip opener', 'twist'],
+  strength: ['strength', 'core strength', 'back strength', 'arm balance'],
+  hips: ['hip opener', 'stretch', 'hamstring stretch'],
+  restorative: ['restorative', 'relaxation', 'hip opener', 'twist', 'seated']
+};
+
+// 阶段内按 categories 的顺序排列；weight 为分得的时间比例
+const PHASES = [
+  {
+    name: 'warmup',
+    weight: 0.15,
+    maxDifficulty: 'beginner',
+    categories: ['spine', 'shoulder stretch', 'hamstring stretch', 'stretch']
+  },
+  {
+    name: 'standing',
+    weight: 0.35,
+    position: 'upright',
+    categories: ['inversion', 'standing', 'strength', 'stretch', 'hip opener', 'core strength', 'balance'],
+    // 站立阶段只允许下犬式这类初级倒立
+    accept: (pose) => pose.category !== 'inversion' || pose.difficulty === 'beginner'
+  },
+  {
+    name: 'peak',
+    weight: 0.15,
+    categories: ['arm balance', 'backbend', 'inversion'],
+    accept: (pose) => pose.category !== 'inversion' || pose.difficulty !== 'beginner'
+  },
+  {
+    name: 'floor',
+    weight: 0.2,
+    position: 'floor',
+    categories: ['core strength', 'back strength', 'hip opener', 'stretch', 'hamstring stretch', 'shoulder stretch', 'seated', 'meditation']
+  },
+  {
+    name: 'cooldown',
+    weight: 0.15,
+    position: 'floor',
+    categories: ['twist', 'restorative']
+  }
+];
+
+const CENTERING_POSE = 'child_pose';
+const FINAL_POSE = 'corpse_pose';
+const RESTORATIVE_SKIP = ['standing', 'peak'];
+const SECONDS_PER_BREATH = 6;
+const MAX_HOLD_SECONDS = 60;   // 与 TTS 单个停顿上限一致
+
+const FLOOR_PATTERN = /坐姿|长坐|跪|仰卧|俯卧|四角/;
+const SIDED_PATTERN = /一脚|单腿|单手|一条腿|一条手臂|一侧|前腿|另一腿|弓步|宽步|扭转/;
+
+const _positionOf = (pose) => (FLOOR_PATTERN.test(pose.description) && !/站/.test(pose.description) ? 'floor' : 'upright');
+const _sidesOf = (pose) => (SIDED_PATTERN.test(pose.description) ? 2 : 1);
+const _cuesOf = (pose) => pose.description.split(/[，。；]/).map(s => s.trim()).filter(Boolean);
+const _breaths = (seconds) => Math.max(3, Math.round(seconds / SECONDS_PER_BREATH));
+
+// 同分时按种子打散，同一请求结果稳定
+const _tieBreak = (seed, id) => parseInt(crypto.createHash('md5').update(`${seed}:${id}`).digest('hex').slice(0, 8), 16);
+
+function _holdSeconds(level, focus, phase) {
+  const base = config.YOGA_HOLD_SECONDS[level];
+  const restful = focus === 'restorative' && ['floor', 'cooldown'].includes(phase);
+  return Math.min(MAX_HOLD_SECONDS, restful ? base * 2 : base);
+}
+
+function _item(pose, phase, { level, focus }) {
+  const sides = phase === 'final' ? 1 : _sidesOf(pose);
+  const holdSeconds = _holdSeconds(level, focus, phase);
+  return {
+    id: pose.id,
+    zhName: pose.zhName,
+    enName: pose.enName,
+    sanskrit: pose.sanskrit,
+    category: pose.category,
+    difficulty: pose.difficulty,
+    phase,
+    position: _positionOf(pose),
+    sides,
+    holdSeconds,
+    breaths: _breaths(holdSeconds),
+    cues: _cuesOf(pose)
+  };
+}
+
+// 选择时的时长估算：朗读描述 + 口令 + 各侧停留
+const _costOf = (item) => estimateSeconds(item.cues.join('，')) + 5 + item.holdSeconds * item.sides;
+
+function _selectPhase(phase, budget, ctx) {
+  const { allowed, focus, level, seed, used, picked } = ctx;
+  const focusCategories = FOCUS_CATEGORIES[focus];
+  const hasBackbend = picked.some(p => p.category === 'backbend');
+  const maxIndex = phase.maxDifficulty ? DIFFICULTIES.indexOf(phase.maxDifficulty) : DIFFICULTIES.length - 1;
+
+  const candidates = getPoses()
+    .filter(pose => !used.has(pose.id)
+      && allowed.includes(pose.difficulty)
+      && DIFFICULTIES.indexOf(pose.difficulty) <= maxIndex
+      && phase.categories.includes(pose.category)
+      && (!phase.position || _positionOf(pose) === phase.position)
+      // restorative 全程在垫子上完成
+      && (focus !== 'restorative' || _positionOf(pose) === 'floor')
+      && (!phase.accept || phase.accept(pose)))
+    .map(pose => {
+      let score = focusCategories.includes(pose.category) ? 2 : 0;
+      if (['standing', 'peak'].includes(phase.name) && pose.difficulty === level) score += 1;
+      // 后弯之后优先安排扭转中和脊柱
+      if (phase.name === 'cooldown' && hasBackbend && pose.category === 'twist') score += 3;
+      return { pose, score, tie: _tieBreak(seed, pose.id) };
+    })
+    .sort((a, b) => b.score - a.score || a.tie - b.tie);
+
+  const selected = [];
+  let left = budget;
+  for (const { pose } of candidates) {
+    const item = _item(pose, phase.name, ctx);
+    const cost = _costOf(item);
+    if (cost > left) continue;
+    selected.push(item);
+    used.add(pose.id);
+    left -= cost;
+  }
+
+  // 阶段内：地面体式在前（由地面起身），再按类别顺序
+  const order = (item) => phase.categories.indexOf(item.category) + (item.position === 'floor' ? 0 : 100);
+  selected.sort((a, b) => order(a) - order(b));
+  return { selected, spent: budget - left };
+}
+
+function _lead(item, prev) {
+  const name = `「${item.zhName}」`;
+  if (!prev) return `我们从${name}开始。`;
+  if (item.phase === 'final') return `最后，来到${name}。`;
+  if (prev.position !== item.position) {
+    return item.position === 'floor' ? `慢慢回到垫子上，进入${name}。` : `慢慢起身，进入${name}。`;
+  }
+  return `接下来，进入${name}。`;
+}
+
+function _script(item, prev, finalSeconds) {
+  const cues = `${item.cues.join('，')}。`;
+  const head = `${_lead(item, prev)}${cues}`;
+
+  if (item.phase === 'final') {
+    // 摊尸式较长，每段停留不超过 TTS 单个停顿上限，中间以简短提示衔接
+    const rounds = Math.max(1, Math.round(finalSeconds / MAX_HOLD_SECONDS));
+    const rest = Array.from({ length: rounds }, (_, i) => (i === 0 ? '' : '继续放松，感受呼吸的起伏。')
+      + `[pause:${Math.round(finalSeconds / rounds)}s]`).join('\n');
+    return `${head}\n${rest}\n慢慢动一动手指和脚趾，带着这份平静结束今天的练习。`;
+  }
+
+  const hold = `保持 ${item.breaths} 次呼吸。[pause:${item.holdSeconds}s]`;
+  if (item.sides === 2) {
+    return `${head}\n先做右侧，${hold}\n换到左侧，${hold}`;
+  }
+  return `${head}${hold}`;
+}
+
+/**
+ * 编排瑜伽序列
+ * @param {Object} params
+ * @param {number} params.duration - 目标时长（分钟）
+ * @param {string} params.level - beginner | intermediate | advanced
+ * @param {string} params.focus - 见 FOCUS_CATEGORIES
+ * @param {string} [params.seed] - 同分体式的打散种子，换种子可得到不同组合
+ * @returns {{ level: string, focus: string, duration: number, plannedSeconds: number,
+ *             poses: Array<Object>, text: string }} poses[].start / duration 为计划秒数
+ */
+function buildYogaFlow({ duration, level, focus, seed = '' }) {
+  const total = duration * 60;
+  const allowed = DIFFICULTIES.slice(0, DIFFICULTIES.indexOf(level) + 1);
+  const ctx = { allowed, focus, level, seed: String(seed), used: new Set([CENTERING_POSE, FINAL_POSE]), picked: [] };
+
+  const centering = _item(getPose(CENTERING_POSE), 'centering', ctx);
+  const finalSeconds = Math.min(300, Math.max(60, Math.round(total * (focus === 'restorative' ? 0.15 : 0.1))));
+  const final = { ..._item(getPose(FINAL_POSE), 'final', ctx), holdSeconds: finalSeconds, breaths: _breaths(finalSeconds) };
+
+  const phases = PHASES.filter(p => focus !== 'restorative' || !RESTORATIVE_SKIP.includes(p.name));
+  let remaining = total - _costOf(centering) - estimateSeconds(final.cues.join('，')) - finalSeconds;
+  let weightLeft = phases.reduce((sum, p) => sum + p.weight, 0);
+
+  phases.forEach(phase => {
+    // 前一阶段未用完的时间顺延给后续阶段
+    const budget = Math.max(0, remaining * (phase.weight / weightLeft));
+    const { selected, spent } = _selectPhase(phase, budget, ctx);
+    ctx.picked.push(...selected);
+    remaining -= spent;
+    weightLeft -= phase.weight;
+  });
+
+  const sequence = [centering, ...ctx.picked, final];
+  let cursor = 0;
+  const poses = sequence.map((item, index) => {
+    const text = _script(item, sequence[index - 1], finalSeconds);
+    const seconds = estimateSeconds(text);
+    const pose = { index, ...item, text, start: cursor, duration: seconds };
+    cursor += seconds;
+    return pose;
+  });
+
+  return {
+    level,
+    focus,
+    duration,
+    plannedSeconds: cursor,
+    poses,
+    text: poses.map(p => p.text).join('\n\n')
+  };
+}
+
+module.exports = {
+  FOCUS_CATEGORIES,
+  buildYogaFlow
+};